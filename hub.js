@@ -0,0 +1,23 @@
+// hub.js (ESM)
+// Local stand-in for the shared broker of a multi-instance setup (see
+// src/cluster.js). Start it once, then point every server at it:
+//   HUB_PORT=4000 npm run hub
+//   CLUSTER_BUS=tcp://localhost:4000 PORT=3001 ROOM_STORE=file npm start
+//   CLUSTER_BUS=tcp://localhost:4000 PORT=3002 ROOM_STORE=file npm start
+import { createHub } from './src/cluster.js'
+import { log } from './src/log.js'
+
+const HUB_PORT = process.env.HUB_PORT || 4000
+
+const hub = createHub()
+hub.listen(HUB_PORT, () =>
+  log.info('cluster hub listening', { port: Number(HUB_PORT) })
+)
+
+function shutdown(sig) {
+  log.info('closing the hub', { signal: sig })
+  hub.close(() => process.exit(0))
+  setTimeout(() => process.exit(0), 2000).unref()
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
@@ -7,12 +7,106 @@ import { Server } from 'socket.io'
 import cors from 'cors'
 import compression from 'compression'
 import { customAlphabet } from 'nanoid'
+import {
+  BOARD_SIZE,
+  DEFAULT_RULES,
+  applyMove,
+  checkSettings,
+  createBoard,
+  createGame,
+  createStock,
+  rulesOf,
+  symbolSetOf,
+  replayMoves,
+  teamOf,
+  teamScores,
+} from './src/game.js'
+import {
+  createAccountStore,
+  createGameStore,
+  createRoomStore,
+  createTournamentStore,
+} from './src/store.js'
+import { checkPassword, hashPassword } from './src/passwords.js'
+import { BOT_LEVELS, chooseBotMove } from './src/bots.js'
+import {
+  HINT_BUDGET,
+  REVIEW_BUDGET,
+  analyzePosition,
+  reviewGame,
+} from './src/analysis.js'
+import {
+  REQUEST_SCHEMAS,
+  validate,
+  validatePayload,
+} from './src/validation.js'
+import {
+  DEFAULT_RATING,
+  createAccounts,
+  publicProfile,
+  standings,
+} from './src/accounts.js'
+import { findMatches, queueStatus, recordWait } from './src/matchmaking.js'
+import { exportGame, importGame } from './src/notation.js'
+import { RATE_LIMITS, createRateLimiter } from './src/ratelimit.js'
+import { EMOTES, createChatFilter, sanitizeText } from './src/chat.js'
+import { createBus, createBusAdapter, createRpc } from './src/cluster.js'
+import { diffState } from './src/statediff.js'
+import {
+  createCorrelationId,
+  log as processLog,
+  logContext,
+  traced,
+  withContext,
+} from './src/log.js'
+import { CONTENT_TYPE, createRegistry } from './src/metrics.js'
+import {
+  createTournament,
+  findMatch,
+  pendingMatches,
+  reportResult,
+  standings as tournamentStandings,
+} from './src/tournament.js'
 
 /* -------------------------
    Config / Env
 -------------------------- */
 const PORT = process.env.PORT || 3000
 const NODE_ENV = process.env.NODE_ENV || 'production'
+// How long a dropped player's seat is held before it is freed
+const RECONNECT_GRACE_MS = parseInt(
+  process.env.RECONNECT_GRACE_MS || '60000',
+  10
+)
+// Pause before a bot plays, so humans can follow its moves
+const BOT_DELAY_MS = parseInt(process.env.BOT_DELAY_MS || '700', 10)
+// How long an unused invite link stays valid
+const INVITE_TTL_MS = parseInt(process.env.INVITE_TTL_MS || '86400000', 10)
+// Rooms nobody has touched for this long are closed (updatedAt)
+const ROOM_IDLE_MS = parseInt(process.env.ROOM_IDLE_MS || '1800000', 10)
+// ...and rooms nobody ever sat down in, much sooner
+const EMPTY_ROOM_MS = parseInt(process.env.EMPTY_ROOM_MS || '120000', 10)
+// ...while correspondence rooms (settings.moveHours) wait far longer
+const CORRESPONDENCE_IDLE_MS = parseInt(
+  process.env.CORRESPONDENCE_IDLE_MS || '1209600000',
+  10
+)
+// Open rooms one client address may have created, and rooms in total (both
+// per instance)
+const MAX_ROOMS_PER_ADDRESS = parseInt(
+  process.env.MAX_ROOMS_PER_ADDRESS || '5',
+  10
+)
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS || '1000', 10)
+// TRUST_PROXY: proxies in front of the server. The client is the address
+// the outermost one appended to X-Forwarded-For; with 0 the header is
+// ignored, since clients can send it themselves. Production defaults to 1,
+// the one proxy Render (or Heroku) puts in front: without it every client
+// would share the proxy's address, and its bans and limits with it.
+const TRUST_PROXY = parseInt(
+  process.env.TRUST_PROXY || (NODE_ENV === 'production' ? '1' : '0'),
+  10
+)
 
 /**
  * FRONTEND_ORIGINS: comma-separated list of allowed origins for CORS/WebSockets
@@ -37,34 +131,37 @@ if (ORIGINS.length === 0) {
   }
 }
 
+// Requests without an Origin (curl, server-to-server) are let through
+function originAllowed(origin) {
+  return !origin || ORIGINS.includes(origin)
+}
+
 /* -------------------------
    Server & Middleware
 -------------------------- */
 const app = express()
 const server = http.createServer(app)
 
+const corsOptions = {
+  origin: (origin, cb) =>
+    originAllowed(origin)
+      ? cb(null, true)
+      : cb(new Error('Not allowed by CORS')),
+  credentials: true,
+}
+
 const io = new Server(server, {
   transports: ['websocket'],
   upgrade: false,
-  cors: {
-    origin: '*', // (optionally restrict to your prod frontend)
-    methods: ['GET', 'POST'],
-  },
+  cors: { ...corsOptions, methods: ['GET', 'POST'] },
+  // Browsers don't apply CORS to WebSockets, so check the Origin here too
+  allowRequest: (req, cb) => cb(null, originAllowed(req.headers.origin)),
 })
 
-app.set('trust proxy', true)
+app.set('trust proxy', TRUST_PROXY)
 app.use(compression())
 app.use(express.json({ limit: '256kb' }))
-app.use(
-  cors({
-    origin: (origin, cb) => {
-      if (!origin) return cb(null, true)
-      const ok = ORIGINS.some((o) => origin === o)
-      return ok ? cb(null, true) : cb(new Error('Not allowed by CORS'))
-    },
-    credentials: true,
-  })
-)
+app.use(cors(corsOptions))
 
 /* -------------------------
    Health / Diagnostics
@@ -73,288 +170,352 @@ app.get('/', (_req, res) =>
   res.type('text').send('Ric Pac Soe server is running.')
 )
 app.get('/healthz', (_req, res) => res.json({ ok: true }))
-app.get('/readyz', (_req, res) => res.json({ ready: true, rooms: rooms.size }))
+app.get('/readyz', (_req, res) =>
+  res.json({ ready: true, rooms: rooms.size, instance: INSTANCE_ID })
+)
 
-/* -------------------------
-   Game Constants & Helpers
--------------------------- */
-const BOARD_SIZE = 8
-const COLORS = ['#4f46e5', '#ef4444', '#10b981', '#f59e0b']
-const SYMBOLS = { R: '◯', P: '■', S: '✕' }
-const WEAK_TO = { S: 'R', P: 'S', R: 'P' } // defender.sym => attacker.sym beating it
-const ROOM_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
-const nanoid = customAlphabet(ROOM_ID_ALPHABET, 6)
+// Prometheus metrics for this instance (see src/metrics.js). Moves and
+// finished games are counters: rate(ric_pac_soe_moves_total[1m]) gives moves
+// per second.
+const metrics = createRegistry('ric_pac_soe')
+metrics.gauge({
+  name: 'sockets',
+  help: 'Sockets connected to this instance.',
+  collect: () => io.of('/').sockets.size,
+})
+metrics.gauge({
+  name: 'rooms_active',
+  help: 'Rooms this instance runs.',
+  collect: () => rooms.size,
+})
+metrics.gauge({
+  name: 'rooms_started',
+  help: 'Rooms with a game in progress.',
+  collect: () =>
+    [...rooms.values()].filter((r) => r.started && !r.gameOver).length,
+})
+metrics.gauge({
+  name: 'room_members',
+  help: 'Connected players, bots and spectators in the rooms here.',
+  collect: () => {
+    const count = { player: 0, bot: 0, spectator: 0 }
+    for (const room of rooms.values()) {
+      for (const p of room.players)
+        if (p.bot) count.bot++
+        else if (p.connected !== false) count.player++
+      count.spectator += room.spectators.length
+    }
+    return Object.entries(count).map(([role, value]) => ({
+      labels: { role },
+      value,
+    }))
+  },
+})
+const movesPlayed = metrics.counter({
+  name: 'moves_total',
+  help: 'Moves played, passes and forfeits included.',
+})
+const eventSeconds = metrics.histogram({
+  name: 'event_duration_seconds',
+  help: 'Time from receiving a socket event to acknowledging it.',
+  labels: ['event'],
+})
+const eventsRejected = metrics.counter({
+  name: 'events_rejected_total',
+  help: 'Socket events refused, by event and error code.',
+  labels: ['event', 'code'],
+})
+const gamesFinished = metrics.counter({
+  name: 'games_finished_total',
+  help: 'Games finished, by how they ended.',
+  labels: ['reason'],
+})
+for (const reason of ['points', 'stock', 'boardFull', 'forfeit'])
+  gamesFinished.inc({ reason }, 0)
 
-function createEmptyBoard() {
-  return Array.from({ length: BOARD_SIZE }, () =>
-    Array.from({ length: BOARD_SIZE }, () => null)
-  )
-}
-function inBounds(r, c) {
-  return r >= 0 && r < BOARD_SIZE && c >= 0 && c < BOARD_SIZE
-}
-function sameOwnerSym(board, r, c, ref) {
-  const v = board[r][c]
-  return v && !v.type && v.player === ref.player && v.sym === ref.sym
-}
-function randomEmptyCell(board) {
-  const empties = []
-  for (let r = 0; r < BOARD_SIZE; r++)
-    for (let c = 0; c < BOARD_SIZE; c++)
-      if (board[r][c] === null) empties.push({ r, c })
-  if (empties.length === 0) return null
-  return empties[Math.floor(Math.random() * empties.length)]
-}
-function placeRandomBlockers(board, count) {
-  let placed = 0
-  while (placed < count) {
-    const pos = randomEmptyCell(board)
-    if (!pos) break
-    board[pos.r][pos.c] = { type: 'BLOCKER' }
-    placed++
-  }
-}
-function boardFull(board) {
-  for (let r = 0; r < BOARD_SIZE; r++)
-    for (let c = 0; c < BOARD_SIZE; c++) if (board[r][c] === null) return false
-  return true
-}
-function evaluateWinners(scores) {
-  const max = Math.max(...scores)
-  const winners = []
-  for (let i = 0; i < scores.length; i++)
-    if (scores[i] === max)
-      winners.push({ index: i, label: `P${i + 1}`, score: scores[i] })
-  return winners
-}
+app.get('/metrics', (_req, res) =>
+  res.type(CONTENT_TYPE).send(metrics.render())
+)
 
 /* -------------------------
-   Scoring & Elimination
+   Accounts API
 -------------------------- */
+const HTTP_STATUS = {
+  INVALID_PAYLOAD: 400,
+  BAD_CREDENTIALS: 401,
+  BAD_NOTATION: 400,
+  ACCOUNT_NOT_FOUND: 404,
+  ROOM_NOT_FOUND: 404,
+  GAME_NOT_FOUND: 404,
+  TOURNAMENT_NOT_FOUND: 404,
+  USERNAME_TAKEN: 409,
+  RATE_LIMITED: 429,
+}
+const NO_ACCOUNT = {
+  code: 'ACCOUNT_NOT_FOUND',
+  message: 'There is no account with that name.',
+}
 
-// Remove adjacent enemy pieces that are beaten by the placed symbol.
-// Returns {removed, highlights[]} where highlights are [{cells:[{r,c}], by:<playerIdx>}]
-function resolveEliminationsFrom(board, r, c, byPlayerIdx) {
-  const placed = board[r][c]
-  if (!placed || placed.type === 'BLOCKER')
-    return { removed: 0, highlights: [] }
-
-  let removed = 0
-  const highlights = []
-
-  const deltas = [
-    [0, 1],
-    [1, 0],
-    [1, 1],
-    [1, -1],
-  ]
+function sendError(res, error) {
+  res.status(HTTP_STATUS[error.code] || 500).json({ error })
+}
 
-  const tryEliminate = (rr, cc) => {
-    if (!inBounds(rr, cc)) return 0
-    const v = board[rr][cc]
-    if (!v || v.type === 'BLOCKER') return 0
-    if (v.player === placed.player) return 0
-    if (WEAK_TO[v.sym] === placed.sym) {
-      board[rr][cc] = null
-      highlights.push({ cells: [{ r: rr, c: cc }], by: byPlayerIdx })
-      return 1
-    }
-    return 0
-  }
-
-  for (const [dr, dc] of deltas) {
-    const line = [{ r, c }]
-    // backward
-    let br = r - dr,
-      bc = c - dc
-    while (inBounds(br, bc) && sameOwnerSym(board, br, bc, placed)) {
-      line.unshift({ r: br, c: bc })
-      br -= dr
-      bc -= dc
-    }
-    // forward
-    let fr = r + dr,
-      fc = c + dc
-    while (inBounds(fr, fc) && sameOwnerSym(board, fr, fc, placed)) {
-      line.push({ r: fr, c: fc })
-      fr += dr
-      fc += dc
-    }
+// ?limit=&offset= of the list endpoints
+function pageOf(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100)
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0)
+  return { limit, offset }
+}
 
-    // find the pair that includes the placed tile, then try eliminations just outside
-    for (let i = 0; i < line.length - 1; i++) {
-      const a = line[i],
-        b = line[i + 1]
-      const includesNew = (a.r === r && a.c === c) || (b.r === r && b.c === c)
-      if (!includesNew) continue
-      removed += tryEliminate(a.r - dr, a.c - dc)
-      removed += tryEliminate(b.r + dr, b.c + dc)
-      break
-    }
+// Routes that cost real work are rate-limited like the socket events, per
+// client address (RATE_LIMITS[action])
+function rateLimit(action) {
+  return (req, res, next) => {
+    if (addressAllows(req.ip, action)) return next()
+    sendError(res, RATE_LIMITED)
   }
-  return { removed, highlights }
 }
 
-// +1 to current player for any 3+ contiguous of same symbol/same owner formed.
-// Returns {points, highlights[]} with entries {cells:[...], by:<playerIdx>}
-function scoreThreeInRow(board, r, c, byPlayerIdx) {
-  const v = board[r][c]
-  if (!v || v.type === 'BLOCKER') return { points: 0, highlights: [] }
-  const { player, sym } = v
+// Signing up and in hashes a password
+const limitSignIns = rateLimit('signIn')
 
-  const deltas = [
-    [0, 1],
-    [1, 0],
-    [1, 1],
-    [1, -1],
-  ]
+// Sign up; the token in the reply signs the device in (socket `authenticate`)
+app.post('/api/accounts', limitSignIns, (req, res) => {
+  const { value, error } = validate(REQUEST_SCHEMAS.register, req.body)
+  if (error) return sendError(res, error)
+  const result = accounts.register(value)
+  if (result.error) return sendError(res, result.error)
+  res.status(201).json(result)
+})
 
-  let points = 0
-  const highlights = []
-
-  for (const [dr, dc] of deltas) {
-    const seg = [{ r, c }]
-    let br = r - dr,
-      bc = c - dc
-    while (inBounds(br, bc) && board[br][bc] && !board[br][bc].type) {
-      const t = board[br][bc]
-      if (t.player === player && t.sym === sym) {
-        seg.unshift({ r: br, c: bc })
-        br -= dr
-        bc -= dc
-      } else break
-    }
-    let fr = r + dr,
-      fc = c + dc
-    while (inBounds(fr, fc) && board[fr][fc] && !board[fr][fc].type) {
-      const t = board[fr][fc]
-      if (t.player === player && t.sym === sym) {
-        seg.push({ r: fr, c: fc })
-        fr += dr
-        fc += dc
-      } else break
-    }
+// Sign in with a password on another device
+app.post('/api/sessions', limitSignIns, (req, res) => {
+  const { value, error } = validate(REQUEST_SCHEMAS.login, req.body)
+  if (error) return sendError(res, error)
+  const result = accounts.login(value)
+  if (result.error) return sendError(res, result.error)
+  res.status(201).json(result)
+})
 
-    if (seg.length >= 3) {
-      points += 1
-      const idx = seg.findIndex((p) => p.r === r && p.c === c)
-      const start = Math.max(0, Math.min(idx - 1, seg.length - 3))
-      const triple = [seg[start], seg[start + 1], seg[start + 2]]
-      highlights.push({ cells: triple, by: byPlayerIdx })
-    }
-  }
+app.get('/api/accounts/:username', (req, res) => {
+  const account = accounts.get(req.params.username)
+  if (!account) return sendError(res, NO_ACCOUNT)
+  res.json(publicProfile(account))
+})
+
+app.get('/api/accounts/:username/matches', (req, res) => {
+  const matches = accounts.history(req.params.username, pageOf(req.query))
+  if (!matches) return sendError(res, NO_ACCOUNT)
+  res.json(matches)
+})
+
+app.get('/api/leaderboard', (req, res) =>
+  res.json(accounts.leaderboard(pageOf(req.query)))
+)
 
-  return { points, highlights }
+/* -------------------------
+   Rooms & Games API (read-only)
+-------------------------- */
+// NO_ROOM and NO_TOURNAMENT are shared with the socket handlers below
+const NO_GAME = {
+  code: 'GAME_NOT_FOUND',
+  message: 'There is no finished game with that id.',
 }
 
-// Misplacement: see original description.
-// Returns {awarded:[{player,points}], highlights:[{cells:[...], by:<playerIdxAwarded>}]}
-function scoreMisplacement(board, r, c) {
-  const placed = board[r][c]
-  if (!placed || placed.type === 'BLOCKER')
-    return { awarded: [], highlights: [] }
-  const { player: pPlayer, sym: pSym } = placed
-  const opponentStrongSym = WEAK_TO[pSym]
+// The public rooms, as the lobby shows them
+app.get('/api/rooms', (_req, res) => res.json(lobbySummary(null)))
 
-  const deltas = [
-    [0, 1],
-    [1, 0],
-    [1, 1],
-    [1, -1],
-  ]
+app.get('/api/rooms/:id', async (req, res) => {
+  const state = rooms.has(req.params.id)
+    ? viewableState(req.params.id)
+    : await remoteRoomState(req.params.id)
+  if (!state) return sendError(res, NO_ROOM)
+  res.json(state)
+})
 
-  const awarded = []
-  const highlights = []
-
-  for (const [dr, dc] of deltas) {
-    const windows = [
-      [
-        { r: r - 2 * dr, c: c - 2 * dc },
-        { r: r - 1 * dr, c: c - 1 * dc },
-        { r: r, c: c },
-      ],
-      [
-        { r: r - 1 * dr, c: c - 1 * dc },
-        { r: r, c: c },
-        { r: r + 1 * dr, c: c + 1 * dc },
-      ],
-      [
-        { r: r, c: c },
-        { r: r + 1 * dr, c: c + 1 * dc },
-        { r: r + 2 * dr, c: c + 2 * dc },
-      ],
-    ]
-
-    let directionAwarded = false
-
-    for (const win of windows) {
-      if (directionAwarded) break
-      const tiles = []
-      let ok = true
-      for (const pos of win) {
-        if (!inBounds(pos.r, pos.c)) {
-          ok = false
-          break
-        }
-        const t = board[pos.r][pos.c]
-        if (!t || t.type === 'BLOCKER') {
-          ok = false
-          break
-        }
-        tiles.push({ ...pos, ...t })
-      }
-      if (!ok) continue
-      if (!tiles.some((t) => t.r === r && t.c === c)) continue
+// A finished game's record (see archiveGame)
+app.get('/api/games/:id', async (req, res) => {
+  const game = await gameStore.load(req.params.id)
+  if (!game) return sendError(res, NO_GAME)
+  res.json(game)
+})
 
-      const others = tiles.filter((t) => !(t.r === r && t.c === c))
-      if (others.length !== 2) continue
+// A finished game reviewed move by move (see reviewGame in src/analysis.js).
+// The review is worked out on the first request and kept with the record.
+const pendingReviews = new Map() // game id -> Promise<review>
+
+function reviewOf(game) {
+  if (game.analysis) return game.analysis
+  if (!pendingReviews.has(game.id))
+    pendingReviews.set(
+      game.id,
+      reviewGame(game.initial, game.moves, {
+        pause: () => new Promise(setImmediate), // keep the server responsive
+        budget: REVIEW_BUDGET,
+      })
+        .then((analysis) => {
+          gameStore.save({ ...game, analysis })
+          return analysis
+        })
+        .finally(() => pendingReviews.delete(game.id))
+    )
+  return pendingReviews.get(game.id)
+}
 
-      const bothStronger =
-        others.every((t) => t.sym === opponentStrongSym) &&
-        others.every((t) => t.player !== pPlayer)
+const limitReviews = rateLimit('reviewGame')
 
-      const sameOpponentOwner =
-        bothStronger && others[0].player === others[1].player
+app.get('/api/games/:id/analysis', limitReviews, async (req, res) => {
+  const game = await gameStore.load(req.params.id)
+  if (!game) return sendError(res, NO_GAME)
+  res.json(await reviewOf(game))
+})
 
-      if (bothStronger && sameOpponentOwner) {
-        const opp = others[0].player
-        awarded.push({ player: opp, points: 1 })
-        highlights.push({
-          cells: win.map((w) => ({ r: w.r, c: w.c })),
-          by: opp,
-        })
-        directionAwarded = true
-      }
-    }
-  }
+// The same game as notation text, see src/notation.js for the format
+app.get('/api/games/:id/notation', async (req, res) => {
+  const game = await gameStore.load(req.params.id)
+  if (!game) return sendError(res, NO_GAME)
+  res
+    .type('text')
+    .attachment(`ric-pac-soe-${game.id}.txt`)
+    .send(exportGame(game))
+})
 
-  return { awarded, highlights }
+// A tournament with its rounds and standings, wherever it runs; finished
+// ones come from the store
+async function findTournament(id) {
+  if (tournaments.has(id)) return publicTournament(tournaments.get(id))
+  const remote = await remoteTournament(id)
+  if (remote) return remote
+  const saved = await tournamentStore.load(id)
+  return saved && publicTournament(saved)
 }
 
+app.get('/api/tournaments/:id', async (req, res) => {
+  const tournament = await findTournament(req.params.id)
+  if (!tournament) return sendError(res, NO_TOURNAMENT)
+  res.json(tournament)
+})
+
+app.get('/api/tournaments/:id/standings', async (req, res) => {
+  const tournament = await findTournament(req.params.id)
+  if (!tournament) return sendError(res, NO_TOURNAMENT)
+  res.json(tournament.standings)
+})
+
+// Check notation text and read it back into a record; nothing is stored
+app.post('/api/games/import', express.text({ limit: '256kb' }), (req, res) => {
+  const { record, error } = importGame(
+    typeof req.body === 'string' ? req.body : ''
+  )
+  if (error) return sendError(res, error)
+  res.json(record)
+})
+
+/* -------------------------
+   Game Constants & Helpers
+-------------------------- */
+const COLORS = ['#4f46e5', '#ef4444', '#10b981', '#f59e0b']
+const ROOM_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const nanoid = customAlphabet(ROOM_ID_ALPHABET, 6)
+const createGameId = customAlphabet(ROOM_ID_ALPHABET, 10)
+const TOKEN_ALPHABET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+const createToken = customAlphabet(TOKEN_ALPHABET, 24)
+const MAX_INVITES = 50 // open invites kept per room
+const MAX_CHAT = 200 // chat messages kept per room
+const SWEEP_MS = 60 * 1000 // how often idle rooms are looked for
+
 /* -------------------------
    Rooms & State
 -------------------------- */
-const rooms = new Map() // roomId -> GameRoom
+const rooms = new Map() // roomId -> GameRoom (the rooms this instance owns)
+const graceTimers = new Map() // reconnect token -> timeout
+const botTimers = new Map() // roomId -> pending bot move
+const turnTimers = new Map() // roomId -> turn/game clock timeout
+const INSTANCE_ID =
+  process.env.INSTANCE_ID || customAlphabet(ROOM_ID_ALPHABET, 8)()
+const log = processLog.child({ instance: INSTANCE_ID }) // see src/log.js
+const bus = createBus() // see CLUSTER_BUS in src/cluster.js
+const rpc = createRpc(bus, INSTANCE_ID)
+const store = createRoomStore() // see ROOM_STORE in src/store.js
+const accountStore = createAccountStore() // see ACCOUNT_STORE
+// Account changes reach the other instances' copies over the bus
+const accounts = createAccounts({
+  ...accountStore,
+  save(account) {
+    accountStore.save(account)
+    bus.publish('accounts', { from: INSTANCE_ID, account })
+  },
+})
+const gameStore = createGameStore() // see GAME_STORE
+const tournamentStore = createTournamentStore() // see TOURNAMENT_STORE
+
+// A new room's settings
+function defaultSettings() {
+  return {
+    rows: BOARD_SIZE,
+    cols: BOARD_SIZE,
+    layout: 'classic', // see LAYOUTS in src/game.js
+    teams: false, // 2v2 with four players, see teamOf in src/game.js
+    tilesPerSymbol: 10,
+    blockers: 8,
+    pointsToWin: 7,
+    turnSeconds: 0, // per-turn limit, 0 = off
+    gameSeconds: 0, // per-player game clock, 0 = off
+    timeoutAction: 'skip', // 'skip' | 'forfeit' when a turn times out
+    spectatorDelay: 0, // seconds spectators see the game late, 0 = live
+    firstPlayer: 'rotate', // 'rotate' | 'random' | 'fixed', see firstSeatOf
+    chatFilter: true, // mask blocklisted words, see CHAT_BLOCKLIST
+    hints: true, // players may ask for a hint, see requestHint
+    moveHours: 0, // correspondence: hours for each move, 0 = live play
+    rules: { ...DEFAULT_RULES }, // rule variant, see src/game.js
+  }
+}
 
 function ensureRoom(roomId) {
   if (!rooms.has(roomId)) {
+    const settings = defaultSettings()
     rooms.set(roomId, {
       id: roomId,
-      settings: { tilesPerSymbol: 10, blockers: 8, pointsToWin: 7 },
-      players: [], // { socketId, name }
-      spectators: [], // { socketId, name }
+      settings,
+      // { socketId, name, token, connected, address, ready, account?, bot? }
+      players: [],
+      spectators: [], // { socketId, name, address, follow }
+      hostToken: null, // seat token of the host (see ensureHost)
+      locked: false, // locked rooms refuse new joins
+      private: false, // private rooms are hidden from the lobby
+      passwordHash: null, // see hashPassword
+      invites: [], // single-use { token, expiresAt }
+      banned: [], // client addresses the host has banned
+      muted: [], // client addresses the host has muted in chat
+      createdBy: null, // client address that opened the room (room caps)
       turn: 0,
+      slot: 0, // seat whose turn it is (differs from turn after a team forfeit)
       lastPlayed: {},
       scores: [],
       stock: [],
-      board: createEmptyBoard(),
+      board: createBoard(settings), // previews the layout before the start
       gameOver: false,
       message: '',
       started: false,
       updatedAt: Date.now(),
-      chat: [], // { name, text, time }
+      chat: [], // chat messages, see postChat
+      spectatorChat: [], // the same, spectators only
+      chatSeq: 0, // id of the last chat message
+      reports: [], // reported chat messages: { id, by, reason, at }
       highlights: [], // array of {cells:[{r,c}], by:<playerIdx>} to flash ONCE
+      initial: null, // game state right after newGame, for replay/undo
+      moves: [], // { seq, move, events, at }
+      undo: null, // pending undo request: { by, seq, accepted:[playerIdx] }
+      forfeited: [], // player indices out of the current game
+      clock: null, // { turn, moveCount, startedAt, endsAt, bank:[ms]|null }
+      gameId: null, // archive id of the last finished game, see archiveGame
+      firstSeat: -1, // seat that opened the last game
+      series: { games: 0, wins: [], draws: 0 }, // this room's games, per seat
+      tournament: null, // { id, match } for a tournament game, see openMatches
     })
+    claimLease(`room:${roomId}`)
+    log.info('room created', { roomId })
   }
   return rooms.get(roomId)
 }
@@ -363,373 +524,2599 @@ function publicState(room) {
   return {
     id: room.id,
     settings: room.settings,
+    rules: rulesOf(room.settings),
+    symbolSet: symbolSetOf(room.settings),
     players: room.players.map((p, i) => ({
       name: p.name || `P${i + 1}`,
       color: COLORS[i % COLORS.length],
+      connected: p.connected !== false,
+      bot: p.bot || null,
+      account: p.account || null,
+      rating: p.account ? ratingOf(p.account) : null,
+      team: room.settings.teams ? teamOf(room.settings, i) : null,
+      muted: isMuted(room, p),
+      ready: !!(p.bot || p.ready),
+      left: !!p.left, // forfeited by leaving; the seat goes after the game
+    })),
+    spectators: room.spectators.map((s) => ({
+      name: s.name || 'Spectator',
+      follow: s.follow ?? null, // seat index whose view they follow
+      muted: isMuted(room, s),
     })),
-    spectators: room.spectators.map((s) => ({ name: s.name || 'Spectator' })),
+    host: hostIndex(room) === -1 ? null : hostIndex(room),
+    locked: room.locked,
+    private: room.private,
+    hasPassword: !!room.passwordHash,
     turn: room.turn,
     lastPlayed: room.lastPlayed,
     scores: room.scores,
+    teams: teamScores(room.settings, room.scores),
     stock: room.stock,
     board: room.board,
     gameOver: room.gameOver,
     message: room.message,
     started: room.started,
-    chat: room.chat.slice(-200),
+    chat: room.chat.slice(-MAX_CHAT),
     highlights: room.highlights || [],
+    moveCount: room.moves.length,
+    lastMove: room.moves.at(-1)?.move ?? null,
+    undo: room.undo,
+    forfeited: room.forfeited,
+    clock: publicClock(room),
+    gameId: room.gameId,
+    series: room.series,
+    tournament: room.tournament,
   }
 }
 
-function lobbySummary() {
-  const list = []
-  for (const [id, r] of rooms.entries()) {
-    list.push({
-      id,
-      players: r.players.length,
-      spectators: r.spectators.length,
-      started: r.started,
-      updatedAt: r.updatedAt,
-    })
+// Remaining times as of now; clients count down from these
+function publicClock(room) {
+  const clock = room.clock
+  if (!clock) return null
+  const now = Date.now()
+  return {
+    turn: clock.turn,
+    remainingMs: Math.max(0, clock.endsAt - now),
+    bank:
+      clock.bank &&
+      clock.bank.map((ms, i) =>
+        i === clock.turn ? Math.max(0, ms - (now - clock.startedAt)) : ms
+      ),
   }
-  list.sort((a, b) => b.updatedAt - a.updatedAt)
-  return list
 }
 
-function emitRoomStateOnce(room) {
-  // Emit state that includes ephemeral highlights, then clear them immediately
-  io.to(room.id).emit('state', publicState(room))
-  room.highlights = []
+// Lobby rows for this instance's rooms. Private rooms list their members'
+// socket ids, so any instance can tell who may see them.
+function lobbyRows() {
+  return [...rooms.entries()].map(([id, r]) => ({
+    id,
+    players: r.players.length,
+    spectators: r.spectators.length,
+    host: r.players[hostIndex(r)]?.name ?? null,
+    locked: r.locked,
+    private: r.private,
+    hasPassword: !!r.passwordHash,
+    started: r.started,
+    tournament: r.tournament?.id ?? null,
+    moveHours: r.settings.moveHours || 0,
+    updatedAt: r.updatedAt,
+    waiting: waitingOn(r), // see inboxOf
+    members: r.private
+      ? [...r.players, ...r.spectators].map((m) => m.socketId).filter(Boolean)
+      : undefined,
+  }))
 }
 
-/* -------------------------
-   Socket.IO
--------------------------- */
-io.on('connection', (socket) => {
-  let joinedRoomId = null
-
-  // Lobby
-  socket.emit('lobby', lobbySummary())
-  socket.on('requestLobby', () => socket.emit('lobby', lobbySummary()))
-
-  socket.on('createRoom', () => {
-    const id = nanoid()
-    ensureRoom(id)
-    io.emit('lobby', lobbySummary())
-    socket.emit('roomCreated', { id })
-  })
+// Rooms `socketId` may see across all instances: public ones plus private
+// rooms it belongs to
+function lobbySummary(socketId, rows = allLobbyRows()) {
+  return rows
+    .filter((r) => !r.private || r.members.includes(socketId))
+    .map(({ members, waiting, ...row }) => row)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+}
 
-  socket.on('joinRoom', ({ roomId, name, asSpectator }) => {
-    const room = ensureRoom(roomId)
-    socket.join(roomId)
-    joinedRoomId = roomId
+// The lobby differs per socket, so each one gets its own copy; the other
+// instances hear about this one's rooms and update their sockets
+function broadcastLobby() {
+  publishLobby()
+  emitLobby()
+}
 
-    // Once a game is generated/started, only spectators can join
-    const forceSpectator = room.started === true
+function emitLobby() {
+  const rows = allLobbyRows()
+  for (const socket of io.sockets.sockets.values())
+    socket.emit('lobby', lobbySummary(socket.id, rows))
+}
 
-    if (!forceSpectator && !asSpectator && room.players.length < 4) {
-      const myIndex = room.players.length
-      room.players.push({
-        socketId: socket.id,
-        name: (name || `P${myIndex + 1}`).slice(0, 24),
-      })
-      if (!room.started) {
-        room.scores = Array.from({ length: room.players.length }, () => 0)
-        room.stock = Array.from({ length: room.players.length }, () => ({
-          R: room.settings.tilesPerSymbol,
-          P: room.settings.tilesPerSymbol,
-          S: room.settings.tilesPerSymbol,
-        }))
-      }
-      socket.emit('you', { role: 'player', index: myIndex, roomId })
-    } else {
-      room.spectators.push({
-        socketId: socket.id,
-        name: (name || 'Spectator').slice(0, 24),
-      })
-      socket.emit('you', { role: 'spectator', index: null, roomId })
-    }
+// The slice of a room the rules engine works on
+function gameStateOf(room) {
+  return {
+    settings: room.settings,
+    board: room.board,
+    turn: room.turn,
+    slot: room.slot,
+    scores: room.scores,
+    stock: room.stock,
+    lastPlayed: room.lastPlayed,
+    gameOver: room.gameOver,
+    forfeited: room.forfeited,
+  }
+}
 
-    room.updatedAt = Date.now()
-    emitRoomStateOnce(room)
-    io.emit('lobby', lobbySummary())
-  })
+function playerName(room, i) {
+  return room.players[i]?.name || `P${i + 1}`
+}
 
-  // Leave room explicitly
-  socket.on('leaveRoom', ({ roomId }) => {
-    const room = rooms.get(roomId)
-    if (!room) return
-    socket.leave(roomId)
+// A player's name, or "Team A (Ann & Bo)" in team games
+function sideName(room, i) {
+  const teams = teamScores(room.settings, room.scores)
+  if (!teams) return playerName(room, i)
+  const team = teams[teamOf(room.settings, i)]
+  const members = team.players.map((p) => playerName(room, p)).join(' & ')
+  return `Team ${team.name} (${members})`
+}
 
-    // remove spectator
-    const sIdx = room.spectators.findIndex((s) => s.socketId === socket.id)
-    if (sIdx >= 0) {
-      room.spectators.splice(sIdx, 1)
-    }
+function gameOverMessage(room, { reason, player, winners }) {
+  // team games list every winning teammate; one entry per side is enough
+  winners = winners.filter(
+    (w, i) => winners.findIndex((o) => o.label === w.label) === i
+  )
+  const tie = winners.map((w) => w.label).join(', ')
+  switch (reason) {
+    case 'points':
+      return `${sideName(room, player)} wins by reaching ${room.settings.pointsToWin} points!`
+    case 'forfeit':
+      return `${sideName(room, winners[0].index)} wins — ${playerName(
+        room,
+        player
+      )} forfeited.`
+    case 'stock':
+      return winners.length === 1
+        ? `Game over — ${playerName(room, player)} used all tiles. ${
+            winners[0].label
+          } wins with ${winners[0].score} points!`
+        : `Game over — ${playerName(room, player)} used all tiles. Tie between ${tie} (score ${
+            winners[0].score
+          }).`
+    default:
+      return winners.length === 1
+        ? `${winners[0].label} wins with ${winners[0].score} points (board full).`
+        : `Board full. Tie between ${tie} (score ${winners[0].score}).`
+  }
+}
 
-    // remove player (free seat)
-    const pIdx = room.players.findIndex((p) => p.socketId === socket.id)
-    if (pIdx >= 0) {
-      room.players.splice(pIdx, 1)
-      // Adjust turn if needed
-      if (room.turn >= room.players.length) room.turn = 0
-      // shrink scores/stock
-      room.scores.splice(pIdx, 1)
-      room.stock.splice(pIdx, 1)
-    }
+// Run a move through the rules engine, log it and publish the result.
+// Returns the engine's error ({code, message}) for an illegal move.
+function applyRoomMove(room, move) {
+  if (!room.started)
+    return { code: 'NOT_STARTED', message: 'The game has not started.' }
+  const { state, events, error } = applyMove(gameStateOf(room), move)
+  if (error) return error
+
+  Object.assign(room, state)
+  room.moves.push({ seq: room.moves.length + 1, move, events, at: Date.now() })
+  room.undo = null
+  room.highlights = events.flatMap((e) => e.highlights || [])
+  announceMove(room, events)
+  movesPlayed.inc()
+  log.info('move', {
+    roomId: room.id,
+    seq: room.moves.length,
+    player: move.player,
+    type: move.type,
+  })
+  const over = events.find((e) => e.type === 'gameOver')
+  if (over) {
+    room.message = gameOverMessage(room, over)
+    systemMessage(room, room.message, true)
+    archiveGame(room, over)
+    gamesFinished.inc({ reason: over.reason })
+    log.info('game over', {
+      roomId: room.id,
+      gameId: room.gameId,
+      reason: over.reason,
+      winners: over.winners.map((w) => w.index),
+      moves: room.moves.length,
+    })
+    recordResult(room, over)
+    countSeriesGame(room, over)
+    if (room.tournament) reportTournamentGame(room, over)
+  }
 
-    // If all players have left, dismantle the room (regardless of spectators)
-    if (room.players.length === 0) {
-      rooms.delete(roomId)
-      io.emit('lobby', lobbySummary())
-      return
-    }
+  room.updatedAt = Date.now()
+  emitRoomStateOnce(room)
+  if (over) broadcastLobby()
+  return null
+}
 
-    room.started = false
-    room.gameOver = false
-    room.message = 'You left the room.'
-    room.updatedAt = Date.now()
-    emitRoomStateOnce(room)
-    io.emit('lobby', lobbySummary())
-    if (joinedRoomId === roomId) joinedRoomId = null
+// Deal a fresh game for the seated players and announce it
+function startGame(room, message) {
+  stopTurnClock(room)
+  dropLeftSeats(room)
+  room.firstSeat = firstSeatOf(room)
+  Object.assign(
+    room,
+    createGame(room.settings, room.players.length, { first: room.firstSeat })
+  )
+  for (const player of room.players) player.ready = false
+  resetHistory(room)
+  room.message = message
+  room.started = true
+  room.highlights = []
+  room.gameId = null
+  log.info('game started', {
+    roomId: room.id,
+    players: room.players.length,
+    firstSeat: room.firstSeat,
+    tournament: room.tournament?.id,
   })
 
-  socket.on('newGame', ({ roomId, tilesPerSymbol, blockers, pointsToWin }) => {
-    const room = rooms.get(roomId)
-    if (!room) return
+  room.updatedAt = Date.now()
+  emitRoomStateOnce(room)
+  broadcastLobby()
+}
 
-    const member =
-      room.players.some((p) => p.socketId === socket.id) ||
-      room.spectators.some((s) => s.socketId === socket.id)
-    if (!member) return
+// Who opens the next game: the seat after the last game's opener, any seat,
+// or always the first one
+function firstSeatOf(room) {
+  const seats = room.players.length
+  if (room.settings.firstPlayer === 'random')
+    return Math.floor(Math.random() * seats)
+  if (room.settings.firstPlayer === 'fixed') return 0
+  return (room.firstSeat + 1) % seats
+}
 
-    room.settings.tilesPerSymbol = Math.max(
-      1,
-      Math.min(99, parseInt(tilesPerSymbol ?? 10, 10))
-    )
-    room.settings.blockers = Math.max(
-      0,
-      Math.min(BOARD_SIZE * BOARD_SIZE, parseInt(blockers ?? 8, 10))
-    )
-    room.settings.pointsToWin = Math.max(
-      1,
-      Math.min(999, parseInt(pointsToWin ?? 7, 10))
+// Series score: a win for every winning seat, unless opponents share first
+// place (a draw)
+function countSeriesGame(room, { winners }) {
+  const sides = new Set(
+    winners.map(({ index }) =>
+      room.settings.teams ? teamOf(room.settings, index) : index
     )
+  )
+  room.series.games++
+  if (sides.size > 1) room.series.draws++
+  else for (const { index } of winners) room.series.wins[index]++
+}
 
-    room.turn = 0
-    room.lastPlayed = {}
-    room.scores = Array.from({ length: room.players.length }, () => 0)
-    room.stock = Array.from({ length: room.players.length }, () => ({
-      R: room.settings.tilesPerSymbol,
-      P: room.settings.tilesPerSymbol,
-      S: room.settings.tilesPerSymbol,
-    }))
-    room.board = createEmptyBoard()
-    room.gameOver = false
-    room.message = 'New game started.'
-    room.started = true
-    room.highlights = []
+// Humans say they are ready for the next game; bots always are, and seats
+// whose players left are dropped when it is dealt
+function waitingFor(room) {
+  return room.players.filter((p) => !p.bot && !p.left && !p.ready)
+}
 
-    if (room.settings.blockers > 0)
-      placeRandomBlockers(room.board, room.settings.blockers)
+// Start the next game once every seat is ready, and there are two of them
+function startWhenReady(room, message) {
+  const waiting = waitingFor(room)
+  if (waiting.length) {
+    room.message = `Waiting for ${waiting.map((p) => p.name).join(', ')}.`
+    return false
+  }
+  if (room.players.filter((p) => !p.left).length < 2) {
+    room.message = 'Waiting for another player.'
+    return false
+  }
+  startGame(room, message)
+  return true
+}
 
-    room.updatedAt = Date.now()
-    emitRoomStateOnce(room)
-    io.emit('lobby', lobbySummary())
+// Keep the finished game's record for the games API
+function archiveGame(room, { reason, winners }) {
+  room.gameId = createGameId()
+  gameStore.save({
+    id: room.gameId,
+    roomId: room.id,
+    endedAt: Date.now(),
+    players: room.players.map((_, i) => playerName(room, i)),
+    initial: room.initial,
+    moves: room.moves.map((m) => m.move),
+    result: { reason, winners },
   })
+}
 
-  socket.on('placePiece', ({ roomId, r, c, sym }) => {
-    const room = rooms.get(roomId)
-    if (!room || room.gameOver) return
-    const playerIdx = room.players.findIndex((p) => p.socketId === socket.id)
-    if (playerIdx === -1) return // spectators can't act
-    if (playerIdx !== room.turn) return
-    if (!['R', 'P', 'S'].includes(sym)) return
-    if (!inBounds(r, c)) return
-    if (room.board[r][c] !== null) return
-    if ((room.stock[playerIdx]?.[sym] ?? 0) <= 0) return
-
-    // place
-    room.board[r][c] = { player: playerIdx, sym }
-    room.stock[playerIdx][sym]--
-    room.lastPlayed[playerIdx] = sym
-
-    // reset highlights for this move
-    room.highlights = []
-
-    // Misplacement score first (opponent gains if applicable)
-    const mis = scoreMisplacement(room.board, r, c)
-    for (const a of mis.awarded) {
-      room.scores[a.player] = (room.scores[a.player] ?? 0) + a.points
-    }
-    room.highlights.push(...mis.highlights)
+// Rate the finished game for every seat signed in to an account
+function recordResult(room, { reason, winners }) {
+  const places = standings(gameStateOf(room), winners)
+  accounts.recordMatch({
+    roomId: room.id,
+    gameId: room.gameId,
+    reason,
+    players: places.map(({ player, side, rank }) => ({
+      username: room.players[player]?.account ?? null,
+      name: playerName(room, player),
+      score: room.scores[player],
+      side,
+      rank,
+    })),
+  })
+  // recordMatch skips accounts this instance does not know; so does this
+  for (const p of room.players) {
+    const account = p.account ? accounts.get(p.account) : null
+    if (account && p.socketId)
+      io.to(p.socketId).emit('account', publicProfile(account))
+  }
+}
 
-    // eliminations -> current player score, flash in current player's color
-    const elim = resolveEliminationsFrom(room.board, r, c, playerIdx)
-    if (elim.removed > 0) {
-      room.scores[playerIdx] += elim.removed
-      room.highlights.push(...elim.highlights)
-    }
+// Start a fresh move log from the current position
+function resetHistory(room) {
+  room.initial = structuredClone(gameStateOf(room))
+  room.moves = []
+  room.undo = null
+}
 
-    // 3-in-a-row bonus for current player
-    const tri = scoreThreeInRow(room.board, r, c, playerIdx)
-    if (tri.points > 0) {
-      room.scores[playerIdx] += tri.points
-      room.highlights.push(...tri.highlights)
-    }
+// Players whose consent an undo needs: every human but the requester
+function undoPending(room) {
+  return room.players
+    .map((_, i) => i)
+    .filter(
+      (i) =>
+        i !== room.undo.by &&
+        !room.players[i].bot &&
+        !room.undo.accepted.includes(i)
+    )
+}
 
-    // win by points
-    if ((room.scores[playerIdx] ?? 0) >= room.settings.pointsToWin) {
-      room.gameOver = true
-      const name = room.players[playerIdx].name || `P${playerIdx + 1}`
-      room.message = `${name} wins by reaching ${room.settings.pointsToWin} points!`
-      room.updatedAt = Date.now()
-      emitRoomStateOnce(room)
-      io.emit('lobby', lobbySummary())
-      return
-    }
+// Take back the last move by replaying the log without it
+function performUndo(room) {
+  const moves = room.moves.slice(0, -1)
+  const frames = replayMoves(
+    room.initial,
+    moves.map((m) => m.move)
+  )
+  Object.assign(room, frames.at(-1).state)
+  room.moves = moves
+  room.undo = null
+  room.highlights = []
+  log.info('move undone', { roomId: room.id, seq: moves.length + 1 })
+}
 
-    // end conditions
-    for (let i = 0; i < room.players.length; i++) {
-      const st = room.stock[i] || { R: 0, P: 0, S: 0 }
-      if (st.R + st.P + st.S === 0) {
-        room.gameOver = true
-        const winners = evaluateWinners(room.scores)
-        if (winners.length === 1) {
-          room.message = `Game over — ${
-            room.players[i].name || `P${i + 1}`
-          } used all tiles. ${winners[0].label} wins with ${
-            winners[0].score
-          } points!`
-        } else {
-          room.message = `Game over — ${
-            room.players[i].name || `P${i + 1}`
-          } used all tiles. Tie between ${winners
-            .map((w) => w.label)
-            .join(', ')} (score ${winners[0].score}).`
-        }
-        room.updatedAt = Date.now()
-        emitRoomStateOnce(room)
-        io.emit('lobby', lobbySummary())
-        return
-      }
-    }
-    if (boardFull(room.board)) {
-      room.gameOver = true
-      const winners = evaluateWinners(room.scores)
-      room.message =
-        winners.length === 1
-          ? `${winners[0].label} wins with ${winners[0].score} points (board full).`
-          : `Board full. Tie between ${winners.map((w) => w.label).join(', ')} (score ${
-              winners[0].score
-            }).`
-      room.updatedAt = Date.now()
-      emitRoomStateOnce(room)
-      io.emit('lobby', lobbySummary())
-      return
-    }
+// Every position of the current game, for the replay viewer
+function replayFrames(room) {
+  if (!room.initial) return []
+  return replayMoves(
+    room.initial,
+    room.moves.map((m) => m.move)
+  ).map(({ state, events, move }) => ({
+    board: state.board,
+    scores: state.scores,
+    turn: state.turn,
+    move,
+    events,
+  }))
+}
 
-    // next turn
-    room.turn = (room.turn + 1) % room.players.length
-    room.updatedAt = Date.now()
-    emitRoomStateOnce(room)
-  })
+/* -------------------------
+   Turn & Game Clocks
+-------------------------- */
+function timeControlsOn(settings) {
+  return (
+    settings.turnSeconds > 0 ||
+    settings.gameSeconds > 0 ||
+    settings.moveHours > 0
+  )
+}
 
-  socket.on('moveBlocker', ({ roomId, from, to }) => {
-    const room = rooms.get(roomId)
-    if (!room || room.gameOver) return
-    const playerIdx = room.players.findIndex((p) => p.socketId === socket.id)
-    if (playerIdx === -1) return // spectators
-    if (playerIdx !== room.turn) return
+// Time for one move: hours in a correspondence game, else turnSeconds
+function turnLimitMs({ moveHours, turnSeconds }) {
+  if (moveHours > 0) return moveHours * 60 * 60 * 1000
+  return turnSeconds * 1000
+}
 
-    if (!inBounds(from?.r, from?.c) || !inBounds(to?.r, to?.c)) return
-    const v = room.board[from.r][from.c]
-    if (!v || v.type !== 'BLOCKER') return
-    if (room.board[to.r][to.c] !== null) return
+function stopTurnClock(room) {
+  clearTimeout(turnTimers.get(room.id))
+  turnTimers.delete(room.id)
+  room.clock = null
+}
 
-    const dr = Math.abs(from.r - to.r),
-      dc = Math.abs(from.c - to.c)
-    if ((dr === 0 && dc === 0) || dr > 1 || dc > 1) return // exactly one step
+// Restart the clock whenever the turn moves on (a move, pass or undo), first
+// charging the time the previous player used to their game clock
+function syncTurnClock(room) {
+  if (!room.started || room.gameOver || !timeControlsOn(room.settings)) {
+    stopTurnClock(room)
+    return
+  }
+  const prev = room.clock
+  if (prev && prev.turn === room.turn && prev.moveCount === room.moves.length)
+    return
+
+  const now = Date.now()
+  const { gameSeconds } = room.settings
+  const turnMs = turnLimitMs(room.settings)
+  const bank =
+    prev?.bank ??
+    (gameSeconds > 0 ? room.players.map(() => gameSeconds * 1000) : null)
+  if (prev && bank && prev.turn in bank)
+    bank[prev.turn] = Math.max(0, bank[prev.turn] - (now - prev.startedAt))
+
+  let endsAt = Infinity
+  if (turnMs > 0) endsAt = now + turnMs
+  if (bank) endsAt = Math.min(endsAt, now + bank[room.turn])
+  room.clock = {
+    turn: room.turn,
+    moveCount: room.moves.length,
+    startedAt: now,
+    endsAt,
+    bank,
+  }
+  armTurnTimer(room)
+}
 
-    room.board[to.r][to.c] = { type: 'BLOCKER' }
-    room.board[from.r][from.c] = null
-    room.highlights = [] // no highlight for blocker move
+function armTurnTimer(room) {
+  clearTimeout(turnTimers.get(room.id))
+  turnTimers.delete(room.id)
+  if (!room.clock) return
+  turnTimers.set(
+    room.id,
+    setTimeout(
+      traced(() => onTurnTimeout(room)),
+      Math.max(0, room.clock.endsAt - Date.now())
+    )
+  )
+}
 
-    room.turn = (room.turn + 1) % room.players.length
-    room.updatedAt = Date.now()
-    emitRoomStateOnce(room)
+// Out of time: an empty game clock always forfeits; a turn limit follows
+// settings.timeoutAction
+function onTurnTimeout(room) {
+  turnTimers.delete(room.id)
+  if (rooms.get(room.id) !== room || room.gameOver || !room.clock) return
+  const { turn, startedAt, bank } = room.clock
+  if (turn !== room.turn) return
+
+  const outOfBank = bank && Date.now() - startedAt >= bank[turn]
+  const forfeit = outOfBank || room.settings.timeoutAction === 'forfeit'
+  const name = playerName(room, turn)
+  room.message = forfeit
+    ? `${name} ran out of time and forfeits.`
+    : `${name} ran out of time — turn skipped.`
+  const error = applyRoomMove(room, {
+    type: forfeit ? 'forfeit' : 'pass',
+    player: turn,
   })
+  if (error) log.error('clock move refused', { roomId: room.id, error })
+}
 
-  // Chat (basic sanitization on client)
-  socket.on('chat', ({ roomId, name, text }) => {
-    const room = rooms.get(roomId)
-    if (!room) return
-    const msg = {
-      name: (name || 'Anon').slice(0, 24),
-      text: (text || '').slice(0, 300),
-      time: Date.now(),
-    }
-    room.chat.push(msg)
-    room.updatedAt = Date.now()
-    io.to(roomId).emit('chat', msg)
-  })
+// Players and spectators of a room each follow a stream of numbered states.
+// A socket gets the whole `state` ({...publicState, stream, seq}) when it
+// asks (requestState); after that every change comes as a `statePatch`
+// {stream, seq, ops} against the one before (see src/statediff.js). A
+// client that misses a number asks for the whole state again.
+const sentStates = new Map() // roomId -> { [stream]: { seq, state } }
+
+function streamTarget(room, stream) {
+  return stream === 'spectators'
+    ? io.to(spectatorChannel(room.id))
+    : io.to(room.id).except(spectatorChannel(room.id))
+}
 
-  socket.on('requestState', ({ roomId }) => {
-    const room = rooms.get(roomId)
-    if (room) io.to(socket.id).emit('state', publicState(room))
-  })
+// Send what changed in `state` since the stream's last one; the first state
+// of a stream (a new room, or one taken over) goes out whole
+function publishState(room, stream, state) {
+  if (!sentStates.has(room.id)) sentStates.set(room.id, {})
+  const streams = sentStates.get(room.id)
+  const last = streams[stream]
+  const seq = (last?.seq ?? 0) + 1
+  const to = streamTarget(room, stream)
+  if (!last) to.emit('state', { ...state, stream, seq })
+  else {
+    const ops = diffState(last.state, state)
+    if (!ops.length) return
+    to.emit('statePatch', { stream, seq, ops })
+  }
+  // a copy: publicState shares objects the room goes on changing in place
+  streams[stream] = { seq, state: structuredClone(state) }
+}
 
-  socket.on('disconnect', () => {
-    if (!joinedRoomId) return
-    const room = rooms.get(joinedRoomId)
-    if (!room) return
+// The stream's latest state, whole, as requestState sends it
+function currentState(room, stream) {
+  const { seq, state } = sentStates.get(room.id)[stream]
+  return { ...state, stream, seq }
+}
 
-    // players: remove completely on disconnect (so room can dismantle when empty)
-    const pIdx = room.players.findIndex((p) => p.socketId === socket.id)
-    if (pIdx >= 0) {
-      room.players.splice(pIdx, 1)
-      room.scores.splice(pIdx, 1)
-      room.stock.splice(pIdx, 1)
-    }
-    // spectators: remove
-    const sIdx = room.spectators.findIndex((s) => s.socketId === socket.id)
-    if (sIdx >= 0) room.spectators.splice(sIdx, 1)
+function emitRoomStateOnce(room) {
+  syncTurnClock(room)
+  syncInbox(room)
+  // Emit state that includes ephemeral highlights, then clear them immediately
+  const state = publicState(room)
+  publishState(room, 'players', state)
+  feedSpectators(room, state)
+  room.highlights = []
+  persistRoom(room)
+  scheduleBot(room)
+}
 
-    // Dismantle if no players remain
-    if (room.players.length === 0) {
-      rooms.delete(joinedRoomId)
-      io.emit('lobby', lobbySummary())
-      return
-    }
+function isMember(room, socketId) {
+  return (
+    room.players.some((p) => p.socketId === socketId) ||
+    room.spectators.some((s) => s.socketId === socketId)
+  )
+}
 
-    room.updatedAt = Date.now()
-    emitRoomStateOnce(room)
-    io.emit('lobby', lobbySummary())
-  })
-})
+// Private and password rooms only show themselves to members
+function canView(room, socketId) {
+  return (!room.private && !room.passwordHash) || isMember(room, socketId)
+}
 
-/* -------------------------
-   Start / Shutdown
--------------------------- */
-server.listen(PORT, () => {
-  console.log(`[ric-pac-soe] Server listening on :${PORT}`)
-  console.log(
-    `[ric-pac-soe] Allowed origins:`,
-    ORIGINS.length ? ORIGINS : '(all during dev)'
+// Single-use invite links; expired ones are dropped whenever invites are touched
+function issueInvite(room) {
+  const now = Date.now()
+  const token = createToken()
+  room.invites = room.invites
+    .filter((i) => i.expiresAt > now)
+    .slice(-(MAX_INVITES - 1))
+  room.invites.push({ token, expiresAt: now + INVITE_TTL_MS })
+  return token
+}
+
+function redeemInvite(room, token) {
+  const now = Date.now()
+  room.invites = room.invites.filter((i) => i.expiresAt > now)
+  const idx = room.invites.findIndex((i) => i.token === token)
+  if (idx === -1) return false
+  room.invites.splice(idx, 1)
+  return true
+}
+
+// Rooms close once no human holds a seat; bots alone don't keep them open
+function hasHumans(room) {
+  return room.players.some((p) => !p.bot && !p.left)
+}
+
+// Seat index of the host, or -1
+function hostIndex(room) {
+  if (!room.hostToken) return -1
+  return room.players.findIndex((p) => p.token === room.hostToken)
+}
+
+function isHost(room, socketId) {
+  return room.players[hostIndex(room)]?.socketId === socketId
+}
+
+// The host is tied to a seat token so it survives reconnects. When the host's
+// seat is freed (or the room never had one) the first human seat takes over.
+// Tournament rooms have no host: the tournament runs their games.
+function ensureHost(room) {
+  if (hostIndex(room) !== -1 || room.tournament) return
+  room.hostToken = room.players.find((p) => !p.bot && !p.left)?.token ?? null
+}
+
+// Apply a partial settings update; rule toggles merge field by field
+function mergeSettings(current, changes) {
+  return {
+    ...current,
+    ...changes,
+    rules: { ...current.rules, ...changes.rules },
+  }
+}
+
+// Before the game starts, every seat gets a zero score and a full stock
+function resetSeats(room) {
+  if (room.started) return
+  room.scores = Array.from({ length: room.players.length }, () => 0)
+  room.stock = Array.from({ length: room.players.length }, () =>
+    createStock(room.settings)
+  )
+}
+
+function seatPlayer(room, player) {
+  room.players.push({ ready: false, ...player })
+  room.series.wins.push(0)
+  resetSeats(room)
+  ensureHost(room)
+  return room.players.length - 1
+}
+
+// When it's a bot's turn, play its move after BOT_DELAY_MS
+function scheduleBot(room) {
+  if (botTimers.has(room.id)) return
+  if (!room.started || room.gameOver || !room.players[room.turn]?.bot) return
+  botTimers.set(
+    room.id,
+    setTimeout(
+      traced(() => {
+        botTimers.delete(room.id)
+        if (rooms.get(room.id) !== room) return
+        const bot = room.players[room.turn]
+        if (!room.started || room.gameOver || !bot?.bot) return
+        const move = chooseBotMove(gameStateOf(room), room.turn, bot.bot)
+        const error = move
+          ? applyRoomMove(room, move)
+          : { message: 'no legal move' }
+        if (error) log.error('bot move refused', { roomId: room.id, error })
+      }),
+      BOT_DELAY_MS
+    )
+  )
+}
+
+function persistRoom(room) {
+  store.save(room)
+}
+
+// Drop a room from this instance; dismantleRoom also deletes it for good
+function unloadRoom(roomId) {
+  clearTimeout(botTimers.get(roomId))
+  botTimers.delete(roomId)
+  clearTimeout(turnTimers.get(roomId))
+  turnTimers.delete(roomId)
+  dropSpectatorFeed(roomId)
+  sentStates.delete(roomId)
+  announced.delete(roomId)
+  rooms.delete(roomId)
+}
+
+// reason: 'empty' when the last human left, or 'idle'
+function dismantleRoom(roomId, reason = 'empty') {
+  const waiting = announced.get(roomId)
+  log.info('room closed', { roomId, reason })
+  unloadRoom(roomId)
+  store.remove(roomId)
+  releaseLease(`room:${roomId}`)
+  if (waiting) sendInbox(waiting.account)
+}
+
+// Bring a stored room back after a restart: nobody is connected yet, so every
+// seat is held for RECONNECT_GRACE_MS and spectators start from scratch
+function restoreRoom(saved) {
+  if (!saved?.id || !Array.isArray(saved.players)) return
+  if (!hasHumans(saved)) {
+    store.remove(saved.id)
+    return
+  }
+  const room = {
+    initial: null,
+    moves: [],
+    undo: null,
+    forfeited: [],
+    clock: null,
+    hostToken: null,
+    locked: false,
+    banned: [],
+    private: false,
+    passwordHash: null,
+    invites: [],
+    gameId: null,
+    createdBy: null,
+    firstSeat: -1,
+    series: { games: 0, wins: saved.players.map(() => 0), draws: 0 },
+    tournament: null,
+    spectatorChat: [],
+    chatSeq: 0,
+    muted: [],
+    reports: [],
+    ...saved,
+    spectators: [],
+    highlights: [],
+  }
+  ensureHost(room)
+  rooms.set(room.id, room)
+  armTurnTimer(room) // offline time still counts against the player to move
+  for (const player of room.players) if (!player.bot) holdSeat(room, player)
+}
+
+// Free a seat: drop the player and their score/stock, keep turn in range.
+// Only between games (or for a game that is called off): pieces, lastPlayed
+// and the move log go by seat index, see freeSeat.
+function removePlayer(room, pIdx) {
+  const [player] = room.players.splice(pIdx, 1)
+  room.scores.splice(pIdx, 1)
+  room.stock.splice(pIdx, 1)
+  room.series.wins.splice(pIdx, 1)
+  if (room.turn >= room.players.length) room.turn = 0
+  room.slot = room.turn
+  room.forfeited = room.forfeited
+    .filter((i) => i !== pIdx)
+    .map((i) => (i > pIdx ? i - 1 : i))
+  if (room.clock) {
+    room.clock.bank?.splice(pIdx, 1)
+    room.clock.turn = -1 // restart the clock without charging anyone
+  }
+  if (player?.token) clearGraceTimer(player.token)
+  for (const s of room.spectators) {
+    if (s.follow === pIdx) s.follow = null
+    else if (s.follow > pIdx) s.follow--
+  }
+  ensureHost(room)
+  // Seat indices in the log no longer match; keep replaying from here on
+  if (room.started) resetHistory(room)
+  // Everyone after the freed seat moved up one
+  for (let i = pIdx; i < room.players.length; i++) {
+    const p = room.players[i]
+    if (p.socketId)
+      io.to(p.socketId).emit('you', {
+        role: 'player',
+        index: i,
+        roomId: room.id,
+        token: p.token,
+      })
+  }
+}
+
+// A player leaves for good (kicked, or gone past the grace period). In a
+// running game they forfeit, and their seat stays, out of play, until the
+// next game is dealt (dropLeftSeats); otherwise it is freed at once.
+function freeSeat(room, pIdx) {
+  if (!room.started || room.gameOver) return removePlayer(room, pIdx)
+  const player = room.players[pIdx]
+  if (player.token) clearGraceTimer(player.token)
+  Object.assign(player, {
+    left: true,
+    socketId: null,
+    connected: false,
+    ready: false,
+    token: null, // no coming back to it
+  })
+  ensureHost(room)
+  if (room.forfeited.includes(pIdx)) return
+  const error = applyRoomMove(room, { type: 'forfeit', player: pIdx })
+  if (error) log.error('forfeit refused', { roomId: room.id, error })
+}
+
+function dropLeftSeats(room) {
+  for (let i = room.players.length - 1; i >= 0; i--)
+    if (room.players[i].left) removePlayer(room, i)
+}
+
+function clearGraceTimer(token) {
+  clearTimeout(graceTimers.get(token))
+  graceTimers.delete(token)
+}
+
+// Hold a dropped player's seat; free it if they haven't rejoined in time.
+// A tournament or correspondence seat waits for its account (see keepsSeat).
+function holdSeat(room, player) {
+  player.connected = false
+  player.socketId = null
+  clearGraceTimer(player.token)
+  if (keepsSeat(room, player)) return
+  graceTimers.set(
+    player.token,
+    setTimeout(
+      traced(() => {
+        graceTimers.delete(player.token)
+        const current = rooms.get(room.id)
+        if (current !== room) return
+        const pIdx = room.players.indexOf(player)
+        if (pIdx === -1 || player.connected) return
+        freeSeat(room, pIdx)
+
+        if (!hasHumans(room)) {
+          dismantleRoom(room.id)
+          broadcastLobby()
+          return
+        }
+        if (!room.gameOver)
+          room.message = `${player.name} left (connection lost).`
+        systemMessage(room, `${player.name} left (connection lost).`)
+        room.updatedAt = Date.now()
+        emitRoomStateOnce(room)
+        broadcastLobby()
+      }),
+      RECONNECT_GRACE_MS
+    )
+  )
+}
+
+/* -------------------------
+   Spectators
+-------------------------- */
+// Spectators also join `<roomId>#spectators`. While a game runs they see it
+// settings.spectatorDelay seconds late, so they can't pass moves on to a
+// player as they happen; chat, the spectator list and their own chat stay
+// live.
+const spectatorFeeds = new Map() // roomId -> { state, due, shown, timers }
+
+function spectatorChannel(roomId) {
+  return `${roomId}#spectators`
+}
+
+function spectatorIndex(room, socketId) {
+  return room.spectators.findIndex((s) => s.socketId === socketId)
+}
+
+function delayMs(room) {
+  return room.started ? (room.settings.spectatorDelay ?? 0) * 1000 : 0
+}
+
+// Hand a fresh state to the spectators, now or once the delay has passed
+function feedSpectators(room, state) {
+  if (!spectatorFeeds.has(room.id))
+    spectatorFeeds.set(room.id, {
+      state: null,
+      due: 0,
+      shown: 0,
+      timers: new Set(),
+    })
+  const feed = spectatorFeeds.get(room.id)
+  const delay = delayMs(room)
+  if (!delay) {
+    for (const timer of feed.timers) clearTimeout(timer)
+    feed.timers.clear()
+    feed.state = null
+    return emitToSpectators(room, state)
+  }
+  // the list and chats are live: refresh them on the old snapshot
+  emitToSpectators(room)
+  const seq = ++feed.due
+  const timer = setTimeout(() => {
+    feed.timers.delete(timer)
+    if (seq < feed.shown || rooms.get(room.id) !== room) return
+    feed.shown = seq
+    feed.state = state
+    emitToSpectators(room, state)
+  }, delay)
+  feed.timers.add(timer)
+}
+
+function emitToSpectators(room, state) {
+  publishState(room, 'spectators', spectatorState(room, state))
+}
+
+function dropSpectatorFeed(roomId) {
+  for (const timer of spectatorFeeds.get(roomId)?.timers ?? [])
+    clearTimeout(timer)
+  spectatorFeeds.delete(roomId)
+}
+
+// What spectators may see now: `state` when it is due, otherwise the last
+// delayed one (with its highlights already shown). Before the first one
+// comes due they see the game as it began.
+function spectatorState(room, state) {
+  if (!state && delayMs(room)) {
+    const last = spectatorFeeds.get(room.id)?.state
+    state = last ? { ...last, highlights: [] } : openingState(room)
+  }
+  state ??= { ...publicState(room), highlights: [] }
+  const live = publicState(room)
+  // news from the board waits as long as the board does
+  const cutoff = Date.now() - delayMs(room)
+  return {
+    ...state,
+    spectators: live.spectators,
+    chat: live.chat.filter((m) => !m.game || m.time <= cutoff),
+    spectatorChat: room.spectatorChat.slice(-MAX_CHAT),
+  }
+}
+
+function openingState(room) {
+  if (!room.initial) return null
+  return publicState({
+    ...room,
+    ...structuredClone(room.initial),
+    moves: [],
+    undo: null,
+    clock: null,
+    highlights: [],
+    message: '',
+  })
+}
+
+/* -------------------------
+   Chat
+-------------------------- */
+// A message is { id, type, name, text, time }: type 'text', 'emote' (with
+// its `emote` key) or 'system' (no name) for joins, leaves, points and
+// results. Spectator chat adds channel: 'spectators'; news from the board
+// has game: true; reported messages may end up hidden: true with no text.
+// Names and text are sanitized here, so clients insert them as they are.
+const CHAT_MAX_AGE_MS = 24 * 60 * 60 * 1000
+const REPORTS_TO_HIDE = 3 // reporters before a message is hidden
+// CHAT_BLOCKLIST: comma-separated words replacing the built-in list; set it
+// empty to turn the filter off everywhere
+const chatFilter = createChatFilter(process.env.CHAT_BLOCKLIST?.split(','))
+
+// Add a message to the room's chat and send it to whoever may read it. The
+// caller saves the room.
+function postChat(room, { channel = 'room', game = false, ...fields }) {
+  const watchers = channel === 'spectators'
+  const msg = { id: ++room.chatSeq, type: 'text', name: null, ...fields }
+  if (msg.name !== null) msg.name = sanitizeText(msg.name, 24)
+  msg.text = sanitizeText(msg.text)
+  if (msg.type === 'text' && room.settings.chatFilter !== false)
+    msg.text = chatFilter(msg.text)
+  msg.time = Date.now()
+  if (watchers) msg.channel = channel
+  if (game) msg.game = true
+
+  const chatLog = watchers ? room.spectatorChat : room.chat
+  chatLog.push(msg)
+  while (
+    chatLog.length > MAX_CHAT ||
+    msg.time - chatLog[0].time > CHAT_MAX_AGE_MS
+  )
+    chatLog.shift()
+  room.reports = room.reports.filter((r) => findMessage(room, r.id))
+
+  let to = io.to(watchers ? spectatorChannel(room.id) : room.id)
+  // delayed spectators read about moves with the board, see spectatorState
+  if (game && delayMs(room)) to = to.except(spectatorChannel(room.id))
+  to.emit('chat', msg)
+  return msg
+}
+
+function systemMessage(room, text, game = false) {
+  postChat(room, { type: 'system', text, game })
+}
+
+function findMessage(room, id) {
+  return (
+    room.chat.find((m) => m.id === id) ??
+    room.spectatorChat.find((m) => m.id === id) ??
+    null
+  )
+}
+
+// Mutes stick to the client address, like bans, so rejoining doesn't help
+function isMuted(room, member) {
+  return !!member.address && room.muted.includes(member.address)
+}
+
+// The seat or spectator record `socketId` holds in the room
+function memberOf(room, socketId) {
+  return (
+    room.players.find((p) => p.socketId === socketId) ??
+    room.spectators.find((s) => s.socketId === socketId) ??
+    null
+  )
+}
+
+// Why `socketId` may not post to `channel`, if it may not
+function chatError(room, socketId, channel) {
+  const member = memberOf(room, socketId)
+  if (!member) return NOT_IN_ROOM
+  if (channel === 'spectators' && spectatorIndex(room, socketId) === -1)
+    return NOT_A_SPECTATOR
+  if (isMuted(room, member))
+    return fail('MUTED', 'The host has muted you in this room.')
+  return null
+}
+
+// Points scored on the board, for the chat
+const SCORE_REASONS = {
+  misplacement: 'misplaced tile',
+  elimination: 'elimination',
+  line: 'line',
+}
+
+function announceMove(room, events) {
+  for (const e of events)
+    if (SCORE_REASONS[e.type])
+      systemMessage(
+        room,
+        `${playerName(room, e.player)} +${e.points} (${SCORE_REASONS[e.type]})`,
+        true
+      )
+}
+
+/* -------------------------
+   Matchmaking
+-------------------------- */
+// Lives on the instance holding the QUEUE_KEY lease (see leaseKey)
+const matchQueue = [] // { id: socketId, socket, name, players, rating, range, joinedAt }
+const matchWaits = {} // player count -> recent waits in ms, see recordWait
+
+function ratingOf(account) {
+  return (account && accounts.get(account)?.rating) ?? DEFAULT_RATING
+}
+
+// Returns whether the socket was queued here; when another instance holds
+// the queue, that one is told to drop the socket
+function leaveQueue(socketId) {
+  const i = matchQueue.findIndex((e) => e.id === socketId)
+  if (i !== -1) matchQueue.splice(i, 1)
+  else if (!claimed.has(QUEUE_KEY))
+    bus.publish('queue', { from: INSTANCE_ID, leave: socketId })
+  return i !== -1
+}
+
+// The queued socket, or a stand-in if it is connected to another instance
+function queuedSocket(entry) {
+  const local = io.sockets.sockets.get(entry.id)
+  if (local || entry.socket.origin === INSTANCE_ID) return local ?? null
+  return remoteSocket(entry.socket)
+}
+
+function publishQueue() {
+  for (const entry of matchQueue)
+    io.to(entry.id).emit('queueStatus', {
+      queued: true,
+      players: entry.players,
+      ...queueStatus(matchQueue, entry, matchWaits),
+    })
+}
+
+// Seat every group that fits together in a fresh room and start its game
+// with the default settings. A group with a socket that is gone goes back
+// to the queue without it, and the queue is matched again.
+function runMatchmaking() {
+  const { matches, waiting } = findMatches(matchQueue)
+  matchQueue.splice(0, matchQueue.length, ...waiting)
+  const now = Date.now()
+  let requeued = false
+  for (const group of matches) {
+    const sockets = group.map(queuedSocket)
+    if (sockets.includes(null)) {
+      matchQueue.push(...group.filter((_, i) => sockets[i]))
+      requeued = true
+      continue
+    }
+    const room = ensureRoom(nanoid())
+    group.forEach((entry, i) => {
+      recordWait(matchWaits, entry.players, now - entry.joinedAt)
+      enterRoom(sockets[i], room)
+      seatSocket(room, sockets[i], entry.name)
+      sockets[i].emit('queueStatus', { queued: false })
+      sockets[i].emit('matchFound', { roomId: room.id })
+    })
+    startGame(room, 'Match found — good luck!')
+  }
+  // each pass drops a gone socket, so this ends
+  if (requeued) return runMatchmaking()
+  publishQueue()
+}
+
+/* -------------------------
+   Tournaments
+-------------------------- */
+// A tournament lives on the instance holding `tournament:<id>`, like a room.
+// Each pending match gets a room of its own, with both seats reserved for
+// the two accounts (see claimReservedSeat); its game result moves the
+// tournament on, and the next round's rooms open as soon as it is paired.
+const tournaments = new Map() // id -> tournament this instance runs
+
+function tournamentChannel(id) {
+  return `tournament#${id}`
+}
+
+// Every socket signed in to the account (see `authenticate`)
+function accountChannel(username) {
+  return `account#${username.toLowerCase()}`
+}
+
+function publicTournament(t) {
+  return { ...t, standings: tournamentStandings(t) }
+}
+
+function publishTournament(t) {
+  tournamentStore.save(t)
+  io.to(tournamentChannel(t.id)).emit('tournament', publicTournament(t))
+}
+
+// Open a room for each match, seat its players and start the game; the
+// players' signed-in sockets are told where to go
+function openMatches(t, matches) {
+  for (const m of matches) {
+    const room = ensureRoom(nanoid())
+    room.tournament = { id: t.id, match: m.id }
+    room.settings = mergeSettings(room.settings, t.settings ?? {})
+    const names = m.players.map((i) => t.players[i])
+    for (const username of names)
+      seatPlayer(room, {
+        socketId: null,
+        name: username,
+        token: createToken(),
+        connected: false,
+        account: username,
+        reserved: true,
+      })
+    m.roomId = room.id
+    const round = `round ${t.rounds.length}`
+    startGame(room, `${t.name}, ${round}: ${names.join(' vs ')}`)
+    for (const username of names)
+      io.to(accountChannel(username)).emit('tournamentMatch', {
+        tournamentId: t.id,
+        matchId: m.id,
+        roomId: room.id,
+      })
+  }
+}
+
+// Record a match result (winner: a username, or null for a draw) on the
+// instance running the tournament
+function applyMatchResult(tournamentId, matchId, winner) {
+  const t = tournaments.get(tournamentId)
+  if (!t) return NO_TOURNAMENT
+  const index =
+    winner === null
+      ? null
+      : t.players.findIndex((p) => p.toLowerCase() === winner.toLowerCase())
+  const { round, error } = reportResult(t, matchId, index)
+  if (error) return error
+  openMatches(t, round)
+  publishTournament(t)
+  if (t.status === 'finished')
+    log.info('tournament finished', { tournamentId: t.id })
+  return null
+}
+
+// A tournament game ended: one winner takes the match, a shared win is a
+// draw. The tournament may run on another instance.
+async function reportTournamentGame(room, { winners }) {
+  const { id, match } = room.tournament
+  const winner =
+    (winners.length === 1 && room.players[winners[0].index]?.account) || null
+  const key = `tournament:${id}`
+  try {
+    const owner = holdsLease(key) ? null : await remoteOwner(key)
+    const error = owner
+      ? await rpc.request(owner, { type: 'result', id, match, winner })
+      : applyMatchResult(id, match, winner)
+    if (error)
+      log.warn('match result not recorded', {
+        tournamentId: id,
+        match,
+        error,
+      })
+  } catch (err) {
+    log.error('match result not recorded', { tournamentId: id, match, err })
+  }
+}
+
+/* -------------------------
+   Correspondence
+-------------------------- */
+// Correspondence rooms (settings.moveHours > 0) are played one move at a
+// time over days. Their seats belong to accounts and wait for them with
+// nobody connected (see keepsSeat), every move has moveHours to be made
+// (see syncTurnClock), and each account has an inbox of the games waiting
+// on it. Inboxes are built from the lobby rows, so they cover every
+// instance's rooms.
+const announced = new Map() // roomId -> its last inbox entry sent out
+
+function isCorrespondence(room) {
+  return room.settings.moveHours > 0
+}
+
+// Seats that wait for their account however long it takes: tournament seats
+// and the signed-in seats of a correspondence room
+function keepsSeat(room, player) {
+  return !!player.reserved || (isCorrespondence(room) && !!player.account)
+}
+
+// Every human seat of a correspondence room needs an account to come back to
+function correspondenceError(room, settings) {
+  if (!(settings.moveHours > 0)) return null
+  if (room.players.every((p) => p.bot || p.account)) return null
+  return fail(
+    'SIGN_IN_REQUIRED',
+    'Every player needs an account for a correspondence game.'
+  )
+}
+
+// The lobby row's inbox entry: whose move a running correspondence game is
+// waiting for, since when and until when
+function waitingOn(room) {
+  if (!isCorrespondence(room) || !room.started || room.gameOver) return null
+  const account = room.players[room.turn]?.account
+  if (!account) return null
+  return {
+    account,
+    players: room.players.map((_, i) => playerName(room, i)),
+    moveCount: room.moves.length,
+    since: room.clock?.startedAt ?? room.updatedAt,
+    deadline: room.clock?.endsAt ?? null,
+  }
+}
+
+// The games across the cluster waiting on `username`, longest waiting first
+function inboxOf(username, rows = allLobbyRows()) {
+  const key = username.toLowerCase()
+  return rows
+    .filter((r) => r.waiting?.account.toLowerCase() === key)
+    .map(({ id, waiting: { account, ...entry } }) => ({ roomId: id, ...entry }))
+    .sort((a, b) => a.since - b.since)
+}
+
+function sendInbox(username, rows) {
+  io.to(accountChannel(username)).emit('inbox', inboxOf(username, rows))
+}
+
+// When a room starts or stops waiting on someone (a move, a new game, the
+// end of one), the other instances hear of it and both inboxes are resent
+function syncInbox(room) {
+  const waiting = waitingOn(room)
+  const before = announced.get(room.id) ?? null
+  if (
+    waiting?.account === before?.account &&
+    waiting?.moveCount === before?.moveCount
+  )
+    return
+  if (waiting) announced.set(room.id, waiting)
+  else announced.delete(room.id)
+  publishLobby()
+  const rows = allLobbyRows()
+  const accounts = [before?.account, waiting?.account].filter(Boolean)
+  for (const username of new Set(accounts)) sendInbox(username, rows)
+}
+
+/* -------------------------
+   Socket.IO
+-------------------------- */
+function fail(code, message) {
+  return { code, message }
+}
+
+const NO_ROOM = fail('ROOM_NOT_FOUND', 'That room does not exist.')
+const NOT_A_PLAYER = fail('NOT_A_PLAYER', 'Only seated players can do that.')
+const NOT_IN_ROOM = fail('NOT_IN_ROOM', 'Join the room first.')
+const NOT_A_SPECTATOR = fail('NOT_A_SPECTATOR', 'Only spectators can do that.')
+const NOT_HOST = fail('NOT_HOST', 'Only the host can do that.')
+const TOURNAMENT_ROOM = fail(
+  'TOURNAMENT_ROOM',
+  'Tournament games start on their own.'
+)
+const NO_TOURNAMENT = fail(
+  'TOURNAMENT_NOT_FOUND',
+  'There is no tournament with that id.'
+)
+const RATE_LIMITED = fail('RATE_LIMITED', 'Slow down a little.')
+const FLOOD_STRIKES = 30 // refused events in a row before a socket is dropped
+
+// One limiter per scope in RATE_LIMITS: `socket` is keyed by socket id, the
+// rest by client address
+const limiters = Object.fromEntries(
+  Object.entries(RATE_LIMITS).map(([scope, limit]) => [
+    scope,
+    createRateLimiter(limit),
+  ])
+)
+
+// The address bans, mutes and limits go by. Behind TRUST_PROXY proxies it
+// is the one the outermost proxy saw; what the client wrote in front of that
+// is not believed.
+function clientAddress(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'] ?? ''
+  const hops = [
+    socket.handshake.address,
+    ...forwarded
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean)
+      .reverse(),
+  ]
+  return hops[Math.min(TRUST_PROXY, hops.length - 1)]
+}
+
+// Every event takes a token from the socket's and the address's bucket, and
+// the events listed in RATE_LIMITS one from their own
+function rateLimited(socket, event) {
+  return !(
+    limiters.socket.take(socket.id) &&
+    addressAllows(clientAddress(socket), event)
+  )
+}
+
+function addressAllows(address, action) {
+  return (
+    limiters.address.take(address) &&
+    (!limiters[action] || limiters[action].take(address))
+  )
+}
+
+// A new room is refused once its creator (or the server) has too many open
+function roomCapError(address) {
+  if (rooms.size >= MAX_ROOMS)
+    return fail('SERVER_FULL', 'Too many rooms are open. Try again later.')
+  let open = 0
+  for (const room of rooms.values()) if (room.createdBy === address) open++
+  if (open >= MAX_ROOMS_PER_ADDRESS)
+    return fail(
+      'TOO_MANY_ROOMS',
+      `You already have ${open} open rooms. Use one of those first.`
+    )
+  return null
+}
+
+// An invite always gets you in; otherwise the password does (if there is
+// one), and private rooms without a password are invite-only
+function admissionError(room, { password, invite }) {
+  if (invite && redeemInvite(room, invite)) return null
+  if (room.passwordHash) {
+    if (!password)
+      return fail('PASSWORD_REQUIRED', 'This room needs a password.')
+    if (!checkPassword(password, room.passwordHash))
+      return fail('BAD_PASSWORD', 'Wrong password.')
+    return null
+  }
+  if (room.private) return fail('INVITE_REQUIRED', 'This room is invite-only.')
+  return null
+}
+
+function enterRoom(socket, room) {
+  socket.join(room.id)
+  socket.data.roomId = room.id
+}
+
+// The room a socket still sits or watches in (kicks and leaving end that)
+function currentRoom(socket) {
+  const room = rooms.get(socket.data.roomId)
+  return room && isMember(room, socket.id) ? room : null
+}
+
+// Give a socket in the room a seat and tell it which one
+function seatSocket(room, socket, name) {
+  const token = createToken()
+  const account = socket.data.account ?? null
+  const index = seatPlayer(room, {
+    socketId: socket.id,
+    name: name || account || `P${room.players.length + 1}`,
+    token,
+    connected: true,
+    address: clientAddress(socket),
+    account,
+  })
+  socket.emit('you', { role: 'player', index, roomId: room.id, token })
+  return index
+}
+
+// Register a validated, rate-limited handler. The handler gets the cleaned
+// payload and returns nothing on success or a {code, message} error; either
+// way the client's acknowledgement (if it sent one) receives {ok, error}.
+// Events for a room (or the queue) another instance owns are run there.
+// Every event is logged and timed, see observeEvent.
+function handle(socket, event, handler) {
+  socket.on(event, (...args) =>
+    inEventContext(socket, async () => {
+      const startedAt = performance.now()
+      const ack = typeof args.at(-1) === 'function' ? args.pop() : null
+      const { value, error } = await runEvent(socket, event, handler, args[0])
+      observeEvent(socket, event, value, error, performance.now() - startedAt)
+      ack?.(error ? { ok: false, error } : { ok: true })
+    })
+  )
+}
+
+// Every socket event runs under a new correlation id, but a forwarded one
+// keeps the id it got where it came in (see forwardEvent)
+function inEventContext(socket, fn) {
+  const cid = (socket.forwarded && logContext().cid) || createCorrelationId()
+  return withContext({ cid }, fn)
+}
+
+// Rate-limit, validate and run an event, here or where its room lives:
+// {value, error} with the cleaned payload (if it was valid)
+async function runEvent(socket, event, handler, payload) {
+  if (!socket.forwarded) {
+    if (rateLimited(socket, event)) {
+      socket.data.strikes = (socket.data.strikes ?? 0) + 1
+      if (socket.data.strikes >= FLOOD_STRIKES) {
+        log.warn('dropping a socket: event flood', {
+          socketId: socket.id,
+          address: clientAddress(socket),
+        })
+        socket.disconnect(true)
+      }
+      return { value: null, error: RATE_LIMITED }
+    }
+    socket.data.strikes = 0
+  }
+  const { value, error } = validatePayload(event, payload)
+  if (error) return { value: null, error }
+  try {
+    const key = socket.forwarded ? null : leaseKey(event, value)
+    const owner = key && !holdsLease(key) ? await remoteOwner(key) : null
+    return {
+      value,
+      error: owner
+        ? await forwardEvent(owner, socket, event, value)
+        : handler(value) || null,
+    }
+  } catch (err) {
+    log.error('event failed', { event, roomId: value.roomId, err })
+    return {
+      value,
+      error: fail('SERVER_ERROR', 'Something went wrong on the server.'),
+    }
+  }
+}
+
+// Log an event where it ran; metrics count it once, on the instance its
+// socket is connected to
+function observeEvent(socket, event, value, error, ms) {
+  log.info('socket event', {
+    event,
+    roomId: value?.roomId,
+    socketId: socket.id,
+    account: socket.data.account ?? undefined,
+    forwarded: socket.forwarded,
+    ok: !error,
+    code: error?.code,
+    ms: Math.round(ms * 100) / 100,
+  })
+  if (socket.forwarded) return
+  eventSeconds.observe({ event }, ms / 1000)
+  if (error) eventsRejected.inc({ event, code: error.code })
+}
+
+io.on('connection', (socket) => {
+  inEventContext(socket, () =>
+    log.info('socket connected', {
+      socketId: socket.id,
+      address: clientAddress(socket),
+    })
+  )
+  attachHandlers(socket)
+  socket.emit('lobby', lobbySummary(socket.id))
+})
+
+// Register every event handler on a socket, or on a stand-in for a socket
+// connected to another instance (see remoteSocket)
+function attachHandlers(socket) {
+  // socket.data: { roomId, account, strikes } - the room joined last, the
+  // account this connection signed in to and its rate-limited events in a row
+  const on = (event, handler) => handle(socket, event, handler)
+  const seatOf = (room) =>
+    room.players.findIndex((p) => p.socketId === socket.id)
+
+  // Lobby
+  on('requestLobby', () => {
+    socket.emit('lobby', lobbySummary(socket.id))
+  })
+
+  // Sign this connection in with a token from the accounts API; seats taken
+  // from now on play for the account
+  on('authenticate', ({ token }) => {
+    const account = accounts.authenticate(token)
+    if (!account) return fail('BAD_TOKEN', 'Please sign in again.')
+    if (socket.data.account) socket.leave(accountChannel(socket.data.account))
+    socket.data.account = account.username
+    socket.join(accountChannel(account.username))
+    socket.emit('account', publicProfile(account))
+    socket.emit('inbox', inboxOf(account.username))
+  })
+
+  // Correspondence games waiting on the signed-in account (also sent on
+  // `authenticate` and whenever one changes, see syncInbox)
+  on('requestInbox', () => {
+    if (!socket.data.account)
+      return fail('SIGN_IN_REQUIRED', 'Sign in to see your games.')
+    socket.emit('inbox', inboxOf(socket.data.account))
+  })
+
+  // Wait for a game with `players` seats; `ratingRange` caps how far the
+  // other players' ratings may be from this player's
+  on('queueForMatch', ({ players, ratingRange, name }) => {
+    if (currentRoom(socket))
+      return fail('IN_ROOM', 'Leave your room before looking for a match.')
+    leaveQueue(socket.id)
+    matchQueue.push({
+      id: socket.id,
+      socket: socketInfo(socket),
+      name,
+      players,
+      rating: ratingOf(socket.data.account),
+      range: ratingRange ?? null,
+      joinedAt: Date.now(),
+    })
+    runMatchmaking()
+  })
+
+  on('leaveQueue', () => {
+    if (!leaveQueue(socket.id))
+      return fail('NOT_QUEUED', 'You are not in the queue.')
+    socket.emit('queueStatus', { queued: false })
+    publishQueue()
+  })
+
+  // Tournaments: the organizer enters accounts by username
+  on('createTournament', ({ name, format, players, rounds, settings }) => {
+    const organizer = socket.data.account
+    if (!organizer)
+      return fail('SIGN_IN_REQUIRED', 'Sign in to organize a tournament.')
+    const entrants = []
+    for (const username of players) {
+      const account = accounts.get(username)
+      if (!account)
+        return fail(
+          'ACCOUNT_NOT_FOUND',
+          `There is no account named ${username}.`
+        )
+      entrants.push(account.username)
+    }
+    const bad =
+      settings && checkSettings(mergeSettings(defaultSettings(), settings), 2)
+    if (bad) return bad
+    const { tournament, error } = createTournament({
+      id: nanoid(),
+      name: sanitizeText(name, 48),
+      format,
+      organizer,
+      players: entrants,
+      rounds,
+      settings,
+    })
+    if (error) return error
+    tournaments.set(tournament.id, tournament)
+    claimLease(`tournament:${tournament.id}`)
+    openMatches(tournament, pendingMatches(tournament))
+    socket.join(tournamentChannel(tournament.id))
+    publishTournament(tournament)
+    socket.emit('tournamentCreated', { id: tournament.id })
+  })
+
+  // Follow a tournament's bracket and standings (`tournament` events)
+  on('watchTournament', ({ tournamentId }) => {
+    const t = tournaments.get(tournamentId)
+    if (!t) return NO_TOURNAMENT
+    socket.join(tournamentChannel(t.id))
+    socket.emit('tournament', publicTournament(t))
+  })
+
+  // The organizer settles a match by hand (a no-show, a lost connection);
+  // its game, if still running, no longer counts
+  on('setMatchResult', ({ tournamentId, matchId, winner }) => {
+    const t = tournaments.get(tournamentId)
+    if (!t) return NO_TOURNAMENT
+    if (t.organizer !== socket.data.account)
+      return fail('NOT_ORGANIZER', 'Only the organizer can do that.')
+    if (!findMatch(t, matchId))
+      return fail('MATCH_NOT_FOUND', 'There is no such match.')
+    return applyMatchResult(t.id, matchId, winner ?? null)
+  })
+
+  on('createRoom', ({ private: isPrivate = false, password }) => {
+    const address = clientAddress(socket)
+    const full = roomCapError(address)
+    if (full) return full
+    const room = ensureRoom(nanoid())
+    room.createdBy = address
+    room.private = isPrivate
+    if (password) room.passwordHash = hashPassword(password)
+    // The creator walks in on an invite, whatever the room's access rules
+    const invite = issueInvite(room)
+    persistRoom(room)
+    broadcastLobby()
+    socket.emit('roomCreated', { id: room.id, invite })
+  })
+
+  on('joinRoom', ({ roomId, name, asSpectator, password, invite }) => {
+    const address = clientAddress(socket)
+    // joining an unknown id opens that room, so it counts against the caps
+    const opening = !rooms.has(roomId)
+    if (opening) {
+      const full = roomCapError(address)
+      if (full) return full
+    }
+    const room = ensureRoom(roomId)
+    if (opening) room.createdBy = address
+    if (room.banned.includes(address))
+      return fail('BANNED', 'You are banned from this room.')
+    if (!isMember(room, socket.id)) {
+      if (room.locked) return fail('ROOM_LOCKED', 'This room is locked.')
+      const refused = admissionError(room, { password, invite })
+      if (refused) return refused
+    }
+    const seating = !room.started && !asSpectator
+    if (isCorrespondence(room) && seating && !socket.data.account)
+      return fail('SIGN_IN_REQUIRED', 'Sign in to play by correspondence.')
+    enterRoom(socket, room)
+    if (leaveQueue(socket.id)) {
+      socket.emit('queueStatus', { queued: false })
+      publishQueue()
+    }
+
+    // Once a game is generated/started, only spectators can join, except
+    // for players whose seat waits for their account (see keepsSeat)
+    const forceSpectator = room.started === true
+    const reserved = socket.data.account
+      ? room.players.find(
+          (p) =>
+            keepsSeat(room, p) &&
+            !p.socketId &&
+            p.account === socket.data.account
+        )
+      : null
+
+    if (reserved) {
+      clearGraceTimer(reserved.token)
+      Object.assign(reserved, {
+        socketId: socket.id,
+        connected: true,
+        address,
+      })
+      socket.emit('you', {
+        role: 'player',
+        index: room.players.indexOf(reserved),
+        roomId,
+        token: reserved.token,
+      })
+      systemMessage(room, `${reserved.name} joined.`)
+    } else if (!forceSpectator && !asSpectator && room.players.length < 4) {
+      const seat = seatSocket(room, socket, name)
+      systemMessage(room, `${room.players[seat].name} joined.`)
+    } else {
+      room.spectators.push({
+        socketId: socket.id,
+        name: name || 'Spectator',
+        address,
+        follow: null,
+      })
+      socket.join(spectatorChannel(roomId))
+      socket.emit('you', { role: 'spectator', index: null, roomId })
+      systemMessage(room, `${name || 'Spectator'} is watching.`)
+    }
+
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  // Take back a held seat with the token issued in `you`
+  on('rejoinRoom', ({ roomId, token }) => {
+    const room = rooms.get(roomId)
+    const myIndex = room
+      ? room.players.findIndex((p) => p.token === token)
+      : -1
+    if (myIndex === -1) {
+      socket.emit('rejoinFailed', { roomId })
+      return fail('SEAT_NOT_FOUND', 'Your seat in that room is gone.')
+    }
+
+    const player = room.players[myIndex]
+    clearGraceTimer(token)
+    // A stale socket may still be attached if the drop wasn't noticed yet
+    if (player.socketId && player.socketId !== socket.id)
+      io.in(player.socketId).socketsLeave(roomId)
+    player.socketId = socket.id
+    player.connected = true
+    player.address = clientAddress(socket)
+
+    enterRoom(socket, room)
+    socket.emit('you', { role: 'player', index: myIndex, roomId, token })
+
+    if (!room.gameOver) room.message = `${player.name} reconnected.`
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  // Bots fill empty seats before the game starts
+  on('addBot', ({ roomId, level }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    if (room.started)
+      return fail('GAME_IN_PROGRESS', 'Bots can only join before the game.')
+    if (room.players.length >= 4)
+      return fail('ROOM_FULL', 'All four seats are taken.')
+
+    seatPlayer(room, {
+      socketId: null,
+      name: `${BOT_LEVELS[level]} bot ${room.players.length + 1}`,
+      token: null,
+      connected: true,
+      bot: level,
+    })
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  on('removeBot', ({ roomId, index }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    if (room.started)
+      return fail('GAME_IN_PROGRESS', 'Bots can only leave before the game.')
+    if (!room.players[index]?.bot)
+      return fail('NOT_A_BOT', 'That seat is not a bot.')
+
+    removePlayer(room, index)
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  // Leave room explicitly
+  on('leaveRoom', ({ roomId }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    socket.leave(roomId)
+    socket.leave(spectatorChannel(roomId))
+
+    const leaving = memberOf(room, socket.id)
+
+    // remove spectator
+    const sIdx = spectatorIndex(room, socket.id)
+    if (sIdx >= 0) {
+      room.spectators.splice(sIdx, 1)
+    }
+
+    // remove player (free seat); a tournament seat stays reserved, and a
+    // correspondence seat while its game runs
+    const pIdx = seatOf(room)
+    const player = room.players[pIdx]
+    const running = room.started && !room.gameOver
+    if (player && keepsSeat(room, player) && (player.reserved || running))
+      holdSeat(room, player)
+    else if (pIdx >= 0) removePlayer(room, pIdx)
+    if (socket.data.roomId === roomId) socket.data.roomId = null
+
+    // If all players have left, dismantle the room (regardless of spectators)
+    if (!hasHumans(room)) {
+      dismantleRoom(roomId)
+      broadcastLobby()
+      return
+    }
+
+    // tournament and correspondence games go on without their players
+    if (!room.tournament && !isCorrespondence(room)) {
+      if (running) log.info('game abandoned', { roomId })
+      room.started = false
+      room.gameOver = false
+    }
+    room.message = 'You left the room.'
+    if (leaving) systemMessage(room, `${leaving.name} left.`)
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  // Host only: start/reset, settings, seats and room access. Between games
+  // the host's start counts as their ready (see setReady); a running game is
+  // reset at once.
+  on('newGame', ({ roomId, ...settings }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    const next = mergeSettings(room.settings, settings)
+    const bad =
+      checkSettings(next, room.players.length) ??
+      correspondenceError(room, next)
+    if (bad) return bad
+
+    room.settings = next
+    if (room.started && !room.gameOver) {
+      startGame(room, 'New game started.')
+      return
+    }
+    room.players[seatOf(room)].ready = true
+    if (startWhenReady(room, 'New game started.')) return
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+  })
+
+  // Ready check: the first game starts once every seat is ready
+  on('setReady', ({ roomId, ready }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const pIdx = seatOf(room)
+    if (pIdx === -1) return NOT_A_PLAYER
+    if (room.tournament) return TOURNAMENT_ROOM
+    if (room.gameOver)
+      return fail('GAME_OVER', 'The game is over; vote for a rematch.')
+    if (room.started)
+      return fail('GAME_IN_PROGRESS', 'The game is already running.')
+
+    room.players[pIdx].ready = ready
+    room.updatedAt = Date.now()
+    if (ready && startWhenReady(room, 'Everyone is ready — game on!')) return
+    emitRoomStateOnce(room)
+  })
+
+  // After a game, the same seats play again once every one of them accepts;
+  // who moves first follows settings.firstPlayer
+  on('voteRematch', ({ roomId, accept }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const pIdx = seatOf(room)
+    if (pIdx === -1) return NOT_A_PLAYER
+    if (room.tournament) return TOURNAMENT_ROOM
+    if (!room.gameOver)
+      return fail('GAME_NOT_OVER', 'Rematches are voted on after a game.')
+
+    const player = room.players[pIdx]
+    player.ready = accept
+    systemMessage(
+      room,
+      accept
+        ? `${player.name} wants a rematch.`
+        : `${player.name} declined a rematch.`
+    )
+    room.updatedAt = Date.now()
+    if (accept && startWhenReady(room, 'Rematch!')) return
+    emitRoomStateOnce(room)
+  })
+
+  // Settings for the next game; a running game keeps the ones it began with
+  on('updateSettings', ({ roomId, ...settings }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    if (room.started && !room.gameOver)
+      return fail('GAME_IN_PROGRESS', 'Settings can only change between games.')
+    const next = mergeSettings(room.settings, settings)
+    const bad = checkSettings(next) ?? correspondenceError(room, next)
+    if (bad) return bad
+
+    room.settings = next
+    resetSeats(room)
+    if (!room.started) room.board = createBoard(room.settings)
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+  })
+
+  on('kickPlayer', ({ roomId, index, ban = false }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    const target = room.players[index]
+    if (!target) return fail('SEAT_NOT_FOUND', 'Nobody sits in that seat.')
+    if (index === hostIndex(room))
+      return fail('CANNOT_KICK', 'The host cannot kick themselves.')
+
+    if (ban && target.address && !room.banned.includes(target.address))
+      room.banned.push(target.address)
+    if (target.socketId) {
+      io.to(target.socketId).emit('kicked', { roomId, banned: ban })
+      io.in(target.socketId).socketsLeave(roomId)
+    }
+    room.message = `${target.name} was ${ban ? 'banned' : 'removed'} by the host.`
+    systemMessage(room, room.message)
+    // mid-game the seat forfeits; a game that ends so says so last
+    freeSeat(room, index)
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  on('lockRoom', ({ roomId, locked }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    room.locked = locked
+    room.message = locked ? 'The host locked the room.' : 'The room is open.'
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  // Private rooms leave the lobby; an empty password removes it
+  on('setPrivacy', ({ roomId, private: isPrivate, password }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    room.private = isPrivate
+    if (password !== undefined)
+      room.passwordHash = password ? hashPassword(password) : null
+    room.message = `The room is now ${isPrivate ? 'private' : 'public'}${
+      room.passwordHash ? ' with a password' : ''
+    }.`
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  // Move a spectator into an open seat before the game starts
+  on('seatSpectator', ({ roomId, index }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    if (room.started)
+      return fail('GAME_IN_PROGRESS', 'Seats can only change before the game.')
+    if (room.players.length >= 4)
+      return fail('ROOM_FULL', 'All four seats are taken.')
+    const spectator = room.spectators[index]
+    if (!spectator) return fail('SPECTATOR_NOT_FOUND', 'No such spectator.')
+
+    room.spectators.splice(index, 1)
+    io.in(spectator.socketId).socketsLeave(spectatorChannel(roomId))
+    const token = createToken()
+    const seat = seatPlayer(room, {
+      socketId: spectator.socketId,
+      name: spectator.name,
+      token,
+      connected: true,
+      address: spectator.address,
+    })
+    io.to(spectator.socketId).emit('you', {
+      role: 'player',
+      index: seat,
+      roomId,
+      token,
+    })
+
+    room.message = `${spectator.name} took a seat.`
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  on('kickSpectator', ({ roomId, index, ban = false }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    const target = room.spectators[index]
+    if (!target) return fail('SPECTATOR_NOT_FOUND', 'No such spectator.')
+
+    if (ban && target.address && !room.banned.includes(target.address))
+      room.banned.push(target.address)
+    room.spectators.splice(index, 1)
+    io.to(target.socketId).emit('kicked', { roomId, banned: ban })
+    io.in(target.socketId).socketsLeave([roomId, spectatorChannel(roomId)])
+
+    room.message = `${target.name} was ${ban ? 'banned' : 'removed'} by the host.`
+    systemMessage(room, room.message)
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  on('transferHost', ({ roomId, index }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    const target = room.players[index]
+    if (!target || target.bot)
+      return fail('SEAT_NOT_FOUND', 'Only a seated human can be host.')
+    room.hostToken = target.token
+    room.message = `${target.name} is now the host.`
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  })
+
+  on('placePiece', ({ roomId, r, c, sym }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const playerIdx = seatOf(room)
+    if (playerIdx === -1) return NOT_A_PLAYER // spectators can't act
+    return applyRoomMove(room, { type: 'place', player: playerIdx, r, c, sym })
+  })
+
+  on('moveBlocker', ({ roomId, from, to }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const playerIdx = seatOf(room)
+    if (playerIdx === -1) return NOT_A_PLAYER // spectators
+    return applyRoomMove(room, {
+      type: 'moveBlocker',
+      player: playerIdx,
+      from: { r: from.r, c: from.c },
+      to: { r: to.r, c: to.c },
+    })
+  })
+
+  // Undo: the last mover asks, every other player must accept
+  on('undoRequest', ({ roomId }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const playerIdx = seatOf(room)
+    if (playerIdx === -1) return NOT_A_PLAYER
+    if (!room.started || room.gameOver)
+      return fail('CANNOT_UNDO', 'There is no game in progress.')
+    if (room.undo)
+      return fail('CANNOT_UNDO', 'An undo request is already pending.')
+    const last = room.moves.at(-1)
+    if (last?.move.player !== playerIdx)
+      return fail('CANNOT_UNDO', 'You can only undo your own last move.')
+
+    room.undo = { by: playerIdx, seq: last.seq, accepted: [] }
+    if (undoPending(room).length === 0) {
+      performUndo(room)
+      room.message = 'Move undone.'
+    } else {
+      room.message = `${playerName(room, playerIdx)} asks to undo their last move.`
+    }
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+  })
+
+  on('undoAccept', ({ roomId }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const playerIdx = seatOf(room)
+    if (playerIdx === -1) return NOT_A_PLAYER
+    if (!room.undo || room.gameOver || playerIdx === room.undo.by)
+      return fail('NO_PENDING_UNDO', 'There is no undo request to answer.')
+    if (!room.undo.accepted.includes(playerIdx))
+      room.undo.accepted.push(playerIdx)
+
+    if (undoPending(room).length === 0) {
+      performUndo(room)
+      room.message = 'Move undone.'
+    }
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+  })
+
+  on('undoDecline', ({ roomId }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const playerIdx = seatOf(room)
+    if (playerIdx === -1) return NOT_A_PLAYER
+    if (!room.undo || playerIdx === room.undo.by)
+      return fail('NO_PENDING_UNDO', 'There is no undo request to answer.')
+    room.undo = null
+    room.message = `${playerName(room, playerIdx)} declined the undo.`
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+  })
+
+  // Any member can hand out a single-use invite link
+  on('createInvite', ({ roomId }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isMember(room, socket.id)) return NOT_IN_ROOM
+    const token = issueInvite(room)
+    persistRoom(room)
+    socket.emit('invite', { roomId, token })
+  })
+
+  // Replay a finished game move by move
+  on('requestReplay', ({ roomId }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!canView(room, socket.id)) return NOT_IN_ROOM
+    if (!room.gameOver)
+      return fail('NOT_GAME_OVER', 'Replays are available once the game ends.')
+    socket.emit('replay', { roomId, frames: replayFrames(room) })
+  })
+
+  // The three best moves for the player to move, each with the reply it
+  // invites (see src/analysis.js). The room is told when someone takes one.
+  on('requestHint', ({ roomId }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const playerIdx = seatOf(room)
+    if (playerIdx === -1) return NOT_A_PLAYER
+    if (room.settings.hints === false || room.tournament)
+      return fail('HINTS_OFF', 'Hints are turned off for this game.')
+    if (!room.started || room.gameOver)
+      return fail('NOT_STARTED', 'There is no game in progress.')
+    if (room.turn !== playerIdx)
+      return fail('NOT_YOUR_TURN', 'Hints are for your own turn.')
+    const moves = analyzePosition(gameStateOf(room), playerIdx, {
+      budget: HINT_BUDGET,
+    }).slice(0, 3)
+    socket.emit('hint', { roomId, seq: room.moves.length, moves })
+    systemMessage(room, `${playerName(room, playerIdx)} took a hint.`)
+    room.updatedAt = Date.now()
+    persistRoom(room)
+  })
+
+  // Spectators follow one seat: the client shows that player's stock and
+  // last played symbol
+  on('followPlayer', ({ roomId, index = null }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const spectator = room.spectators[spectatorIndex(room, socket.id)]
+    if (!spectator) return NOT_A_SPECTATOR
+    if (index !== null && !room.players[index])
+      return fail('SEAT_NOT_FOUND', 'Nobody sits in that seat.')
+    spectator.follow = index
+    emitRoomStateOnce(room)
+  })
+
+  // Chat under the sender's seat or spectator name (see postChat). The
+  // spectators channel reaches spectators only.
+  on('chat', ({ roomId, text, channel = 'room' }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const refused = chatError(room, socket.id, channel)
+    if (refused) return refused
+    if (!sanitizeText(text))
+      return fail('EMPTY_MESSAGE', 'There is nothing to send.')
+    postChat(room, { name: memberOf(room, socket.id).name, text, channel })
+    room.updatedAt = Date.now()
+    persistRoom(room)
+  })
+
+  on('react', ({ roomId, emote, channel = 'room' }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    const refused = chatError(room, socket.id, channel)
+    if (refused) return refused
+    postChat(room, {
+      type: 'emote',
+      emote,
+      name: memberOf(room, socket.id).name,
+      text: EMOTES[emote],
+      channel,
+    })
+    room.updatedAt = Date.now()
+    persistRoom(room)
+  })
+
+  // Host only: a muted member can still play and watch but not chat
+  on('muteMember', ({ roomId, role, index, muted }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isHost(room, socket.id)) return NOT_HOST
+    const target = (role === 'player' ? room.players : room.spectators)[index]
+    if (!target?.address)
+      return fail('MEMBER_NOT_FOUND', 'There is nobody to mute there.')
+    if (target.address === clientAddress(socket))
+      return fail('CANNOT_MUTE', 'The host cannot mute their own connection.')
+
+    room.muted = room.muted.filter((a) => a !== target.address)
+    if (muted) room.muted.push(target.address)
+    systemMessage(
+      room,
+      `${target.name} was ${muted ? 'muted' : 'unmuted'} by the host.`
+    )
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+  })
+
+  // Members flag messages they can read; REPORTS_TO_HIDE reporters (or the
+  // host alone) hide one. Reports go to the server log for moderators.
+  on('reportMessage', ({ roomId, id, reason = '' }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!isMember(room, socket.id)) return NOT_IN_ROOM
+    const msg = findMessage(room, id)
+    const watching = spectatorIndex(room, socket.id) !== -1
+    if (!msg || msg.type === 'system' || (msg.channel && !watching))
+      return fail('MESSAGE_NOT_FOUND', 'There is no such message.')
+    const by = clientAddress(socket)
+    const host = isHost(room, socket.id)
+    if (!host && room.reports.some((r) => r.id === id && r.by === by))
+      return fail('ALREADY_REPORTED', 'You already reported that message.')
+
+    reason = sanitizeText(reason, 200)
+    room.reports.push({ id, by, reason, at: Date.now() })
+    log.warn('chat report', {
+      roomId: room.id,
+      message: id,
+      from: msg.name,
+      text: msg.text,
+      reason: reason || undefined,
+    })
+    const reporters = room.reports.filter((r) => r.id === id).length
+    const hide = reporters >= REPORTS_TO_HIDE || host
+    if (hide && !msg.hidden) {
+      msg.hidden = true
+      msg.text = ''
+      room.updatedAt = Date.now()
+      emitRoomStateOnce(room)
+      return
+    }
+    persistRoom(room)
+  })
+
+  on('requestState', ({ roomId }) => {
+    const room = rooms.get(roomId)
+    if (!room) return NO_ROOM
+    if (!canView(room, socket.id)) return NOT_IN_ROOM
+    const stream =
+      spectatorIndex(room, socket.id) === -1 ? 'players' : 'spectators'
+    // bring the stream up to date first, so the next patch follows on
+    if (stream === 'players') publishState(room, stream, publicState(room))
+    else emitToSpectators(room)
+    io.to(socket.id).emit('state', currentState(room, stream))
+  })
+
+  socket.on('disconnect', (reason) =>
+    inEventContext(socket, () => disconnected(reason))
+  )
+  function disconnected(reason) {
+    const roomId = socket.data.roomId
+    log.info('socket disconnected', {
+      socketId: socket.id,
+      roomId: roomId ?? undefined,
+      forwarded: socket.forwarded,
+      reason,
+    })
+    limiters.socket.forget(socket.id)
+    if (leaveQueue(socket.id)) publishQueue()
+    const room = rooms.get(roomId)
+    if (!room) {
+      if (roomId && !socket.forwarded) forwardDisconnect(socket, roomId)
+      return
+    }
+
+    // players: keep the seat for RECONNECT_GRACE_MS so they can rejoin
+    const player = room.players.find((p) => p.socketId === socket.id)
+    if (player) {
+      holdSeat(room, player)
+      if (!room.gameOver)
+        room.message = `${player.name} disconnected — holding their seat.`
+    }
+    // spectators: remove
+    const sIdx = spectatorIndex(room, socket.id)
+    if (sIdx >= 0) {
+      const [spectator] = room.spectators.splice(sIdx, 1)
+      systemMessage(room, `${spectator.name} stopped watching.`)
+    }
+
+    // Dismantle if no players remain
+    if (!hasHumans(room)) {
+      dismantleRoom(roomId)
+      broadcastLobby()
+      return
+    }
+
+    room.updatedAt = Date.now()
+    emitRoomStateOnce(room)
+    broadcastLobby()
+  }
+}
+
+/* -------------------------
+   Cluster
+-------------------------- */
+// Every room is owned by one instance, which holds a lease on `room:<id>`
+// and renews it while the room lives; the matchmaking queue likewise lives
+// where QUEUE_KEY is held. Sockets connect to any instance: events for a
+// room owned elsewhere are forwarded to the owner and run there against a
+// stand-in socket, and the bus adapter carries the owner's emits and joins
+// back. With a shared ROOM_STORE, an instance takes over the rooms of one
+// that stopped once their leases run out.
+const LEASE_MS = 15 * 1000
+const QUEUE_KEY = 'queue'
+const QUEUE_EVENTS = ['queueForMatch', 'leaveQueue']
+const claimed = new Set() // lease keys this instance holds
+const peerLobbies = new Map() // instance id -> { rows, at }
+
+io.adapter(createBusAdapter(bus))
+
+function leaseKey(event, value) {
+  if (value.roomId) return `room:${value.roomId}`
+  if (value.tournamentId) return `tournament:${value.tournamentId}`
+  return QUEUE_EVENTS.includes(event) ? QUEUE_KEY : null
+}
+
+function holdsLease(key) {
+  return key.startsWith('room:') ? rooms.has(key.slice(5)) : claimed.has(key)
+}
+
+function claimLease(key) {
+  claimed.add(key)
+  bus
+    .claim(key, INSTANCE_ID, LEASE_MS)
+    .catch((err) => log.error('lease claim failed', { key, err }))
+}
+
+function releaseLease(key) {
+  claimed.delete(key)
+  bus
+    .release(key, INSTANCE_ID)
+    .catch((err) => log.error('lease release failed', { key, err }))
+}
+
+// The instance that runs events for `key`, or null for this one. A key
+// nobody holds is claimed here, taking over its room from the store if a
+// stopped instance left one behind.
+async function remoteOwner(key) {
+  const owner = await bus.claim(key, INSTANCE_ID, LEASE_MS)
+  if (owner !== INSTANCE_ID) return owner
+  claimed.add(key)
+  const roomId = key.startsWith('room:') ? key.slice(5) : null
+  if (roomId && !rooms.has(roomId)) {
+    const saved = await store.load(roomId)
+    if (saved && !rooms.has(roomId)) {
+      const seated = saved.players?.map((p) => p.socketId) ?? []
+      const watching = saved.spectators ?? []
+      restoreRoom(saved)
+      await reattachSockets(rooms.get(roomId), seated, watching)
+      log.info('room taken over', { roomId })
+    }
+  }
+  const tournamentId = key.startsWith('tournament:') ? key.slice(11) : null
+  if (tournamentId && !tournaments.has(tournamentId)) {
+    const saved = await tournamentStore.load(tournamentId)
+    if (saved && !tournaments.has(tournamentId))
+      tournaments.set(tournamentId, saved)
+  }
+  return null
+}
+
+// After a takeover, members still connected to other instances keep their
+// places (restoreRoom holds every seat as if everyone had dropped).
+// seated: the socket id of every seat before the takeover
+async function reattachSockets(room, seated, spectators) {
+  if (!room) return
+  const live = new Set(
+    (await io.in(room.id).fetchSockets().catch(() => [])).map((s) => s.id)
+  )
+  room.players.forEach((player, i) => {
+    if (!live.has(seated[i])) return
+    clearGraceTimer(player.token)
+    Object.assign(player, { socketId: seated[i], connected: true })
+  })
+  room.spectators = spectators.filter((s) => live.has(s.socketId))
+  emitRoomStateOnce(room)
+}
+
+// What a forwarded event needs to know about the socket it came from
+function socketInfo(socket) {
+  const { address, headers } = socket.handshake
+  return {
+    id: socket.id,
+    origin: socket.origin ?? INSTANCE_ID,
+    data: { ...socket.data },
+    handshake: {
+      address,
+      headers: { 'x-forwarded-for': headers['x-forwarded-for'] },
+    },
+  }
+}
+
+// Stands in for a socket connected to another instance. Emits, joins and
+// leaves go through the adapter; data changes are sent to the instance
+// the socket is connected to.
+function remoteSocket({ id, origin, data, handshake }) {
+  const listeners = new Map()
+  return {
+    id,
+    origin,
+    handshake,
+    forwarded: true,
+    data: new Proxy(data, {
+      set(target, key, value) {
+        target[key] = value
+        rpc.notify(origin, { type: 'data', id, key, value })
+        return true
+      },
+    }),
+    on: (event, fn) => listeners.set(event, fn),
+    emit: (event, ...args) => io.to(id).emit(event, ...args),
+    join: (room) => io.in(id).socketsJoin(room),
+    leave: (room) => io.in(id).socketsLeave(room),
+    disconnect: () => io.in(id).disconnectSockets(true),
+    // Run a handler attachHandlers() registered; resolves to its error
+    dispatch: (event, payload) =>
+      new Promise((resolve) => {
+        const listener = listeners.get(event)
+        if (event !== 'disconnect')
+          return listener(payload, (res) => resolve(res.error ?? null))
+        listener()
+        resolve(null)
+      }),
+  }
+}
+
+async function forwardEvent(owner, socket, event, payload) {
+  try {
+    const reply = await rpc.request(owner, {
+      type: 'event',
+      event,
+      payload,
+      socket: socketInfo(socket),
+      cid: logContext().cid,
+    })
+    return reply.error
+  } catch (err) {
+    log.error('forwarding failed', { event, owner, err })
+    return fail('UNAVAILABLE', 'That room is not answering. Try again soon.')
+  }
+}
+
+// A socket left while sitting in a room another instance owns
+async function forwardDisconnect(socket, roomId) {
+  const owner = await bus.owner(`room:${roomId}`).catch(() => null)
+  if (owner && owner !== INSTANCE_ID)
+    await forwardEvent(owner, socket, 'disconnect')
+}
+
+// A room here as spectators see it, if anyone may look at it
+function viewableState(roomId) {
+  const room = rooms.get(roomId)
+  if (!room || !canView(room, null)) return null
+  const { spectatorChat, ...state } = spectatorState(room)
+  return state
+}
+
+async function remoteRoomState(roomId) {
+  const owner = await bus.owner(`room:${roomId}`)
+  if (!owner || owner === INSTANCE_ID) return null
+  return rpc.request(owner, { type: 'state', roomId }).catch(() => null)
+}
+
+async function remoteTournament(id) {
+  const owner = await bus.owner(`tournament:${id}`)
+  if (!owner || owner === INSTANCE_ID) return null
+  return rpc.request(owner, { type: 'tournament', id }).catch(() => null)
+}
+
+rpc.serve(async (body) => {
+  switch (body.type) {
+    case 'event': {
+      const socket = remoteSocket(body.socket)
+      attachHandlers(socket)
+      const error = await withContext({ cid: body.cid }, () =>
+        socket.dispatch(body.event, body.payload)
+      )
+      return { error }
+    }
+    case 'state':
+      return viewableState(body.roomId)
+    case 'data': {
+      const socket = io.sockets.sockets.get(body.id)
+      if (socket) socket.data[body.key] = body.value
+      return null
+    }
+    case 'result':
+      return applyMatchResult(body.id, body.match, body.winner)
+    case 'tournament': {
+      const t = tournaments.get(body.id)
+      return t ? publicTournament(t) : null
+    }
+  }
+})
+
+// Lobby rows of every instance
+function allLobbyRows() {
+  return [
+    ...lobbyRows(),
+    ...[...peerLobbies.values()].flatMap((peer) => peer.rows),
+  ]
+}
+
+function publishLobby(rows = lobbyRows()) {
+  bus.publish('lobby', { from: INSTANCE_ID, rows })
+}
+
+bus.subscribe('lobby', ({ from, rows, hello }) => {
+  if (from === INSTANCE_ID) return
+  if (hello) publishLobby() // a new instance wants everyone's rooms
+  if (!rows) return
+  const changed =
+    JSON.stringify(peerLobbies.get(from)?.rows) !== JSON.stringify(rows)
+  peerLobbies.set(from, { rows, at: Date.now() })
+  if (changed) emitLobby()
+})
+
+bus.subscribe('queue', ({ leave }) => {
+  if (!claimed.has(QUEUE_KEY) || !leaveQueue(leave)) return
+  io.to(leave).emit('queueStatus', { queued: false })
+  publishQueue()
+})
+
+bus.subscribe('accounts', ({ from, account }) => {
+  if (from !== INSTANCE_ID) accounts.adopt(account)
+})
+
+// Keep the leases of live rooms and tournaments (and a non-empty queue), let
+// go of the rest, and tell the other instances this one is still there
+async function renewLeases() {
+  const wanted = new Set([...rooms.keys()].map((id) => `room:${id}`))
+  for (const id of tournaments.keys()) wanted.add(`tournament:${id}`)
+  if (matchQueue.length) wanted.add(QUEUE_KEY)
+  for (const key of claimed) if (!wanted.has(key)) releaseLease(key)
+  await Promise.all(
+    [...wanted].map(async (key) => {
+      const owner = await bus.claim(key, INSTANCE_ID, LEASE_MS)
+      if (owner === INSTANCE_ID) return claimed.add(key)
+      // another instance took over while this one stalled; its copy wins
+      claimed.delete(key)
+      if (key.startsWith('tournament:')) tournaments.delete(key.slice(11))
+      if (!key.startsWith('room:')) return
+      log.warn('room lost', { roomId: key.slice(5), owner })
+      unloadRoom(key.slice(5))
+    })
   )
+  publishLobby()
+
+  const now = Date.now()
+  let gone = false
+  for (const [id, peer] of peerLobbies)
+    if (now - peer.at > LEASE_MS) gone = peerLobbies.delete(id)
+  if (gone) emitLobby()
+}
+
+setInterval(
+  traced(() =>
+    renewLeases().catch((err) => log.error('lease renewal failed', { err }))
+  ),
+  LEASE_MS / 3
+).unref()
+
+// Leave the cluster: peers may take over this instance's rooms right away
+async function leaveCluster() {
+  publishLobby([])
+  await Promise.all(
+    [...claimed].map((key) => bus.release(key, INSTANCE_ID).catch(() => {}))
+  )
+  await bus.close()
+}
+
+/* -------------------------
+   Idle Rooms
+-------------------------- */
+
+// Close rooms nobody has touched for ROOM_IDLE_MS (EMPTY_ROOM_MS if no human
+// ever sat down, CORRESPONDENCE_IDLE_MS for correspondence rooms); their
+// members are sent back to the lobby
+function idleLimit(room) {
+  if (!hasHumans(room)) return EMPTY_ROOM_MS
+  return isCorrespondence(room) ? CORRESPONDENCE_IDLE_MS : ROOM_IDLE_MS
+}
+
+function expireIdleRooms(now = Date.now()) {
+  let closed = 0
+  for (const room of [...rooms.values()]) {
+    const limit = idleLimit(room)
+    if (now - room.updatedAt < limit) continue
+    io.to(room.id).emit('roomClosed', { roomId: room.id, reason: 'idle' })
+    io.in(room.id).socketsLeave([room.id, spectatorChannel(room.id)])
+    for (const p of room.players) if (p.token) clearGraceTimer(p.token)
+    // an abandoned tournament game is a draw, so the bracket moves on
+    if (room.tournament && room.started && !room.gameOver)
+      reportTournamentGame(room, { winners: [] })
+    dismantleRoom(room.id, 'idle')
+    closed++
+  }
+  if (closed) {
+    log.info('idle rooms closed', { closed })
+    broadcastLobby()
+  }
+  for (const limiter of Object.values(limiters)) limiter.prune(now)
+}
+
+setInterval(
+  traced(() => expireIdleRooms()),
+  Math.min(SWEEP_MS, EMPTY_ROOM_MS)
+).unref()
+
+/* -------------------------
+   Start / Shutdown
+-------------------------- */
+await accounts.load()
+// With a shared store, rooms other instances still own stay with them
+for (const saved of await store.loadAll()) {
+  if (!saved?.id) continue
+  const owner = await bus.claim(`room:${saved.id}`, INSTANCE_ID, LEASE_MS)
+  if (owner !== INSTANCE_ID) continue
+  claimed.add(`room:${saved.id}`)
+  restoreRoom(saved)
+}
+for (const saved of await tournamentStore.loadAll()) {
+  if (saved?.status !== 'running') continue
+  const key = `tournament:${saved.id}`
+  if ((await bus.claim(key, INSTANCE_ID, LEASE_MS)) !== INSTANCE_ID) continue
+  claimed.add(key)
+  tournaments.set(saved.id, saved)
+}
+bus.publish('lobby', { from: INSTANCE_ID, hello: true })
+publishLobby()
+
+server.listen(PORT, () => {
+  log.info('server listening', {
+    port: Number(PORT),
+    roomStore: store.kind,
+    roomsRestored: rooms.size,
+    accountStore: accountStore.kind,
+    gameStore: gameStore.kind,
+    tournamentStore: tournamentStore.kind,
+    tournamentsRunning: tournaments.size,
+    bus: bus.kind,
+    origins: ORIGINS,
+  })
 })
 
+// Stop serving: close the sockets and HTTP, stop the rooms' timers, write
+// out what the stores still hold and leave the cluster
+function close() {
+  return new Promise((resolve) =>
+    io.close(() => {
+      server.close(() => {
+        log.info('http closed')
+        for (const roomId of [...rooms.keys()]) unloadRoom(roomId)
+        for (const token of [...graceTimers.keys()]) clearGraceTimer(token)
+        Promise.all([
+          store.flush(),
+          accountStore.flush(),
+          gameStore.flush(),
+          tournamentStore.flush(),
+        ])
+          .then(leaveCluster)
+          .then(resolve)
+      })
+    })
+  )
+}
+
 // Graceful shutdown (Render/Heroku send SIGTERM)
 function shutdown(sig) {
-  console.log(`[ric-pac-soe] ${sig} received, shutting down...`)
-  io.close(() => {
-    server.close(() => {
-      console.log('[ric-pac-soe] HTTP closed.')
-      process.exit(0)
-    })
-  })
+  log.info('shutting down', { signal: sig })
+  close().then(() => process.exit(0))
   // Fallback timeout
   setTimeout(() => process.exit(0), 5000).unref()
 }
 process.on('SIGTERM', () => shutdown('SIGTERM'))
 process.on('SIGINT', () => shutdown('SIGINT'))
+
+// The socket tests run the server in-process (see test/server.test.js)
+export { close, server }
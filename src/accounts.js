@@ -0,0 +1,252 @@
+// src/accounts.js (ESM)
+// Player accounts and ratings. Accounts are held in memory and written
+// through to a store (see createAccountStore in src/store.js); ratings are
+// pairwise Elo, so two-player, free-for-all and team games rate the same way.
+
+import { createHash, randomBytes } from 'crypto'
+import { teamOf } from './game.js'
+import { checkPassword, hashPassword } from './passwords.js'
+
+export const DEFAULT_RATING = 1200
+const K_FACTOR = 32
+const MAX_HISTORY = 100 // finished games kept per account
+const MAX_DEVICES = 10 // sign-in tokens kept per account
+
+/* -------------------------
+   Ratings
+-------------------------- */
+
+// Finishing order of a finished game: [{player, side, rank}], rank 0 first.
+// The engine's winners share rank 0; everyone else is ranked by their side's
+// score, and sides with nobody left in the game come last.
+export function standings(state, winners) {
+  const side = (i) => teamOf(state.settings, i)
+  const winning = new Set(winners.map((w) => side(w.index)))
+  const sideScore = new Map()
+  const sideLeft = new Set()
+  state.scores.forEach((score, i) => {
+    sideScore.set(side(i), (sideScore.get(side(i)) ?? 0) + score)
+    if (!state.forfeited?.includes(i)) sideLeft.add(side(i))
+  })
+  // lower is better: [winner?, out?, -score]
+  const key = (s) => [
+    winning.has(s) ? 0 : 1,
+    sideLeft.has(s) ? 0 : 1,
+    -sideScore.get(s),
+  ]
+  const better = (a, b) => {
+    const ka = key(a)
+    const kb = key(b)
+    for (let k = 0; k < ka.length; k++)
+      if (ka[k] !== kb[k]) return ka[k] < kb[k]
+    return false
+  }
+  const sides = [...sideScore.keys()]
+  return state.scores.map((_, i) => ({
+    player: i,
+    side: side(i),
+    rank: sides.filter((s) => better(s, side(i))).length,
+  }))
+}
+
+// Pairwise Elo: every player plays a virtual game against each player of
+// another side (1 for finishing ahead, ½ for a tie), averaged over those
+// opponents. entries: [{id, rating, rank, side}] -> [{id, delta}]
+export function rateGame(entries, k = K_FACTOR) {
+  return entries.map((me) => {
+    const opponents = entries.filter((o) => o.side !== me.side)
+    if (opponents.length === 0) return { id: me.id, delta: 0 }
+    let sum = 0
+    for (const o of opponents) {
+      const actual = me.rank < o.rank ? 1 : me.rank === o.rank ? 0.5 : 0
+      const expected = 1 / (1 + 10 ** ((o.rating - me.rating) / 400))
+      sum += actual - expected
+    }
+    return { id: me.id, delta: Math.round((k * sum) / opponents.length) }
+  })
+}
+
+/* -------------------------
+   Accounts
+-------------------------- */
+function accountId(username) {
+  return username.toLowerCase()
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex')
+}
+
+function reject(code, message) {
+  return { error: { code, message } }
+}
+
+// What anyone may see of an account
+export function publicProfile(account) {
+  const { username, rating, games, wins, losses, draws, createdAt } = account
+  return { username, rating, games, wins, losses, draws, createdAt }
+}
+
+/**
+ * Account service on top of a store. Call load() once before use.
+ * register/login return {username, token} or {error: {code, message}};
+ * the token signs a device in (authenticate) until it is pushed out by
+ * MAX_DEVICES newer ones.
+ */
+export function createAccounts(store) {
+  const accounts = new Map() // accountId -> account
+  const devices = new Map() // token hash -> accountId
+
+  const find = (username) => accounts.get(accountId(username)) ?? null
+
+  function issueToken(account) {
+    const token = randomBytes(18).toString('base64url')
+    account.tokens.push(hashToken(token))
+    while (account.tokens.length > MAX_DEVICES)
+      devices.delete(account.tokens.shift())
+    devices.set(hashToken(token), account.id)
+    return token
+  }
+
+  return {
+    async load() {
+      for (const account of await store.loadAll()) {
+        accounts.set(account.id, account)
+        for (const hash of account.tokens) devices.set(hash, account.id)
+      }
+    },
+
+    // A password is optional; without one the returned token is the only
+    // way back into the account
+    register({ username, password }) {
+      const id = accountId(username)
+      if (accounts.has(id))
+        return reject('USERNAME_TAKEN', 'That username is taken.')
+      const account = {
+        id,
+        username,
+        passwordHash: password ? hashPassword(password) : null,
+        tokens: [],
+        rating: DEFAULT_RATING,
+        games: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        history: [], // newest first, see recordMatch
+        createdAt: Date.now(),
+      }
+      accounts.set(id, account)
+      const token = issueToken(account)
+      store.save(account)
+      return { username, token }
+    },
+
+    login({ username, password }) {
+      const account = find(username)
+      const ok = account?.passwordHash
+        ? checkPassword(password, account.passwordHash)
+        : false
+      if (!ok)
+        return reject('BAD_CREDENTIALS', 'Wrong username or password.')
+      const token = issueToken(account)
+      store.save(account)
+      return { username: account.username, token }
+    },
+
+    // The account a device token belongs to, or null
+    authenticate(token) {
+      return accounts.get(devices.get(hashToken(token))) ?? null
+    },
+
+    get: find,
+
+    // Take over a copy another server instance saved (see server.js)
+    adopt(account) {
+      for (const hash of accounts.get(account.id)?.tokens ?? [])
+        devices.delete(hash)
+      accounts.set(account.id, account)
+      for (const hash of account.tokens) devices.set(hash, account.id)
+    },
+
+    history(username, { limit = 20, offset = 0 } = {}) {
+      const account = find(username)
+      return account ? account.history.slice(offset, offset + limit) : null
+    },
+
+    // Accounts that have played, best first
+    leaderboard({ limit = 20, offset = 0 } = {}) {
+      return [...accounts.values()]
+        .filter((a) => a.games > 0)
+        .sort(
+          (a, b) => b.rating - a.rating || a.username.localeCompare(b.username)
+        )
+        .slice(offset, offset + limit)
+        .map((a, i) => ({ rank: offset + i + 1, ...publicProfile(a) }))
+    },
+
+    /**
+     * Rate a finished game and add it to every account's history.
+     * match: {roomId, gameId, reason,
+     *         players: [{username, name, score, side, rank}]}
+     * Players without an account (guests, bots) are listed but not rated.
+     * Only games between accounts on different sides change ratings, and
+     * not when one account holds two seats.
+     */
+    recordMatch({ roomId, gameId = null, reason, players }) {
+      const seated = players.filter((p) => p.username && find(p.username))
+      const ids = seated.map((p) => accountId(p.username))
+      const rated =
+        new Set(ids).size === ids.length &&
+        new Set(seated.map((p) => p.side)).size > 1
+      const deltas = rated
+        ? rateGame(
+            seated.map((p) => ({
+              id: accountId(p.username),
+              rating: find(p.username).rating,
+              rank: p.rank,
+              side: p.side,
+            }))
+          )
+        : []
+      const endedAt = Date.now()
+      const summary = players.map(({ username, name, score, side, rank }) => ({
+        username: username ?? null,
+        name,
+        score,
+        side,
+        rank,
+      }))
+
+      const recorded = new Set()
+      for (const p of seated) {
+        const account = find(p.username)
+        if (recorded.has(account.id)) continue
+        recorded.add(account.id)
+        const delta = deltas.find((d) => d.id === account.id)?.delta ?? 0
+        // a shared first place with another side is a draw
+        const result =
+          p.rank > 0
+            ? 'loss'
+            : players.some((o) => o.rank === 0 && o.side !== p.side)
+              ? 'draw'
+              : 'win'
+        account.games++
+        account[{ win: 'wins', loss: 'losses', draw: 'draws' }[result]]++
+        account.history.unshift({
+          roomId,
+          gameId,
+          reason,
+          endedAt,
+          result,
+          rated,
+          ratingBefore: account.rating,
+          ratingAfter: account.rating + delta,
+          players: summary,
+        })
+        account.history.length = Math.min(account.history.length, MAX_HISTORY)
+        account.rating += delta
+        store.save(account)
+      }
+    },
+  }
+}
@@ -0,0 +1,163 @@
+// src/analysis.js (ESM)
+// Move analysis for in-game hints and post-game reviews. Moves are valued the
+// way the hard bot values them (see src/bots.js): every legal move is played
+// through applyMove(), so misplacement, eliminations and lines score exactly
+// as in a real game, and the most promising moves are then checked against
+// the next player's best reply.
+
+import { applyMove } from './game.js'
+import { gainFor, lookAheadCount, rankMoves } from './bots.js'
+
+// How many of the best one-ply moves get the look-ahead: hints look wider,
+// reviews run once per move of a whole game
+export const HINT_CANDIDATES = 24
+export const REVIEW_CANDIDATES = 12
+
+// Hints and reviews are worked out on the server's only thread, so they look
+// ahead from fewer candidates on big boards (lookAheadCount). A review's
+// budget is per move, and a game has many.
+export const HINT_BUDGET = 4000
+export const REVIEW_BUDGET = 2000
+
+// Points a move may fall short of the best one before it counts as
+// inaccurate, or as a blunder
+export const MARK_THRESHOLDS = { inaccurate: 1, blunder: 2 }
+
+// Events that explain a move's value; the rest only narrate it
+const SCORING_EVENTS = ['misplacement', 'elimination', 'line', 'gameOver']
+
+const explain = (events) =>
+  events.filter((e) => SCORING_EVENTS.includes(e.type))
+
+function sameMove(a, b) {
+  if (a.type !== b.type || a.player !== b.player) return false
+  if (a.type === 'place') return a.r === b.r && a.c === b.c && a.sym === b.sym
+  return (
+    a.from.r === b.from.r &&
+    a.from.c === b.from.c &&
+    a.to.r === b.to.r &&
+    a.to.c === b.to.c
+  )
+}
+
+// The next player's best reply (by their own one-ply value), valued for
+// `player`: negative when it punishes the move. null when the game is over
+// or `player` moves again.
+function bestReply(state, player) {
+  if (state.gameOver || state.turn === player) return null
+  let best = null
+  for (const reply of rankMoves(state, state.turn))
+    if (!best || reply.value > best.value) best = reply
+  if (!best) return null
+  return {
+    move: best.move,
+    events: explain(best.events),
+    value: gainFor(state, best.next, best.events, player),
+  }
+}
+
+/**
+ * Every legal placement and blocker move for `player`, best first:
+ * {move, events, gain, reply, value}. `gain` is what the move scores for the
+ * player's side minus what it hands the others; the top `candidates` moves
+ * (and `include`, if given) also get `reply`, the next player's best answer
+ * (null if there is none), and `value` = gain + reply.value. The rest keep
+ * value = gain with reply undefined, and are listed after the looked-ahead
+ * moves. With a `budget`, fewer candidates are looked at (never under
+ * three) once candidates x legal moves goes over it.
+ */
+export function analyzePosition(
+  state,
+  player,
+  { candidates = HINT_CANDIDATES, include = null, budget = Infinity } = {}
+) {
+  const ranked = rankMoves(state, player).sort((a, b) => b.value - a.value)
+  const deep = lookAheadCount(candidates, ranked.length, budget, 3)
+  const moves = ranked.map((m, i) => {
+    const entry = {
+      move: m.move,
+      events: explain(m.events),
+      gain: m.value,
+      reply: undefined,
+      value: m.value,
+    }
+    if (i < deep || (include && sameMove(m.move, include))) {
+      entry.reply = bestReply(m.next, player)
+      entry.value += entry.reply?.value ?? 0
+    }
+    return entry
+  })
+  const looked = (m) => (m.reply === undefined ? 0 : 1)
+  return moves.sort((a, b) => looked(b) - looked(a) || b.value - a.value)
+}
+
+/** 'good', 'inaccurate' or 'blunder' for a move `loss` points off the best */
+export function markOf(loss) {
+  if (loss >= MARK_THRESHOLDS.blunder) return 'blunder'
+  if (loss >= MARK_THRESHOLDS.inaccurate) return 'inaccurate'
+  return 'good'
+}
+
+/**
+ * How `move` compares with the best move in `state`: {player, move, mark,
+ * loss, value, events, reply, best: {move, value}}. Passes and forfeits are
+ * not judged (mark null). `candidates` and `budget` go to analyzePosition.
+ */
+export function reviewMove(
+  state,
+  move,
+  { candidates = REVIEW_CANDIDATES, budget = REVIEW_BUDGET } = {}
+) {
+  if (move.type !== 'place' && move.type !== 'moveBlocker')
+    return { player: move.player, move, mark: null }
+  const moves = analyzePosition(state, move.player, {
+    candidates,
+    budget,
+    include: move,
+  })
+  const played = moves.find((m) => sameMove(m.move, move))
+  if (!played) throw new Error('The move is not legal in this position.')
+  const [best] = moves
+  const loss = Math.max(0, best.value - played.value)
+  return {
+    player: move.player,
+    move,
+    mark: markOf(loss),
+    loss,
+    value: played.value,
+    events: played.events,
+    reply: played.reply,
+    best: { move: best.move, value: best.value },
+  }
+}
+
+/**
+ * Review every move of a game from its initial state: {moves: [review],
+ * players: [{good, inaccurate, blunder}]} with one tally per seat.
+ * `pause` is awaited between moves, so a server can let other work through
+ * on a long game; `budget` caps the work on each move (see reviewMove).
+ */
+export async function reviewGame(
+  initial,
+  moves,
+  { pause = null, budget = REVIEW_BUDGET } = {}
+) {
+  const players = initial.scores.map(() => ({
+    good: 0,
+    inaccurate: 0,
+    blunder: 0,
+  }))
+  const reviews = []
+  let state = structuredClone(initial)
+  for (const [i, move] of moves.entries()) {
+    const review = reviewMove(state, move, { budget })
+    reviews.push({ seq: i + 1, ...review })
+    if (review.mark) players[move.player][review.mark]++
+    const res = applyMove(state, move)
+    if (res.error)
+      throw new Error(`Move ${i + 1} cannot be replayed: ${res.error.message}`)
+    state = res.state
+    await pause?.()
+  }
+  return { moves: reviews, players }
+}
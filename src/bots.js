@@ -0,0 +1,141 @@
+// src/bots.js (ESM)
+// Computer opponents. Bots pick a move from the same state the server passes
+// to applyMove(), and the server plays it through the normal move path.
+
+import { applyMove, inBounds, symbolSetOf, teamOf } from './game.js'
+
+export const BOT_LEVELS = {
+  easy: 'Easy', // random legal move
+  medium: 'Medium', // greedy one-ply
+  hard: 'Hard', // greedy plus the next player's best reply
+}
+
+// How many of the best one-ply moves the hard bot looks past, and how many
+// moves it may play doing so (see lookAheadCount)
+const HARD_CANDIDATES = 24
+const HARD_BUDGET = 4000
+const WIN_VALUE = 1000
+
+/**
+ * How many candidates a look-ahead can take: each costs about `moveCount`
+ * applyMove() calls on the server's only thread, so big boards get fewer,
+ * down to `min`, once `wanted` of them would go over `budget`.
+ */
+export function lookAheadCount(wanted, moveCount, budget, min = 1) {
+  const affordable = Math.floor(budget / Math.max(1, moveCount))
+  return Math.min(wanted, Math.max(min, affordable))
+}
+
+// Every move `player` may make in `state`: placements first, then blocker steps
+export function legalMoves(state, player) {
+  const { board } = state
+  const moves = []
+  const stock = state.stock[player] || {}
+  const symbols = Object.keys(symbolSetOf(state.settings).symbols)
+  board.forEach((row, r) =>
+    row.forEach((v, c) => {
+      if (v !== null) return
+      for (const sym of symbols)
+        if ((stock[sym] ?? 0) > 0)
+          moves.push({ type: 'place', player, r, c, sym })
+    })
+  )
+  board.forEach((row, r) =>
+    row.forEach((v, c) => {
+      if (v?.type !== 'BLOCKER') return
+      for (let dr = -1; dr <= 1; dr++)
+        for (let dc = -1; dc <= 1; dc++) {
+          const to = { r: r + dr, c: c + dc }
+          if (!(dr || dc) || !inBounds(board, to.r, to.c)) continue
+          if (board[to.r][to.c] === null)
+            moves.push({ type: 'moveBlocker', player, from: { r, c }, to })
+        }
+    })
+  )
+  return moves
+}
+
+// Points `player`'s side gained minus points everyone else gained, moving
+// from `before` to `after`. Winning outright dominates everything else.
+export function gainFor(before, after, events, player) {
+  const side = (i) => teamOf(after.settings, i)
+  const over = events.find((e) => e.type === 'gameOver')
+  if (over) {
+    const won = over.winners.some((w) => w.index === player)
+    const sides = new Set(over.winners.map((w) => side(w.index)))
+    if (won && sides.size === 1) return WIN_VALUE
+    if (!won) return -WIN_VALUE
+  }
+  let gain = 0
+  for (let i = 0; i < after.scores.length; i++) {
+    const delta = after.scores[i] - (before.scores[i] ?? 0)
+    gain += side(i) === side(player) ? delta : -delta
+  }
+  return gain
+}
+
+// Every legal move with its one-ply value for `player`: {move, next, events,
+// value}. src/analysis.js builds hints and reviews on the same values.
+export function rankMoves(state, player) {
+  const ranked = []
+  for (const move of legalMoves(state, player)) {
+    const res = applyMove(state, move)
+    if (res.error) continue
+    ranked.push({
+      move,
+      next: res.state,
+      events: res.events,
+      value: gainFor(state, res.state, res.events, player),
+    })
+  }
+  return ranked
+}
+
+// Best one-ply value the next player can reach from `state`; their gain is
+// counted as the bot's loss
+function bestReply(state, player) {
+  if (state.gameOver || state.turn === player) return 0
+  const replies = rankMoves(state, state.turn)
+  if (replies.length === 0) return 0
+  return Math.max(...replies.map((m) => m.value))
+}
+
+function shuffle(list, random) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[list[i], list[j]] = [list[j], list[i]]
+  }
+  return list
+}
+
+function pickBest(ranked, random) {
+  const top = Math.max(...ranked.map((m) => m.value))
+  const best = ranked.filter((m) => m.value === top)
+  return best[Math.floor(random() * best.length)].move
+}
+
+/**
+ * Choose a move for `player` at the given level ('easy'|'medium'|'hard').
+ * Returns null when the player has no legal move.
+ */
+export function chooseBotMove(state, player, level, random = Math.random) {
+  if (level === 'easy') {
+    const moves = legalMoves(state, player)
+    return moves.length ? moves[Math.floor(random() * moves.length)] : null
+  }
+
+  const ranked = rankMoves(state, player)
+  if (ranked.length === 0) return null
+  if (level !== 'hard') return pickBest(ranked, random)
+
+  // Look one reply deeper, but only for the most promising candidates
+  // (shuffled first so equal candidates aren't always the top-left cells)
+  shuffle(ranked, random).sort((a, b) => b.value - a.value)
+  const candidates = ranked.slice(
+    0,
+    lookAheadCount(HARD_CANDIDATES, ranked.length, HARD_BUDGET)
+  )
+  for (const m of candidates)
+    if (m.value < WIN_VALUE) m.value -= bestReply(m.next, player)
+  return pickBest(candidates, random)
+}
@@ -0,0 +1,74 @@
+// src/chat.js (ESM)
+// Server-side clean-up for chat: every name and text a message carries goes
+// through sanitizeText, so clients can insert them as HTML as they come.
+// Also the profanity filter and the quick emotes players can send.
+
+/** Emote key -> what the chat shows */
+export const EMOTES = {
+  gg: '🤝 GG',
+  nice: '👍 Nice!',
+  wow: '😮 Wow',
+  haha: '😂',
+  hmm: '🤔',
+  oops: '😅 Oops',
+}
+
+// Masked by default; CHAT_BLOCKLIST replaces the list (see createChatFilter)
+export const DEFAULT_BLOCKLIST = [
+  'fuck',
+  'motherfucker',
+  'shit',
+  'cunt',
+  'bitch',
+  'asshole',
+  'bastard',
+  'dickhead',
+  'wanker',
+  'twat',
+  'slut',
+  'whore',
+]
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}
+
+// Control characters, zero-width spaces and bidi overrides (which can flip
+// how the rest of a line reads)
+const INVISIBLE = /[\p{Cc}\u200B\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/gu
+
+/**
+ * One line of plain text: invisible characters dropped, whitespace collapsed,
+ * cut to `max` characters and HTML-escaped.
+ */
+export function sanitizeText(text, max = 300) {
+  return String(text ?? '')
+    .normalize('NFC')
+    .replace(INVISIBLE, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, max)
+    .replace(/[&<>"']/g, (c) => HTML_ESCAPES[c])
+}
+
+/**
+ * Returns text -> text with every listed word (and its plain endings:
+ * -s, -ed, -ing, -y...) masked by asterisks, whatever the case. An empty
+ * list lets everything through.
+ */
+export function createChatFilter(words = DEFAULT_BLOCKLIST) {
+  const list = words
+    .map((w) => w.trim().toLowerCase())
+    .filter(Boolean)
+    .map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  if (!list.length) return (text) => text
+  const pattern = new RegExp(
+    `\\b(?:${list.join('|')})(?:s|es|ed|er|ers|ing|y|ty)?\\b`,
+    'gi'
+  )
+  return (text) => text.replace(pattern, (word) => '*'.repeat(word.length))
+}
@@ -0,0 +1,350 @@
+// src/cluster.js (ESM)
+// Shared state for running several server instances. Instances talk over a
+// bus with one async interface:
+//   publish(channel, message), subscribe(channel, fn) -> unsubscribe,
+//   claim(key, owner, ttlMs) -> owner, owner(key) -> owner|null,
+//   release(key, owner), close()
+// Leases (claim/release) give every room one owning instance; messages carry
+// Socket.IO broadcasts (createBusAdapter), requests between instances
+// (createRpc) and lobby updates. The memory bus serves a single process (or
+// several servers inside one, as in the tests); the hub below is a local
+// stand-in for a shared broker that several Node processes connect to.
+
+import net from 'net'
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter'
+import { log } from './log.js'
+
+const RECONNECT_MS = 1000 // pause before a bus client reconnects
+const REQUEST_TIMEOUT_MS = 5000
+
+function deliver(handlers, message) {
+  for (const fn of [...handlers]) {
+    try {
+      fn(message)
+    } catch (err) {
+      log.error('bus handler failed', { err })
+    }
+  }
+}
+
+/* -------------------------
+   Memory Bus
+-------------------------- */
+
+/** In-process bus. Messages are copied as JSON, as over the wire. */
+export function createMemoryBus() {
+  const channels = new Map() // channel -> Set(handler)
+  const leases = new Map() // key -> { owner, expiresAt }
+
+  const live = (key) => {
+    const lease = leases.get(key)
+    return lease && lease.expiresAt > Date.now() ? lease : null
+  }
+
+  return {
+    kind: 'memory',
+
+    async publish(channel, message) {
+      const handlers = channels.get(channel)
+      if (!handlers?.size) return
+      const json = JSON.stringify(message)
+      // delivered later but in publish order, like a network would
+      queueMicrotask(() => deliver(handlers, JSON.parse(json)))
+    },
+
+    subscribe(channel, fn) {
+      if (!channels.has(channel)) channels.set(channel, new Set())
+      channels.get(channel).add(fn)
+      return () => channels.get(channel)?.delete(fn)
+    },
+
+    // Take or renew the lease on `key`; returns whoever holds it afterwards
+    async claim(key, owner, ttlMs) {
+      const lease = live(key)
+      if (lease && lease.owner !== owner) return lease.owner
+      leases.set(key, { owner, expiresAt: Date.now() + ttlMs })
+      return owner
+    },
+
+    async owner(key) {
+      return live(key)?.owner ?? null
+    },
+
+    async release(key, owner) {
+      if (leases.get(key)?.owner === owner) leases.delete(key)
+    },
+
+    async close() {
+      channels.clear()
+    },
+  }
+}
+
+/* -------------------------
+   Hub (local broker)
+-------------------------- */
+
+// Newline-delimited JSON frames
+function readFrames(conn, onFrame) {
+  let buffer = ''
+  conn.setEncoding('utf8')
+  conn.on('data', (chunk) => {
+    buffer += chunk
+    let end
+    while ((end = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, end)
+      buffer = buffer.slice(end + 1)
+      let frame
+      try {
+        frame = JSON.parse(line)
+      } catch {
+        continue
+      }
+      onFrame(frame)
+    }
+  })
+}
+
+function writeFrame(conn, frame) {
+  if (!conn.destroyed) conn.write(`${JSON.stringify(frame)}\n`)
+}
+
+const BUS_OPS = ['claim', 'owner', 'release']
+
+/**
+ * A TCP server sharing one memory bus with every connected instance
+ * (see connectBus). Call listen(port) on the result.
+ */
+export function createHub(bus = createMemoryBus()) {
+  return net.createServer((conn) => {
+    const subs = new Map() // channel -> unsubscribe
+    conn.setNoDelay(true)
+    conn.on('error', () => {}) // a dropped instance just goes away
+    conn.on('close', () => {
+      for (const off of subs.values()) off()
+    })
+    readFrames(conn, async (frame) => {
+      const { op, channel } = frame
+      if (op === 'sub' && !subs.has(channel))
+        subs.set(
+          channel,
+          bus.subscribe(channel, (message) =>
+            writeFrame(conn, { op: 'msg', channel, message })
+          )
+        )
+      else if (op === 'unsub') {
+        subs.get(channel)?.()
+        subs.delete(channel)
+      } else if (op === 'pub') bus.publish(channel, frame.message)
+      else if (BUS_OPS.includes(op))
+        writeFrame(conn, {
+          op: 'res',
+          id: frame.id,
+          value: (await bus[op](...frame.args)) ?? null,
+        })
+    })
+  })
+}
+
+/**
+ * Bus client for a hub at `url` ("tcp://host:port"); reconnects on its own.
+ * Leases are refused while the connection is down, and time out after
+ * `timeoutMs` without an answer.
+ */
+export function connectBus(url, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  const { hostname, port } = new URL(url)
+  const channels = new Map() // channel -> Set(handler)
+  const pending = new Map() // request id -> { resolve, reject, timer }
+  let nextId = 0
+  let conn
+  let closed = false
+
+  function open() {
+    conn = net.connect(Number(port), hostname)
+    conn.setNoDelay(true)
+    conn.on('connect', () => {
+      for (const channel of channels.keys())
+        writeFrame(conn, { op: 'sub', channel })
+    })
+    readFrames(conn, (frame) => {
+      if (frame.op === 'msg')
+        deliver(channels.get(frame.channel) ?? [], frame.message)
+      else if (frame.op === 'res') settle(frame.id)?.resolve(frame.value)
+    })
+    conn.on('error', (err) => {
+      if (!closed) log.error('bus connection failed', { url, err })
+    })
+    conn.on('close', () => {
+      for (const id of [...pending.keys()])
+        settle(id).reject(new Error('Lost the connection to the cluster bus.'))
+      if (!closed) setTimeout(open, RECONNECT_MS).unref()
+    })
+  }
+
+  // The request's callbacks, once: it is answered, failed or timed out
+  function settle(id) {
+    const request = pending.get(id)
+    pending.delete(id)
+    clearTimeout(request?.timer)
+    return request
+  }
+
+  const call = (op, ...args) =>
+    new Promise((resolve, reject) => {
+      if (conn.destroyed)
+        return reject(new Error('Not connected to the cluster bus.'))
+      const id = ++nextId
+      const timer = setTimeout(
+        () => settle(id).reject(new Error('The cluster bus did not answer.')),
+        timeoutMs
+      )
+      pending.set(id, { resolve, reject, timer })
+      writeFrame(conn, { op, id, args })
+    })
+
+  open()
+  return {
+    kind: 'hub',
+
+    async publish(channel, message) {
+      writeFrame(conn, { op: 'pub', channel, message })
+    },
+
+    subscribe(channel, fn) {
+      if (!channels.has(channel)) {
+        channels.set(channel, new Set())
+        writeFrame(conn, { op: 'sub', channel })
+      }
+      channels.get(channel).add(fn)
+      return () => {
+        const handlers = channels.get(channel)
+        handlers?.delete(fn)
+        if (handlers?.size === 0) {
+          channels.delete(channel)
+          writeFrame(conn, { op: 'unsub', channel })
+        }
+      }
+    },
+
+    claim: (key, owner, ttlMs) => call('claim', key, owner, ttlMs),
+    owner: (key) => call('owner', key),
+    release: (key, owner) => call('release', key, owner),
+
+    async close() {
+      closed = true
+      conn.end()
+    },
+  }
+}
+
+/**
+ * CLUSTER_BUS: "memory" (default, one instance) or "tcp://host:port" of a
+ * hub (npm run hub) shared by several instances
+ */
+export function createBus(env = process.env) {
+  const url = env.CLUSTER_BUS || 'memory'
+  if (url === 'memory') return createMemoryBus()
+  if (url.startsWith('tcp://')) return connectBus(url)
+  throw new Error(`Unknown CLUSTER_BUS "${url}"`)
+}
+
+/* -------------------------
+   Socket.IO Adapter
+-------------------------- */
+
+/**
+ * Socket.IO adapter that relays broadcasts, room joins/leaves and
+ * fetchSockets() to the other instances on the bus:
+ *   io.adapter(createBusAdapter(bus))
+ */
+export function createBusAdapter(bus, opts = {}) {
+  return class BusAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, opts)
+      this.channel = `socket.io#${nsp.name}`
+      this.unsubscribe = [
+        bus.subscribe(this.channel, (message) => this.onMessage(message)),
+        bus.subscribe(`${this.channel}#${this.uid}`, (response) =>
+          this.onResponse(response)
+        ),
+      ]
+      // Socket.IO never calls init(); it announces this node to the others
+      // and starts the heartbeats they use to count it
+      this.init()
+    }
+
+    async doPublish(message) {
+      await bus.publish(this.channel, message)
+      return '' // no offsets: missed messages are not replayed
+    }
+
+    async doPublishResponse(requesterUid, response) {
+      await bus.publish(`${this.channel}#${requesterUid}`, response)
+    }
+
+    close() {
+      super.close()
+      for (const off of this.unsubscribe) off()
+    }
+  }
+}
+
+/* -------------------------
+   Requests Between Instances
+-------------------------- */
+
+/**
+ * Request/reply and one-way notes between instances, addressed by instance
+ * id. serve(fn) sets the handler: fn(body, from) -> result (or a promise);
+ * request(to, body) resolves to the result, notify(to, body) expects none.
+ */
+export function createRpc(bus, self, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  const pending = new Map() // request id -> { resolve, reject, timer }
+  let handler = () => null
+  let nextId = 0
+
+  const channel = (id) => `rpc#${id}`
+
+  bus.subscribe(channel(self), async (msg) => {
+    if (msg.type === 'reply') {
+      const request = pending.get(msg.id)
+      if (!request) return
+      pending.delete(msg.id)
+      clearTimeout(request.timer)
+      if (msg.error) request.reject(new Error(msg.error))
+      else request.resolve(msg.result ?? null)
+      return
+    }
+    let reply
+    try {
+      reply = { result: await handler(msg.body, msg.from) }
+    } catch (err) {
+      log.error('request from another instance failed', { from: msg.from, err })
+      reply = { error: err.message }
+    }
+    if (msg.type === 'request')
+      bus.publish(channel(msg.from), { type: 'reply', id: msg.id, ...reply })
+  })
+
+  return {
+    serve(fn) {
+      handler = fn
+    },
+
+    request(to, body) {
+      return new Promise((resolve, reject) => {
+        const id = ++nextId
+        const timer = setTimeout(() => {
+          pending.delete(id)
+          reject(new Error(`Instance ${to} did not answer.`))
+        }, timeoutMs)
+        pending.set(id, { resolve, reject, timer })
+        bus.publish(channel(to), { type: 'request', id, from: self, body })
+      })
+    },
+
+    notify(to, body) {
+      bus.publish(channel(to), { type: 'notify', from: self, body })
+    },
+  }
+}
@@ -0,0 +1,781 @@
+// src/game.js (ESM)
+// Pure rules engine: no sockets, timers or I/O. The server keeps rooms and
+// calls applyMove(); everything here works on plain state objects.
+
+/* -------------------------
+   Constants & Helpers
+-------------------------- */
+export const BOARD_SIZE = 8 // default rows and columns
+export const MIN_BOARD_SIZE = 6
+export const MAX_BOARD_SIZE = 12
+
+// Symbol sets a room can play with; `beats[a]` lists the symbols `a` beats
+export const SYMBOL_SETS = {
+  rps: {
+    name: 'Rock Paper Scissors',
+    symbols: { R: '◯', P: '■', S: '✕' },
+    names: { R: 'Rock', P: 'Paper', S: 'Scissors' },
+    beats: { R: ['S'], P: ['R'], S: ['P'] },
+  },
+  rpsls: {
+    name: 'Rock Paper Scissors Lizard Spock',
+    symbols: { R: '◯', P: '■', S: '✕', L: '▲', V: '✦' },
+    names: { R: 'Rock', P: 'Paper', S: 'Scissors', L: 'Lizard', V: 'Spock' },
+    beats: {
+      R: ['S', 'L'],
+      P: ['R', 'V'],
+      S: ['P', 'L'],
+      L: ['V', 'P'],
+      V: ['S', 'R'],
+    },
+  },
+}
+
+// settings.rules; anything missing falls back to these (the original rules)
+export const DEFAULT_RULES = {
+  symbolSet: 'rps',
+  misplacement: true, // opponents score when you place into their trap
+  elimination: true, // a new pair knocks out beaten neighbours
+  lines: true, // three of your own symbol in a row
+  lineScoring: 'flat', // 'flat': 1 per line | 'length': 3/4/5+ in a row = 1/2/3
+  teamPieces: false, // team games: teammates' pieces count as one owner
+}
+
+export function rulesOf(settings) {
+  return { ...DEFAULT_RULES, ...settings?.rules }
+}
+
+export function symbolSetOf(settings) {
+  return SYMBOL_SETS[rulesOf(settings).symbolSet] || SYMBOL_SETS.rps
+}
+
+const CLASSIC_BEATS = SYMBOL_SETS.rps.beats
+
+// Team games (settings.teams) are 2v2: seats 1 & 3 against seats 2 & 4, so
+// turns alternate between the teams. Otherwise every seat is its own side.
+export const TEAM_SEATS = 4
+export const TEAM_NAMES = ['A', 'B']
+
+export function teamOf(settings, player) {
+  return settings?.teams ? player % 2 : player
+}
+
+const solo = (player) => player
+
+// Who counts as the same owner for lines and misplacement
+function ownerOf(settings) {
+  return settings?.teams && rulesOf(settings).teamPieces
+    ? (player) => teamOf(settings, player)
+    : solo
+}
+
+// Pooled team scores: [{team, name, players:[seat], score}], or null when
+// the room isn't playing teams
+export function teamScores(settings, scores) {
+  if (!settings?.teams) return null
+  return TEAM_NAMES.map((name, team) => {
+    const players = scores.map((_, i) => i).filter((i) => i % 2 === team)
+    return {
+      team,
+      name,
+      players,
+      score: players.reduce((sum, i) => sum + (scores[i] ?? 0), 0),
+    }
+  })
+}
+
+// A player's score for pointsToWin: their own, or their team's
+function sideScore(state, player) {
+  const teams = teamScores(state.settings, state.scores)
+  if (!teams) return state.scores[player] ?? 0
+  return teams[teamOf(state.settings, player)].score
+}
+
+function beats(table, a, b) {
+  return table[a]?.includes(b) ?? false
+}
+
+const DELTAS = [
+  [0, 1],
+  [1, 0],
+  [1, 1],
+  [1, -1],
+]
+
+// Cells hold null (empty), a piece {player, sym}, {type:'BLOCKER'} or
+// {type:'HOLE'} (not part of the board: never playable, never moves).
+// Everything below reads the geometry from the board itself.
+export function createEmptyBoard(rows = BOARD_SIZE, cols = rows) {
+  return Array.from({ length: rows }, () =>
+    Array.from({ length: cols }, () => null)
+  )
+}
+export function inBounds(board, r, c) {
+  return r >= 0 && r < board.length && c >= 0 && c < board[0].length
+}
+function isPiece(v) {
+  return !!v && !v.type
+}
+function sameOwnerSym(board, r, c, ref) {
+  const v = board[r][c]
+  return isPiece(v) && v.player === ref.player && v.sym === ref.sym
+}
+function emptyCells(board) {
+  const empties = []
+  board.forEach((row, r) =>
+    row.forEach((v, c) => {
+      if (v === null) empties.push({ r, c })
+    })
+  )
+  return empties
+}
+function randomEmptyCell(board, random = Math.random) {
+  const empties = emptyCells(board)
+  if (empties.length === 0) return null
+  return empties[Math.floor(random() * empties.length)]
+}
+export function placeRandomBlockers(board, count, random = Math.random) {
+  let placed = 0
+  while (placed < count) {
+    const pos = randomEmptyCell(board, random)
+    if (!pos) break
+    board[pos.r][pos.c] = { type: 'BLOCKER' }
+    placed++
+  }
+}
+export function boardFull(board) {
+  return board.every((row) => row.every((v) => v !== null))
+}
+// Leaders by score; players listed in `exclude` (forfeited) can't win. In
+// team games every remaining player of the leading team(s) is listed, with
+// the pooled score and the team as label.
+export function evaluateWinners(scores, exclude = [], settings) {
+  const teams = teamScores(settings, scores)
+  if (teams) {
+    const alive = teams.filter((t) =>
+      t.players.some((i) => !exclude.includes(i))
+    )
+    const top = Math.max(...alive.map((t) => t.score))
+    return alive
+      .filter((t) => t.score === top)
+      .flatMap((t) =>
+        t.players
+          .filter((i) => !exclude.includes(i))
+          .map((i) => ({
+            index: i,
+            label: `Team ${t.name}`,
+            score: t.score,
+            team: t.team,
+          }))
+      )
+  }
+  const eligible = scores.filter((_, i) => !exclude.includes(i))
+  const max = Math.max(...eligible)
+  const winners = []
+  for (let i = 0; i < scores.length; i++)
+    if (scores[i] === max && !exclude.includes(i))
+      winners.push({ index: i, label: `P${i + 1}`, score: scores[i] })
+  return winners
+}
+
+/* -------------------------
+   Board Shapes
+-------------------------- */
+
+// Preset layouts: each returns the fixed cells for a rows x cols board as
+// [{r, c, type}]. Random blockers (settings.blockers) go on top of these.
+export const LAYOUTS = {
+  classic: () => [],
+  // a blocker in the middle of every 3x3 block
+  pillars: (rows, cols) => {
+    const cells = []
+    for (let r = 1; r < rows - 1; r += 3)
+      for (let c = 1; c < cols - 1; c += 3)
+        cells.push({ r, c, type: 'BLOCKER' })
+    return cells
+  },
+  // corners cut off diagonally
+  octagon: (rows, cols) => {
+    const cut = Math.floor(Math.min(rows, cols) / 4)
+    const cells = []
+    for (let r = 0; r < rows; r++)
+      for (let c = 0; c < cols; c++) {
+        const dr = Math.min(r, rows - 1 - r)
+        const dc = Math.min(c, cols - 1 - c)
+        if (dr + dc < cut) cells.push({ r, c, type: 'HOLE' })
+      }
+    return cells
+  },
+  // a hole in the centre
+  donut: (rows, cols) => {
+    const cells = []
+    for (const r of middle(rows))
+      for (const c of middle(cols)) cells.push({ r, c, type: 'HOLE' })
+    return cells
+  },
+}
+
+// The one or two middle indices of 0..n-1
+function middle(n) {
+  return n % 2 ? [(n - 1) / 2] : [n / 2 - 1, n / 2]
+}
+
+function boardSizeOf(settings) {
+  return {
+    rows: settings.rows ?? BOARD_SIZE,
+    cols: settings.cols ?? BOARD_SIZE,
+  }
+}
+
+// Empty board in the settings' size with the layout's fixed cells
+export function createBoard(settings) {
+  const { rows, cols } = boardSizeOf(settings)
+  const board = createEmptyBoard(rows, cols)
+  const layout = LAYOUTS[settings.layout] || LAYOUTS.classic
+  for (const { r, c, type } of layout(rows, cols)) board[r][c] = { type }
+  return board
+}
+
+// Settings that validate one by one but don't fit together, or (when
+// `playerCount` is given) don't fit the seated players.
+// Returns {code, message} or null.
+export function checkSettings(settings, playerCount) {
+  const open = emptyCells(createBoard(settings)).length
+  if ((settings.blockers ?? 0) >= open)
+    return {
+      code: 'BAD_SETTINGS',
+      message: `This board has ${open} open cells; use fewer blockers.`,
+    }
+  const seated = playerCount ?? TEAM_SEATS
+  if (settings.teams && seated !== TEAM_SEATS)
+    return {
+      code: 'BAD_SETTINGS',
+      message: `Team games need exactly ${TEAM_SEATS} players.`,
+    }
+  return null
+}
+
+/* -------------------------
+   Scoring & Elimination
+-------------------------- */
+
+// Remove adjacent enemy pieces that are beaten by the placed symbol.
+// Only the first same-owner/same-symbol pair containing the placed tile (per
+// direction) is considered, and only the cells just outside that pair.
+// `teamOf` maps a player to their side; pieces of the same side are safe.
+// Mutates `board`. Returns {removed, highlights[]} where highlights are
+// [{cells:[{r,c}], by:<playerIdx>}]
+export function resolveEliminationsFrom(
+  board,
+  r,
+  c,
+  byPlayerIdx,
+  beatTable = CLASSIC_BEATS,
+  teamOf = solo
+) {
+  const placed = board[r][c]
+  if (!isPiece(placed)) return { removed: 0, highlights: [] }
+
+  let removed = 0
+  const highlights = []
+
+  const tryEliminate = (rr, cc) => {
+    if (!inBounds(board, rr, cc)) return 0
+    const v = board[rr][cc]
+    if (!isPiece(v)) return 0
+    if (teamOf(v.player) === teamOf(placed.player)) return 0
+    if (beats(beatTable, placed.sym, v.sym)) {
+      board[rr][cc] = null
+      highlights.push({ cells: [{ r: rr, c: cc }], by: byPlayerIdx })
+      return 1
+    }
+    return 0
+  }
+
+  for (const [dr, dc] of DELTAS) {
+    const line = [{ r, c }]
+    // backward
+    let br = r - dr,
+      bc = c - dc
+    while (inBounds(board, br, bc) && sameOwnerSym(board, br, bc, placed)) {
+      line.unshift({ r: br, c: bc })
+      br -= dr
+      bc -= dc
+    }
+    // forward
+    let fr = r + dr,
+      fc = c + dc
+    while (inBounds(board, fr, fc) && sameOwnerSym(board, fr, fc, placed)) {
+      line.push({ r: fr, c: fc })
+      fr += dr
+      fc += dc
+    }
+
+    // find the pair that includes the placed tile, then try eliminations just outside
+    for (let i = 0; i < line.length - 1; i++) {
+      const a = line[i],
+        b = line[i + 1]
+      const includesNew = (a.r === r && a.c === c) || (b.r === r && b.c === c)
+      if (!includesNew) continue
+      removed += tryEliminate(a.r - dr, a.c - dc)
+      removed += tryEliminate(b.r + dr, b.c + dc)
+      break
+    }
+  }
+  return { removed, highlights }
+}
+
+// Points for the current player for any 3+ contiguous of same symbol/same
+// owner formed: 1 per direction ('flat'), or 1/2/3 for 3/4/5+ ('length').
+// `ownerOf` maps a player to whoever owns their pieces (their team when
+// teammates' pieces count together).
+// Returns {points, highlights[]} with entries {cells:[...], by:<playerIdx>}
+export function scoreThreeInRow(
+  board,
+  r,
+  c,
+  byPlayerIdx,
+  lineScoring = 'flat',
+  ownerOf = solo
+) {
+  const v = board[r][c]
+  if (!isPiece(v)) return { points: 0, highlights: [] }
+  const { sym } = v
+  const owner = ownerOf(v.player)
+
+  let points = 0
+  const highlights = []
+
+  for (const [dr, dc] of DELTAS) {
+    const seg = [{ r, c }]
+    let br = r - dr,
+      bc = c - dc
+    while (inBounds(board, br, bc) && isPiece(board[br][bc])) {
+      const t = board[br][bc]
+      if (ownerOf(t.player) === owner && t.sym === sym) {
+        seg.unshift({ r: br, c: bc })
+        br -= dr
+        bc -= dc
+      } else break
+    }
+    let fr = r + dr,
+      fc = c + dc
+    while (inBounds(board, fr, fc) && isPiece(board[fr][fc])) {
+      const t = board[fr][fc]
+      if (ownerOf(t.player) === owner && t.sym === sym) {
+        seg.push({ r: fr, c: fc })
+        fr += dr
+        fc += dc
+      } else break
+    }
+
+    if (seg.length >= 3 && lineScoring === 'length') {
+      points += Math.min(seg.length, 5) - 2
+      highlights.push({ cells: seg, by: byPlayerIdx })
+    } else if (seg.length >= 3) {
+      points += 1
+      const idx = seg.findIndex((p) => p.r === r && p.c === c)
+      const start = Math.max(0, Math.min(idx - 1, seg.length - 3))
+      const triple = [seg[start], seg[start + 1], seg[start + 2]]
+      highlights.push({ cells: triple, by: byPlayerIdx })
+    }
+  }
+
+  return { points, highlights }
+}
+
+// Misplacement: a contiguous triple containing the placed tile whose other two
+// tiles belong to the same opponent and both beat the placed symbol awards
+// that opponent +1. At most one award per direction. `teamOf` and `ownerOf`
+// work as in resolveEliminationsFrom and scoreThreeInRow: a teammate can't
+// trap you, and with shared pieces two teammates' tiles form one trap.
+// Returns {awarded:[{player,points}], highlights:[{cells:[...], by:<playerIdxAwarded>}]}
+export function scoreMisplacement(
+  board,
+  r,
+  c,
+  beatTable = CLASSIC_BEATS,
+  teamOf = solo,
+  ownerOf = solo
+) {
+  const placed = board[r][c]
+  if (!isPiece(placed)) return { awarded: [], highlights: [] }
+  const { player: pPlayer, sym: pSym } = placed
+
+  const awarded = []
+  const highlights = []
+
+  for (const [dr, dc] of DELTAS) {
+    const windows = [
+      [
+        { r: r - 2 * dr, c: c - 2 * dc },
+        { r: r - 1 * dr, c: c - 1 * dc },
+        { r: r, c: c },
+      ],
+      [
+        { r: r - 1 * dr, c: c - 1 * dc },
+        { r: r, c: c },
+        { r: r + 1 * dr, c: c + 1 * dc },
+      ],
+      [
+        { r: r, c: c },
+        { r: r + 1 * dr, c: c + 1 * dc },
+        { r: r + 2 * dr, c: c + 2 * dc },
+      ],
+    ]
+
+    let directionAwarded = false
+
+    for (const win of windows) {
+      if (directionAwarded) break
+      const tiles = []
+      let ok = true
+      for (const pos of win) {
+        if (!inBounds(board, pos.r, pos.c)) {
+          ok = false
+          break
+        }
+        const t = board[pos.r][pos.c]
+        if (!isPiece(t)) {
+          ok = false
+          break
+        }
+        tiles.push({ ...pos, ...t })
+      }
+      if (!ok) continue
+      if (!tiles.some((t) => t.r === r && t.c === c)) continue
+
+      const others = tiles.filter((t) => !(t.r === r && t.c === c))
+      if (others.length !== 2) continue
+
+      const bothStronger =
+        others.every((t) => beats(beatTable, t.sym, pSym)) &&
+        others.every((t) => teamOf(t.player) !== teamOf(pPlayer))
+
+      const sameOpponentOwner =
+        bothStronger &&
+        ownerOf(others[0].player) === ownerOf(others[1].player)
+
+      if (bothStronger && sameOpponentOwner) {
+        const opp = others[0].player
+        awarded.push({ player: opp, points: 1 })
+        highlights.push({
+          cells: win.map((w) => ({ r: w.r, c: w.c })),
+          by: opp,
+        })
+        directionAwarded = true
+      }
+    }
+  }
+
+  return { awarded, highlights }
+}
+
+/* -------------------------
+   Game State & Moves
+-------------------------- */
+
+// A full hand: tilesPerSymbol of every symbol in the room's set
+export function createStock(settings) {
+  return Object.fromEntries(
+    Object.keys(symbolSetOf(settings).symbols).map((sym) => [
+      sym,
+      settings.tilesPerSymbol,
+    ])
+  )
+}
+
+// Fresh game for `playerCount` seats, seat `first` to move. `random` is
+// injectable for tests.
+export function createGame(settings, playerCount, { random, first = 0 } = {}) {
+  const board = createBoard(settings)
+  if (settings.blockers > 0)
+    placeRandomBlockers(board, settings.blockers, random)
+  return {
+    settings,
+    turn: first,
+    slot: first, // seat whose turn it is; see advanceTurn
+    lastPlayed: {},
+    scores: Array.from({ length: playerCount }, () => 0),
+    stock: Array.from({ length: playerCount }, () => createStock(settings)),
+    board,
+    gameOver: false,
+    forfeited: [], // player indices out of the game (e.g. timed out)
+  }
+}
+
+function cloneState(state) {
+  return {
+    ...state,
+    board: state.board.map((row) => row.slice()),
+    scores: state.scores.slice(),
+    stock: state.stock.map((s) => ({ ...s })),
+    lastPlayed: { ...state.lastPlayed },
+    forfeited: [...(state.forfeited || [])],
+  }
+}
+
+// Who plays seat `seat`'s turn: the seat itself, or in team games its
+// teammate once it has forfeited. null when neither can.
+function standIn(state, seat) {
+  if (!state.forfeited.includes(seat)) return seat
+  if (!state.settings?.teams) return null
+  const mate = (seat + 2) % state.scores.length
+  return state.forfeited.includes(mate) ? null : mate
+}
+
+// Pass the turn to the next seat in order, skipping forfeited players. The
+// seat (`slot`) is kept apart from who plays it: in team games a teammate
+// stands in for a forfeited seat, so the teams keep alternating.
+function advanceTurn(state) {
+  const n = state.scores.length
+  const slot = state.slot ?? state.turn
+  for (let step = 1; step <= n; step++) {
+    const seat = (slot + step) % n
+    const player = standIn(state, seat)
+    if (player === null) continue
+    state.turn = player
+    state.slot = seat
+    return
+  }
+}
+
+// Sides with someone still in the game
+function sidesLeft(state) {
+  const sides = new Set()
+  state.scores.forEach((_, i) => {
+    if (!state.forfeited.includes(i)) sides.add(teamOf(state.settings, i))
+  })
+  return sides.size
+}
+
+function reject(state, code, message) {
+  return { state, events: [], error: { code, message } }
+}
+
+// After a move: points win, then exhausted stock, then full board; otherwise
+// pass the turn. Appends the resulting event to `events`.
+function settle(state, playerIdx, events) {
+  const winners = () =>
+    evaluateWinners(state.scores, state.forfeited, state.settings)
+  if (sideScore(state, playerIdx) >= state.settings.pointsToWin) {
+    state.gameOver = true
+    events.push({
+      type: 'gameOver',
+      reason: 'points',
+      player: playerIdx,
+      winners: winners(),
+    })
+    return
+  }
+
+  for (let i = 0; i < state.stock.length; i++) {
+    const left = Object.values(state.stock[i] || {}).reduce((a, b) => a + b, 0)
+    if (left === 0) {
+      state.gameOver = true
+      events.push({
+        type: 'gameOver',
+        reason: 'stock',
+        player: i,
+        winners: winners(),
+      })
+      return
+    }
+  }
+
+  if (boardFull(state.board)) {
+    state.gameOver = true
+    events.push({
+      type: 'gameOver',
+      reason: 'boardFull',
+      winners: winners(),
+    })
+    return
+  }
+
+  advanceTurn(state)
+  events.push({ type: 'turn', turn: state.turn })
+}
+
+function applyPlace(state, { player, r, c, sym }) {
+  const rules = rulesOf(state.settings)
+  const { symbols, beats: beatTable } = symbolSetOf(state.settings)
+  const side = (p) => teamOf(state.settings, p)
+  const owner = ownerOf(state.settings)
+  if (!Object.hasOwn(symbols, sym))
+    return reject(state, 'BAD_SYMBOL', 'Unknown symbol.')
+  if (!inBounds(state.board, r, c) || state.board[r][c]?.type === 'HOLE')
+    return reject(state, 'OUT_OF_BOUNDS', 'Off the board.')
+  if (state.board[r][c] !== null)
+    return reject(state, 'CELL_OCCUPIED', 'Cell occupied.')
+  if ((state.stock[player]?.[sym] ?? 0) <= 0)
+    return reject(state, 'NO_STOCK', `No ${symbols[sym]} tiles left.`)
+
+  const next = cloneState(state)
+  const events = []
+
+  // place
+  next.board[r][c] = { player, sym }
+  next.stock[player][sym]--
+  next.lastPlayed[player] = sym
+  events.push({ type: 'placed', player, r, c, sym })
+
+  // Misplacement score first (opponent gains if applicable)
+  const mis = rules.misplacement
+    ? scoreMisplacement(next.board, r, c, beatTable, side, owner)
+    : { awarded: [] }
+  mis.awarded.forEach((a, i) => {
+    next.scores[a.player] = (next.scores[a.player] ?? 0) + a.points
+    events.push({
+      type: 'misplacement',
+      player: a.player,
+      points: a.points,
+      highlights: [mis.highlights[i]],
+    })
+  })
+
+  // eliminations -> current player score
+  const elim = rules.elimination
+    ? resolveEliminationsFrom(next.board, r, c, player, beatTable, side)
+    : { removed: 0 }
+  if (elim.removed > 0) {
+    next.scores[player] += elim.removed
+    events.push({
+      type: 'elimination',
+      player,
+      points: elim.removed,
+      highlights: elim.highlights,
+    })
+  }
+
+  // 3-in-a-row bonus for current player
+  const tri = rules.lines
+    ? scoreThreeInRow(next.board, r, c, player, rules.lineScoring, owner)
+    : { points: 0 }
+  if (tri.points > 0) {
+    next.scores[player] += tri.points
+    events.push({
+      type: 'line',
+      player,
+      points: tri.points,
+      highlights: tri.highlights,
+    })
+  }
+
+  settle(next, player, events)
+  return { state: next, events }
+}
+
+function applyBlockerMove(state, { player, from, to }) {
+  const { board } = state
+  if (!inBounds(board, from?.r, from?.c) || !inBounds(board, to?.r, to?.c))
+    return reject(state, 'OUT_OF_BOUNDS', 'Off the board.')
+  if (board[to.r][to.c]?.type === 'HOLE')
+    return reject(state, 'OUT_OF_BOUNDS', 'Off the board.')
+  const v = board[from.r][from.c]
+  if (!v || v.type !== 'BLOCKER')
+    return reject(state, 'NOT_A_BLOCKER', 'That cell has no blocker.')
+  if (board[to.r][to.c] !== null)
+    return reject(state, 'CELL_OCCUPIED', 'Destination not empty.')
+
+  const dr = Math.abs(from.r - to.r),
+    dc = Math.abs(from.c - to.c)
+  if ((dr === 0 && dc === 0) || dr > 1 || dc > 1)
+    return reject(state, 'TOO_FAR', 'One-step move only.')
+
+  const next = cloneState(state)
+  next.board[to.r][to.c] = { type: 'BLOCKER' }
+  next.board[from.r][from.c] = null
+
+  // no scoring and no end check for a blocker move; just pass the turn
+  advanceTurn(next)
+  return {
+    state: next,
+    events: [
+      { type: 'blockerMoved', player, from, to },
+      { type: 'turn', turn: next.turn },
+    ],
+  }
+}
+
+// Give up the turn without playing (e.g. the turn timer ran out)
+function applyPass(state, { player }) {
+  const next = cloneState(state)
+  advanceTurn(next)
+  return {
+    state: next,
+    events: [
+      { type: 'passed', player },
+      { type: 'turn', turn: next.turn },
+    ],
+  }
+}
+
+// Leave the game for good; the last player standing wins. A player may
+// forfeit out of turn (e.g. they left the room): the turn then stays put.
+function applyForfeit(state, { player }) {
+  if (!(player in state.scores) || state.forfeited.includes(player))
+    return reject(state, 'BAD_MOVE', 'That player cannot forfeit.')
+  const next = cloneState(state)
+  next.forfeited.push(player)
+  const events = [{ type: 'forfeited', player }]
+
+  if (sidesLeft(next) <= 1) {
+    next.gameOver = true
+    events.push({
+      type: 'gameOver',
+      reason: 'forfeit',
+      player,
+      winners: evaluateWinners(next.scores, next.forfeited, next.settings),
+    })
+    return { state: next, events }
+  }
+
+  if (player !== state.turn) return { state: next, events }
+  advanceTurn(next)
+  events.push({ type: 'turn', turn: next.turn })
+  return { state: next, events }
+}
+
+/**
+ * Apply one move to a game state without mutating it.
+ * move: {type:'place', player, r, c, sym} | {type:'moveBlocker', player, from, to}
+ *     | {type:'pass', player} | {type:'forfeit', player}
+ * Every move but a forfeit must be the player's to make (state.turn).
+ * Returns {state, events}; on an illegal move the original state is returned
+ * with no events and error: {code, message}.
+ */
+export function applyMove(state, move) {
+  if (state.gameOver) return reject(state, 'GAME_OVER', 'The game is over.')
+  if (move?.player !== state.turn && move?.type !== 'forfeit')
+    return reject(state, 'NOT_YOUR_TURN', 'It is not your turn.')
+
+  switch (move.type) {
+    case 'place':
+      return applyPlace(state, move)
+    case 'moveBlocker':
+      return applyBlockerMove(state, move)
+    case 'pass':
+      return applyPass(state, move)
+    case 'forfeit':
+      return applyForfeit(state, move)
+    default:
+      return reject(state, 'BAD_MOVE', 'Unknown move type.')
+  }
+}
+
+// Re-apply recorded moves from an initial state. Returns one frame per
+// position: [{state, events, move}], the first being the initial state.
+// Throws if a recorded move no longer applies (corrupt history).
+export function replayMoves(initial, moves) {
+  let state = structuredClone(initial)
+  const frames = [{ state, events: [], move: null }]
+  moves.forEach((move, i) => {
+    const res = applyMove(state, move)
+    if (res.error)
+      throw new Error(`Move ${i + 1} cannot be replayed: ${res.error.message}`)
+    state = res.state
+    frames.push({ state, events: res.events, move })
+  })
+  return frames
+}
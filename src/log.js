@@ -0,0 +1,96 @@
+// src/log.js (ESM)
+// Structured logs: one JSON object per line, on stdout (warnings and errors
+// on stderr), for a log collector to index. A line is
+//   { time, level, msg, ...logger fields, ...context, ...fields }
+// where the context comes from withContext(): the server runs every socket
+// event, timer and request from another instance inside one with a
+// correlation id (`cid`), so the lines one piece of work writes can be found
+// together. LOG_LEVEL (debug | info | warn | error, default info) drops the
+// levels below it.
+
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { customAlphabet } from 'nanoid'
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+const context = new AsyncLocalStorage()
+
+/** A new correlation id */
+export const createCorrelationId = customAlphabet(
+  '0123456789abcdefghijklmnopqrstuvwxyz',
+  12
+)
+
+/**
+ * Run `fn` with `fields` added to the log context (for it and everything it
+ * starts, sync or async); returns what `fn` returns.
+ */
+export function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn)
+}
+
+/** `fn`, wrapped to run every call under a new correlation id */
+export function traced(fn) {
+  return (...args) =>
+    withContext({ cid: createCorrelationId() }, () => fn(...args))
+}
+
+/** The fields of the current log context ({} outside of any) */
+export function logContext() {
+  return context.getStore() ?? {}
+}
+
+// Errors turn into {} in JSON; keep what helps to find the cause
+function serialize(value) {
+  if (!(value instanceof Error)) return value
+  const { name, message, code, stack } = value
+  return { name, message, code, stack }
+}
+
+function writeLine(line, level) {
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) console.error(line)
+  else console.log(line)
+}
+
+/**
+ * A logger: debug/info/warn/error(msg, fields), and child(fields) for one that
+ * adds `fields` to every line. Fields that are undefined are left out.
+ * `write(line, level)` gets each JSON line (without the newline).
+ */
+export function createLogger({
+  level = 'info',
+  fields = {},
+  write = writeLine,
+  now = () => new Date(),
+} = {}) {
+  const min = LOG_LEVELS[level] ?? LOG_LEVELS.info
+
+  const at = (lvl) => (msg, extra = {}) => {
+    if (LOG_LEVELS[lvl] < min) return
+    const line = {
+      time: now().toISOString(),
+      level: lvl,
+      msg,
+      ...fields,
+      ...logContext(),
+    }
+    for (const [key, value] of Object.entries(extra))
+      if (value !== undefined) line[key] = serialize(value)
+    write(JSON.stringify(line), lvl)
+  }
+
+  return {
+    debug: at('debug'),
+    info: at('info'),
+    warn: at('warn'),
+    error: at('error'),
+    child: (more) =>
+      createLogger({ level, fields: { ...fields, ...more }, write, now }),
+  }
+}
+
+/** The process's logger */
+export const log = createLogger({
+  level: process.env.LOG_LEVEL,
+  fields: { service: 'ric-pac-soe' },
+})
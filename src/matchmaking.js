@@ -0,0 +1,69 @@
+// src/matchmaking.js (ESM)
+// Matchmaking queue. Pure functions over a list of queue entries; the server
+// keeps the list, and seats and starts the groups findMatches() returns.
+// entry: { id, players, rating, range|null, joinedAt }
+
+const MAX_WAIT_SAMPLES = 20 // recent waits kept per player count
+
+// Both players accept the other's rating (range null = anyone)
+function compatible(a, b) {
+  const gap = Math.abs(a.rating - b.rating)
+  return gap <= (a.range ?? Infinity) && gap <= (b.range ?? Infinity)
+}
+
+function byAge(a, b) {
+  return a.joinedAt - b.joinedAt
+}
+
+/**
+ * Group queued entries into games, longest waiting first. A group is
+ * `players` entries that asked for the same player count and all accept
+ * each other's ratings.
+ * Returns {matches: [[entry]], waiting: [entry]}.
+ */
+export function findMatches(queue) {
+  const waiting = [...queue].sort(byAge)
+  const matches = []
+  for (let i = 0; i < waiting.length; i++) {
+    const first = waiting[i]
+    const group = [first]
+    for (const entry of waiting.slice(i + 1)) {
+      if (group.length === first.players) break
+      if (entry.players !== first.players) continue
+      if (group.every((e) => compatible(e, entry))) group.push(entry)
+    }
+    if (group.length < first.players) continue
+    matches.push(group)
+    for (const entry of group) waiting.splice(waiting.indexOf(entry), 1)
+    i--
+  }
+  return { matches, waiting }
+}
+
+// Remember how long a matched entry waited, per player count
+export function recordWait(waits, players, ms) {
+  const samples = (waits[players] ??= [])
+  samples.push(ms)
+  if (samples.length > MAX_WAIT_SAMPLES) samples.shift()
+}
+
+/**
+ * Where `entry` stands: {position, waiting, estimatedWaitMs}. position is
+ * 1-based among entries for the same player count; the estimate is the
+ * recent average wait minus the time already waited, or null without data.
+ */
+export function queueStatus(queue, entry, waits, now = Date.now()) {
+  const same = queue.filter((e) => e.players === entry.players).sort(byAge)
+  const samples = waits[entry.players] || []
+  const average = samples.length
+    ? samples.reduce((a, b) => a + b, 0) / samples.length
+    : null
+  return {
+    position: same.indexOf(entry) + 1,
+    waiting: same.length,
+    estimatedWaitMs:
+      average === null
+        ? null
+        : Math.max(0, Math.round(average - (now - entry.joinedAt))),
+  }
+}
@@ -0,0 +1,136 @@
+// src/metrics.js (ESM)
+// Metrics in the Prometheus text format, for GET /metrics. A registry holds
+// counters and histograms the server updates as things happen, and gauges
+// whose values are read when the metrics are scraped. Every metric may have
+// labels; a series is kept per combination of label values seen.
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+// Histogram buckets in seconds: most socket events take well under a
+// millisecond, the ones forwarded to another instance a few
+export const DEFAULT_BUCKETS = [
+  0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5,
+]
+
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+
+const escapeLabel = (value) =>
+  escapeHelp(String(value)).replace(/"/g, '\\"')
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  )
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+// The series for `values` (only the declared label names count), created
+// with `init` the first time
+function seriesOf(series, names, values, init) {
+  const labels = Object.fromEntries(
+    names.map((name) => [name, String(values[name] ?? '')])
+  )
+  const key = JSON.stringify(labels)
+  if (!series.has(key)) series.set(key, { labels, ...init() })
+  return series.get(key)
+}
+
+/**
+ * A metrics registry. Metric names get `prefix_` in front. Each metric is
+ * declared once with {name, help, labels?}:
+ *   counter() -> { inc(labels?, by = 1) }
+ *   histogram({buckets?}) -> { observe(labels, value) }
+ *   gauge({collect}) - collect() returns a number, or [{labels, value}]
+ * render() returns every metric in the text format.
+ */
+export function createRegistry(prefix = '') {
+  const metrics = new Map() // full name -> { type, help, samples() }
+
+  function register(name, type, help, samples) {
+    const full = prefix ? `${prefix}_${name}` : name
+    if (metrics.has(full)) throw new Error(`Metric ${full} already exists.`)
+    metrics.set(full, { type, help, samples })
+  }
+
+  return {
+    counter({ name, help, labels: names = [] }) {
+      const series = new Map()
+      register(name, 'counter', help, () =>
+        [...series.values()].map(({ labels, value }) => ({
+          suffix: '',
+          labels,
+          value,
+        }))
+      )
+      const counter = {
+        inc(values = {}, by = 1) {
+          seriesOf(series, names, values, () => ({ value: 0 })).value += by
+        },
+      }
+      if (!names.length) counter.inc({}, 0) // shown at 0 until it counts
+      return counter
+    },
+
+    histogram({ name, help, labels: names = [], buckets = DEFAULT_BUCKETS }) {
+      const series = new Map()
+      register(name, 'histogram', help, () =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((le, i) => ({
+            suffix: '_bucket',
+            labels: { ...labels, le: formatValue(le) },
+            value: counts[i],
+          })),
+          {
+            suffix: '_bucket',
+            labels: { ...labels, le: '+Inf' },
+            value: count,
+          },
+          { suffix: '_sum', labels, value: sum },
+          { suffix: '_count', labels, value: count },
+        ])
+      )
+      return {
+        observe(values, value) {
+          const s = seriesOf(series, names, values, () => ({
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          }))
+          buckets.forEach((le, i) => {
+            if (value <= le) s.counts[i]++
+          })
+          s.sum += value
+          s.count++
+        },
+      }
+    },
+
+    gauge({ name, help, collect }) {
+      register(name, 'gauge', help, () => {
+        const value = collect()
+        return typeof value === 'number'
+          ? [{ suffix: '', labels: {}, value }]
+          : value.map((s) => ({ suffix: '', ...s }))
+      })
+    },
+
+    render() {
+      const lines = []
+      for (const [name, { type, help, samples }] of metrics) {
+        lines.push(`# HELP ${name} ${escapeHelp(help)}`)
+        lines.push(`# TYPE ${name} ${type}`)
+        for (const { suffix, labels, value } of samples()) {
+          const series = `${name}${suffix}${formatLabels(labels)}`
+          lines.push(`${series} ${formatValue(value)}`)
+        }
+      }
+      return `${lines.join('\n')}\n`
+    },
+  }
+}
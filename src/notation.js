@@ -0,0 +1,348 @@
+// src/notation.js (ESM)
+// Text notation for game records, in the spirit of chess PGN. A record is
+// what the server archives for a finished game:
+//   { roomId, endedAt, players: [name], initial, moves: [move], result }
+// where `initial` is the engine state the moves start from and `result` is
+// {reason, winners} from the gameOver event (null while the game runs).
+//
+// The text is a block of tag pairs, a blank line, then the numbered moves:
+//
+//   [Event "Ric Pac Soe"]
+//   [Room "K7Q2ZX"]
+//   [Date "2026-10-19"]
+//   [P1 "Ann"]
+//   [P2 "Easy bot 2"]
+//   [Board "8x8 classic"]
+//   [Settings "tilesPerSymbol=10 pointsToWin=7 teams=false"]
+//   [Rules "symbolSet=rps misplacement=true elimination=true lines=true ..."]
+//   [Position "8/2#5/8/8/5#2/8/8/8"]
+//   [Termination "points"]
+//   [Result "P1"]
+//
+//   1. R@d4 2. S@e4 3. #c2-c3 4. -- 5. R@d5 ...
+//
+// Tags
+//   P1..P4      player names in seat order; their number is the player count
+//   Board       "<rows>x<cols> <layout>"
+//   Settings, Rules
+//               space-separated key=value pairs (settings and settings.rules)
+//   Position    the starting board, rows from the top separated by "/":
+//               "#" blocker, "x" hole, symbol plus seat ("R1") for a piece, a
+//               number (or ".") for empty cells. Default: the layout's board.
+//   Scores, Stock, Turn, Forfeited
+//               only there when they differ from a fresh deal's, with P1
+//               to move: "3 0", "R9 P10 S10/R10 P10 S10", seat to move, "2 3"
+//   Termination, Result
+//               how the game ended and the winning seats ("P1 P3"), or "*"
+//               while it runs. Import works both out again from the moves.
+//   Event, Room and Date are informational.
+//
+// Moves, in turn order (the player to move is implied):
+//   R@d4      place Rock on d4 (column letter from a, row number from 1 at
+//             the top)
+//   #c2-c3    move the blocker on c2 to c3
+//   --        pass (the turn timed out)
+//   forfeit   the player to move leaves the game
+// Move numbers ("12.") and {comments} are optional on import.
+
+import {
+  applyMove,
+  checkSettings,
+  createBoard,
+  createGame,
+  createStock,
+  rulesOf,
+} from './game.js'
+import { SETTINGS_SCHEMA, validate } from './validation.js'
+
+const MAX_LINE = 80
+
+/* -------------------------
+   Cells & Moves
+-------------------------- */
+function cellName(r, c) {
+  return `${String.fromCharCode(97 + c)}${r + 1}`
+}
+
+function moveText(move) {
+  switch (move.type) {
+    case 'place':
+      return `${move.sym}@${cellName(move.r, move.c)}`
+    case 'moveBlocker': {
+      const { from, to } = move
+      return `#${cellName(from.r, from.c)}-${cellName(to.r, to.c)}`
+    }
+    case 'pass':
+      return '--'
+    case 'forfeit':
+      return 'forfeit'
+    default:
+      throw new Error(`Cannot write a "${move.type}" move.`)
+  }
+}
+
+const CELL = '([a-z])(\\d+)'
+const PLACE = new RegExp(`^([A-Z])@${CELL}$`)
+const BLOCKER = new RegExp(`^#${CELL}-${CELL}$`)
+
+function cellAt(letter, number) {
+  return { r: Number(number) - 1, c: letter.charCodeAt(0) - 97 }
+}
+
+// The move `text` stands for, or null
+function parseMove(text, player) {
+  let m
+  if ((m = PLACE.exec(text)))
+    return { type: 'place', player, ...cellAt(m[2], m[3]), sym: m[1] }
+  if ((m = BLOCKER.exec(text)))
+    return {
+      type: 'moveBlocker',
+      player,
+      from: cellAt(m[1], m[2]),
+      to: cellAt(m[3], m[4]),
+    }
+  if (text === '--') return { type: 'pass', player }
+  if (text === 'forfeit') return { type: 'forfeit', player }
+  return null
+}
+
+/* -------------------------
+   Tags
+-------------------------- */
+function quote(value) {
+  return `"${String(value).replace(/[\\"]/g, (ch) => `\\${ch}`)}"`
+}
+
+function keyValues(obj) {
+  return Object.entries(obj)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(' ')
+}
+
+function parseKeyValues(text = '') {
+  const obj = {}
+  for (const pair of text.split(/\s+/).filter(Boolean)) {
+    const [key, value = ''] = pair.split('=')
+    obj[key] =
+      value === 'true'
+        ? true
+        : value === 'false'
+          ? false
+          : /^-?\d+$/.test(value)
+            ? Number(value)
+            : value
+  }
+  return obj
+}
+
+function positionText(board) {
+  return board
+    .map((row) => {
+      let text = ''
+      let empty = 0
+      for (const v of row) {
+        if (v === null) {
+          empty++
+          continue
+        }
+        if (empty) text += empty
+        empty = 0
+        if (v.type === 'BLOCKER') text += '#'
+        else if (v.type === 'HOLE') text += 'x'
+        else text += `${v.sym}${v.player + 1}`
+      }
+      return empty ? text + empty : text
+    })
+    .join('/')
+}
+
+function parsePosition(text, rows, cols) {
+  const lines = text.split('/')
+  if (lines.length !== rows)
+    throw new Error(`Position has ${lines.length} rows, the board ${rows}.`)
+  return lines.map((line, r) => {
+    const row = []
+    for (const [token] of line.matchAll(/\d+|[.#x]|[A-Z][1-4]|./g)) {
+      if (/^\d+$/.test(token)) row.push(...Array(Number(token)).fill(null))
+      else if (token === '.') row.push(null)
+      else if (token === '#') row.push({ type: 'BLOCKER' })
+      else if (token === 'x') row.push({ type: 'HOLE' })
+      else if (token.length === 2)
+        row.push({ player: Number(token[1]) - 1, sym: token[0] })
+      else throw new Error(`Position row ${r + 1}: unknown cell "${token}".`)
+    }
+    if (row.length !== cols)
+      throw new Error(
+        `Position row ${r + 1} has ${row.length} cells, not ${cols}.`
+      )
+    return row
+  })
+}
+
+function stockText(stock) {
+  return stock.map((s) => keyValues(s).replace(/=/g, '')).join('/')
+}
+
+function parseStock(text) {
+  return text.split('/').map((hand) =>
+    Object.fromEntries(
+      hand
+        .trim()
+        .split(/\s+/)
+        .map((t) => [t[0], Number(t.slice(1))])
+    )
+  )
+}
+
+function winnersText(winners) {
+  return [...new Set(winners.map((w) => `P${w.index + 1}`))].join(' ')
+}
+
+/* -------------------------
+   Export & Import
+-------------------------- */
+
+/** Write a game record as notation text (see the top of this file). */
+export function exportGame(record) {
+  const { initial } = record
+  const { settings } = initial
+  const rows = initial.board.length
+  const cols = initial.board[0].length
+  const tags = [
+    ['Event', 'Ric Pac Soe'],
+    ['Room', record.roomId ?? '?'],
+    ['Date', new Date(record.endedAt ?? Date.now()).toISOString().slice(0, 10)],
+    ...record.players.map((name, i) => [`P${i + 1}`, name]),
+    ['Board', `${rows}x${cols} ${settings.layout ?? 'classic'}`],
+    [
+      'Settings',
+      keyValues({
+        tilesPerSymbol: settings.tilesPerSymbol,
+        pointsToWin: settings.pointsToWin,
+        teams: !!settings.teams,
+      }),
+    ],
+    ['Rules', keyValues(rulesOf(settings))],
+    ['Position', positionText(initial.board)],
+  ]
+  // a position that isn't a fresh deal (e.g. a seat was freed mid-game)
+  const full = createStock(settings)
+  if (initial.scores.some((s) => s !== 0))
+    tags.push(['Scores', initial.scores.join(' ')])
+  if (initial.stock.some((s) => keyValues(s) !== keyValues(full)))
+    tags.push(['Stock', stockText(initial.stock)])
+  if (initial.turn !== 0) tags.push(['Turn', initial.turn + 1])
+  if (initial.forfeited?.length)
+    tags.push(['Forfeited', initial.forfeited.map((i) => i + 1).join(' ')])
+  if (record.result) {
+    tags.push(['Termination', record.result.reason])
+    tags.push(['Result', winnersText(record.result.winners)])
+  } else tags.push(['Result', '*'])
+
+  const lines = ['']
+  record.moves.forEach((move, i) => {
+    const token = `${i + 1}. ${moveText(move)}`
+    const line = lines.at(-1)
+    if (line && line.length + token.length + 1 > MAX_LINE) lines.push(token)
+    else lines[lines.length - 1] = line ? `${line} ${token}` : token
+  })
+
+  return [
+    ...tags.map(([key, value]) => `[${key} ${quote(value)}]`),
+    '',
+    ...lines,
+    '',
+  ].join('\n')
+}
+
+function readTags(text) {
+  const tags = {}
+  let rest = text
+  const TAG = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]/
+  let m
+  while ((m = TAG.exec(rest))) {
+    tags[m[1]] = m[2].replace(/\\(.)/g, '$1')
+    rest = rest.slice(m[0].length)
+  }
+  return { tags, movetext: rest }
+}
+
+function parseRecord(text) {
+  const { tags, movetext } = readTags(text)
+
+  const players = []
+  while (tags[`P${players.length + 1}`] !== undefined)
+    players.push(tags[`P${players.length + 1}`])
+  if (players.length < 2 || players.length > 4)
+    throw new Error('Name 2 to 4 players in tags P1, P2, ...')
+
+  const board = /^(\d+)x(\d+)(?:\s+(\w+))?$/.exec(tags.Board ?? '')
+  if (!board) throw new Error('Missing or malformed Board tag.')
+  const { value: settings, error } = validate(SETTINGS_SCHEMA, {
+    ...parseKeyValues(tags.Settings),
+    rows: Number(board[1]),
+    cols: Number(board[2]),
+    layout: board[3] ?? 'classic',
+    rules: parseKeyValues(tags.Rules),
+  })
+  if (error) throw new Error(`Bad settings: ${error.message}`)
+  settings.tilesPerSymbol ??= 10
+  settings.pointsToWin ??= 7
+  const bad = checkSettings(settings, players.length)
+  if (bad) throw new Error(bad.message)
+
+  const initial = createGame({ ...settings, blockers: 0 }, players.length)
+  initial.settings = settings
+  initial.board = tags.Position
+    ? parsePosition(tags.Position, settings.rows, settings.cols)
+    : createBoard(settings)
+  if (tags.Scores) initial.scores = tags.Scores.split(/\s+/).map(Number)
+  if (tags.Stock) initial.stock = parseStock(tags.Stock)
+  if (tags.Turn) initial.turn = initial.slot = Number(tags.Turn) - 1
+  if (tags.Forfeited)
+    initial.forfeited = tags.Forfeited.split(/\s+/).map((n) => Number(n) - 1)
+
+  // Replaying checks every move and works out the result
+  const tokens = movetext
+    .replace(/\{[^}]*\}/g, ' ')
+    .split(/\s+/)
+    .map((t) => t.replace(/^\d+\./, ''))
+    .filter((t) => t && t !== '*')
+  let state = structuredClone(initial)
+  const moves = []
+  let result = null
+  tokens.forEach((token, i) => {
+    const move = parseMove(token, state.turn)
+    if (!move) throw new Error(`Move ${i + 1}: unknown move "${token}".`)
+    const res = applyMove(state, move)
+    if (res.error)
+      throw new Error(`Move ${i + 1} (${token}): ${res.error.message}`)
+    state = res.state
+    moves.push(move)
+    const over = res.events.find((e) => e.type === 'gameOver')
+    if (over) result = { reason: over.reason, winners: over.winners }
+  })
+
+  return {
+    roomId: tags.Room && tags.Room !== '?' ? tags.Room : null,
+    endedAt: null,
+    players,
+    initial,
+    moves,
+    result,
+    final: state,
+  }
+}
+
+/**
+ * Read notation text back into a game record, replaying every move.
+ * Returns {record} (with the replayed `final` state) or
+ * {error: {code: 'BAD_NOTATION', message}}.
+ */
+export function importGame(text) {
+  try {
+    return { record: parseRecord(String(text)) }
+  } catch (err) {
+    return { error: { code: 'BAD_NOTATION', message: err.message } }
+  }
+}
@@ -0,0 +1,18 @@
+// src/passwords.js (ESM)
+// Password hashing for room passwords and accounts. Hashes are kept as
+// "salt:hash" (scrypt), never the password itself.
+
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto'
+
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex')
+  return `${salt}:${scryptSync(password, salt, 32).toString('hex')}`
+}
+
+export function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(':')
+  return timingSafeEqual(
+    scryptSync(password, salt, 32),
+    Buffer.from(hash, 'hex')
+  )
+}
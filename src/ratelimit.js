@@ -0,0 +1,64 @@
+// src/ratelimit.js (ESM)
+// Token-bucket rate limits for socket events and the sign-in routes. A bucket
+// holds up to `burst` tokens and refills at `perSecond`; every event takes
+// one. The server keeps one limiter per scope (socket, client address,
+// expensive events).
+
+/**
+ * Default limits. `socket` and `address` apply to every event, the rest only
+ * to the event of the same name, counted per client address. `signIn` is for
+ * POST /api/accounts and /api/sessions (which hash passwords) and
+ * `reviewGame` for game reviews; those routes use up the `address` bucket
+ * too.
+ */
+export const RATE_LIMITS = {
+  socket: { burst: 20, perSecond: 5 },
+  address: { burst: 60, perSecond: 20 }, // all connections from one client
+  createRoom: { burst: 3, perSecond: 1 / 30 },
+  joinRoom: { burst: 10, perSecond: 1 / 3 },
+  chat: { burst: 5, perSecond: 1 },
+  react: { burst: 5, perSecond: 1 },
+  reportMessage: { burst: 5, perSecond: 1 / 10 },
+  queueForMatch: { burst: 5, perSecond: 1 / 5 },
+  createTournament: { burst: 3, perSecond: 1 / 60 },
+  requestHint: { burst: 3, perSecond: 1 / 10 }, // see src/analysis.js
+  reviewGame: { burst: 5, perSecond: 1 / 10 }, // GET /api/games/:id/analysis
+  signIn: { burst: 5, perSecond: 1 / 20 },
+}
+
+/**
+ * A set of buckets keyed by any string.
+ * take(key, now) -> true if the key may act now (and uses up a token).
+ * prune(now) drops buckets that have refilled, so idle keys don't pile up.
+ */
+export function createRateLimiter({ burst, perSecond }) {
+  const buckets = new Map() // key -> { tokens, at }
+
+  const level = (bucket, now) =>
+    Math.min(burst, bucket.tokens + ((now - bucket.at) / 1000) * perSecond)
+
+  return {
+    take(key, now = Date.now()) {
+      const bucket = buckets.get(key) ?? { tokens: burst, at: now }
+      bucket.tokens = level(bucket, now)
+      bucket.at = now
+      buckets.set(key, bucket)
+      if (bucket.tokens < 1) return false
+      bucket.tokens--
+      return true
+    },
+
+    forget(key) {
+      buckets.delete(key)
+    },
+
+    prune(now = Date.now()) {
+      for (const [key, bucket] of buckets)
+        if (level(bucket, now) >= burst) buckets.delete(key)
+    },
+
+    get size() {
+      return buckets.size
+    },
+  }
+}
@@ -0,0 +1,89 @@
+// src/statediff.js (ESM)
+// Patches between two room states (publicState), so a move sends what it
+// changed instead of the whole room. A patch is a list of ops:
+//   { op: 'set', key, value }      a top-level field replaced
+//   { op: 'unset', key }           a top-level field gone
+//   { op: 'cells', cells: [{ r, c, value }] }
+//                                  board cells changed (same board size)
+//   { op: 'chat', key, since, upsert: [message] }
+//                                  a chat log: messages before id `since`
+//                                  dropped (all of them for null), then new
+//                                  or changed ones put in place by id
+// Chat ops go by message id, so messages a client already got one by one
+// (the `chat` event) are not doubled. The client applies patches the same
+// way as applyPatch does.
+
+const CHAT_KEYS = ['chat', 'spectatorChat']
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+function sameSize(a, b) {
+  return (
+    Array.isArray(a) &&
+    Array.isArray(b) &&
+    a.length === b.length &&
+    a.every((row, r) => row.length === b[r].length)
+  )
+}
+
+function diffCells(prev, next) {
+  const cells = []
+  next.forEach((row, r) =>
+    row.forEach((value, c) => {
+      if (!same(prev[r][c], value)) cells.push({ r, c, value })
+    })
+  )
+  return cells
+}
+
+function diffChat(key, prev, next) {
+  const before = new Map(prev.map((m) => [m.id, JSON.stringify(m)]))
+  const upsert = next.filter((m) => before.get(m.id) !== JSON.stringify(m))
+  const since = next[0]?.id ?? null
+  if (!upsert.length && since === (prev[0]?.id ?? null)) return null
+  return { op: 'chat', key, since, upsert }
+}
+
+/** Ops that turn `prev` into `next`; empty when nothing changed */
+export function diffState(prev, next) {
+  const ops = []
+  for (const [key, value] of Object.entries(next)) {
+    const old = prev[key]
+    if (key === 'board' && sameSize(old, value)) {
+      const cells = diffCells(old, value)
+      if (cells.length) ops.push({ op: 'cells', cells })
+    } else if (
+      CHAT_KEYS.includes(key) &&
+      Array.isArray(old) &&
+      Array.isArray(value)
+    ) {
+      const op = diffChat(key, old, value)
+      if (op) ops.push(op)
+    } else if (!same(old, value)) ops.push({ op: 'set', key, value })
+  }
+  for (const key of Object.keys(prev))
+    if (!(key in next)) ops.push({ op: 'unset', key })
+  return ops
+}
+
+/** A copy of `state` with the ops applied */
+export function applyPatch(state, ops) {
+  const next = { ...state }
+  for (const op of ops) {
+    if (op.op === 'set') next[op.key] = op.value
+    else if (op.op === 'unset') delete next[op.key]
+    else if (op.op === 'cells') {
+      next.board = next.board.map((row) => [...row])
+      for (const { r, c, value } of op.cells) next.board[r][c] = value
+    } else if (op.op === 'chat') {
+      const log = new Map(
+        (next[op.key] ?? [])
+          .filter((m) => op.since !== null && m.id >= op.since)
+          .map((m) => [m.id, m])
+      )
+      for (const m of op.upsert) log.set(m.id, m)
+      next[op.key] = [...log.values()].sort((a, b) => a.id - b.id)
+    }
+  }
+  return next
+}
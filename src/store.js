@@ -0,0 +1,157 @@
+// src/store.js (ESM)
+// Room (and account) persistence. Every store has the same async interface:
+//   loadAll() -> [room], load(id) -> room|null, save(room), remove(roomId),
+//   flush()
+// save() snapshots the room synchronously, so callers can keep mutating it.
+// Records only need an `id`, so accounts and finished games are kept the
+// same way.
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import { log } from './log.js'
+
+// Default: keeps snapshots in process memory (nothing survives a restart)
+export function createMemoryStore() {
+  const snapshots = new Map() // roomId -> JSON string
+
+  return {
+    kind: 'memory',
+    async loadAll() {
+      return [...snapshots.values()].map((json) => JSON.parse(json))
+    },
+    async load(id) {
+      const json = snapshots.get(id)
+      return json === undefined ? null : JSON.parse(json)
+    },
+    async save(room) {
+      snapshots.set(room.id, JSON.stringify(room))
+    },
+    async remove(roomId) {
+      snapshots.delete(roomId)
+    },
+    async flush() {},
+  }
+}
+
+// One JSON file per room in `dir`. Writes go to a temp file and are renamed
+// into place; writes for the same room are queued so the latest one wins.
+export function createFileStore(dir) {
+  const queues = new Map() // roomId -> promise of the last queued write
+
+  const fileFor = (roomId) =>
+    path.join(dir, `${encodeURIComponent(roomId)}.json`)
+
+  function enqueue(roomId, task) {
+    const prev = queues.get(roomId) || Promise.resolve()
+    const next = prev.then(task).catch((err) => {
+      log.error('store write failed', { id: roomId, err })
+    })
+    queues.set(roomId, next)
+    next.then(() => {
+      if (queues.get(roomId) === next) queues.delete(roomId)
+    })
+    return next
+  }
+
+  return {
+    kind: 'file',
+    async loadAll() {
+      await fs.mkdir(dir, { recursive: true })
+      const rooms = []
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith('.json')) continue
+        try {
+          rooms.push(JSON.parse(await fs.readFile(path.join(dir, name), 'utf8')))
+        } catch (err) {
+          log.error('store: skipping an unreadable file', { file: name, err })
+        }
+      }
+      return rooms
+    },
+    async load(id) {
+      await queues.get(id) // let a queued write land first
+      try {
+        return JSON.parse(await fs.readFile(fileFor(id), 'utf8'))
+      } catch (err) {
+        if (err.code === 'ENOENT') return null
+        throw err
+      }
+    },
+    save(room) {
+      const json = JSON.stringify(room)
+      const file = fileFor(room.id)
+      return enqueue(room.id, async () => {
+        await fs.mkdir(dir, { recursive: true })
+        const tmp = `${file}.${process.pid}.tmp`
+        await fs.writeFile(tmp, json)
+        await fs.rename(tmp, file)
+      })
+    },
+    remove(roomId) {
+      return enqueue(roomId, () => fs.rm(fileFor(roomId), { force: true }))
+    },
+    async flush() {
+      await Promise.all(queues.values())
+    },
+  }
+}
+
+function createStore(kind, dir) {
+  switch (kind) {
+    case 'memory':
+      return createMemoryStore()
+    case 'file':
+      return createFileStore(dir)
+    default:
+      return null
+  }
+}
+
+/**
+ * ROOM_STORE: "memory" (default) or "file"
+ * ROOM_STORE_DIR: directory for the file store (default ./data/rooms)
+ */
+export function createRoomStore(env = process.env) {
+  const kind = env.ROOM_STORE || 'memory'
+  const store = createStore(kind, env.ROOM_STORE_DIR || './data/rooms')
+  if (!store) throw new Error(`Unknown ROOM_STORE "${kind}"`)
+  return store
+}
+
+/**
+ * Finished games (see archiveGame in server.js), one record per game.
+ * GAME_STORE: "memory" (default) or "file"
+ * GAME_STORE_DIR: directory for the file store (default ./data/games)
+ */
+export function createGameStore(env = process.env) {
+  const kind = env.GAME_STORE || 'memory'
+  const store = createStore(kind, env.GAME_STORE_DIR || './data/games')
+  if (!store) throw new Error(`Unknown GAME_STORE "${kind}"`)
+  return store
+}
+
+/**
+ * Player accounts use the same stores, one record per account keyed by `id`.
+ * ACCOUNT_STORE: "memory" (default) or "file"
+ * ACCOUNT_STORE_DIR: directory for the file store (default ./data/accounts)
+ */
+export function createAccountStore(env = process.env) {
+  const kind = env.ACCOUNT_STORE || 'memory'
+  const store = createStore(kind, env.ACCOUNT_STORE_DIR || './data/accounts')
+  if (!store) throw new Error(`Unknown ACCOUNT_STORE "${kind}"`)
+  return store
+}
+
+/**
+ * Tournaments (see src/tournament.js), one record per tournament.
+ * TOURNAMENT_STORE: "memory" (default) or "file"
+ * TOURNAMENT_STORE_DIR: directory for the file store
+ * (default ./data/tournaments)
+ */
+export function createTournamentStore(env = process.env) {
+  const kind = env.TOURNAMENT_STORE || 'memory'
+  const dir = env.TOURNAMENT_STORE_DIR || './data/tournaments'
+  const store = createStore(kind, dir)
+  if (!store) throw new Error(`Unknown TOURNAMENT_STORE "${kind}"`)
+  return store
+}
@@ -0,0 +1,290 @@
+// src/tournament.js (ESM)
+// Tournaments: pairings, results and standings. Pure functions over a plain
+// tournament record; the server stores it, opens a room for every pending
+// match and reports each finished game back with reportResult().
+//
+// tournament: { id, name, format, organizer, players: [username], settings,
+//   rounds: [[match]], totalRounds, status: 'running' | 'finished',
+//   createdAt, finishedAt }
+// match: { id, players: [a, b], done, winner, roomId }
+//   a and b index into players (b is null for a bye); winner is an index,
+//   or null for a draw. The order of `players` is the seeding.
+
+export const TOURNAMENT_FORMATS = ['elimination', 'swiss', 'roundRobin']
+export const MIN_PLAYERS = 2
+export const MAX_PLAYERS = 64
+
+function reject(code, message) {
+  return { error: { code, message } }
+}
+
+function match(round, number, a, b) {
+  const bye = b === null
+  return {
+    id: `r${round}m${number}`,
+    players: [a, b],
+    done: bye, // a bye counts as a win
+    winner: bye ? a : undefined,
+    roomId: null,
+  }
+}
+
+function pairUp(round, pairs) {
+  return pairs.map(([a, b], i) => match(round, i + 1, a, b))
+}
+
+/* -------------------------
+   Pairings
+-------------------------- */
+
+// Bracket slots for `size` seeds (a power of two), so the top seeds meet
+// last: 4 -> [1, 4, 2, 3]
+function bracketOrder(size) {
+  let order = [1]
+  while (order.length < size) {
+    const next = order.length * 2 + 1
+    order = order.flatMap((seed) => [seed, next - seed])
+  }
+  return order
+}
+
+function eliminationRound(t) {
+  const round = t.rounds.length + 1
+  if (round === 1) {
+    let size = 1
+    while (size < t.players.length) size *= 2
+    const slots = bracketOrder(size).map((seed) =>
+      seed <= t.players.length ? seed - 1 : null
+    )
+    const pairs = []
+    for (let i = 0; i < slots.length; i += 2)
+      pairs.push([slots[i], slots[i + 1]])
+    return pairUp(round, pairs)
+  }
+  const winners = t.rounds.at(-1).map((m) => m.winner)
+  if (winners.length < 2) return null
+  const pairs = []
+  for (let i = 0; i < winners.length; i += 2)
+    pairs.push([winners[i], winners[i + 1]])
+  return pairUp(round, pairs)
+}
+
+// Circle method: the first player stays put, the rest rotate one place a
+// round; with an odd count a null entry hands out the byes
+function roundRobinRound(t) {
+  const round = t.rounds.length + 1
+  if (round > t.totalRounds) return null
+  const circle = t.players.map((_, i) => i)
+  if (circle.length % 2) circle.push(null)
+  const rest = circle.slice(1)
+  for (let r = 1; r < round; r++) rest.unshift(rest.pop())
+  const order = [circle[0], ...rest]
+  const pairs = []
+  for (let i = 0; i < order.length / 2; i++) {
+    const pair = [order[i], order[order.length - 1 - i]]
+    if (pair[0] === null) pair.reverse()
+    pairs.push(pair)
+  }
+  return pairUp(round, pairs)
+}
+
+// Players on equal points meet, without repeating a pairing while another
+// is left; with an odd count the lowest-ranked player without a bye sits out
+function swissRound(t) {
+  const round = t.rounds.length + 1
+  if (round > t.totalRounds) return null
+  const ranked = standings(t).map((row) => row.index)
+  const met = opponents(t)
+  let sitter = null
+  if (ranked.length % 2) {
+    const byes = new Set(
+      t.rounds.flat().filter((m) => m.players[1] === null).map((m) => m.winner)
+    )
+    sitter = ranked.findLast((i) => !byes.has(i)) ?? ranked.at(-1)
+    ranked.splice(ranked.indexOf(sitter), 1)
+  }
+  const pairs = []
+  while (ranked.length) {
+    const a = ranked.shift()
+    const fresh = ranked.findIndex((b) => !met[a].has(b))
+    const [b] = ranked.splice(fresh === -1 ? 0 : fresh, 1)
+    pairs.push([a, b])
+  }
+  if (sitter !== null) pairs.push([sitter, null])
+  return pairUp(round, pairs)
+}
+
+const NEXT_ROUND = {
+  elimination: eliminationRound,
+  swiss: swissRound,
+  roundRobin: roundRobinRound,
+}
+
+function opponents(t) {
+  const met = t.players.map(() => new Set())
+  for (const m of t.rounds.flat()) {
+    const [a, b] = m.players
+    if (b === null) continue
+    met[a].add(b)
+    met[b].add(a)
+  }
+  return met
+}
+
+/* -------------------------
+   Tournaments
+-------------------------- */
+
+/**
+ * A new tournament with its first round paired. `players` are usernames in
+ * seeding order; `rounds` only applies to Swiss (default: enough rounds to
+ * leave one unbeaten player). `settings` are kept for every game's room.
+ * Returns {tournament} or {error}.
+ */
+export function createTournament({
+  id,
+  name,
+  format,
+  organizer,
+  players,
+  rounds,
+  settings = {},
+  now = Date.now(),
+}) {
+  if (!TOURNAMENT_FORMATS.includes(format))
+    return reject('BAD_FORMAT', `Unknown tournament format "${format}".`)
+  if (players.length < MIN_PLAYERS || players.length > MAX_PLAYERS)
+    return reject(
+      'BAD_PLAYERS',
+      `A tournament needs ${MIN_PLAYERS} to ${MAX_PLAYERS} players.`
+    )
+  const keys = players.map((p) => p.toLowerCase())
+  if (new Set(keys).size !== keys.length)
+    return reject('BAD_PLAYERS', 'Every player can only enter once.')
+
+  const n = players.length
+  const totalRounds = {
+    elimination: Math.ceil(Math.log2(n)),
+    swiss: rounds ?? Math.ceil(Math.log2(n)),
+    roundRobin: n % 2 ? n : n - 1,
+  }[format]
+  const tournament = {
+    id,
+    name,
+    format,
+    organizer,
+    players: [...players],
+    settings,
+    rounds: [],
+    totalRounds,
+    status: 'running',
+    createdAt: now,
+    finishedAt: null,
+  }
+  advance(tournament, now)
+  return { tournament }
+}
+
+/** The current round's matches that still need a game */
+export function pendingMatches(t) {
+  return (t.rounds.at(-1) ?? []).filter((m) => !m.done)
+}
+
+export function findMatch(t, matchId) {
+  return t.rounds.flat().find((m) => m.id === matchId) ?? null
+}
+
+/**
+ * Record the winner (a player index, or null for a draw) of a match in the
+ * current round. In elimination a draw goes to the higher seed. Once the
+ * round is complete the next one is paired, or the tournament finishes.
+ * Returns {round} with the new round's matches (possibly none), or {error}.
+ */
+export function reportResult(t, matchId, winner, now = Date.now()) {
+  if (t.status !== 'running')
+    return reject('TOURNAMENT_OVER', 'This tournament has finished.')
+  const m = pendingMatches(t).find((p) => p.id === matchId)
+  if (!m) return reject('MATCH_NOT_FOUND', 'That match is not being played.')
+  if (winner !== null && !m.players.includes(winner))
+    return reject('BAD_RESULT', 'The winner must be one of the two players.')
+
+  m.done = true
+  m.winner =
+    winner === null && t.format === 'elimination'
+      ? Math.min(...m.players)
+      : winner
+  if (pendingMatches(t).length) return { round: [] }
+  return { round: advance(t, now) }
+}
+
+// Pair the next round (byes are decided at once, so a round of byes alone
+// moves straight on) or finish
+function advance(t, now) {
+  const round = NEXT_ROUND[t.format](t)
+  if (!round) {
+    t.status = 'finished'
+    t.finishedAt = now
+    return []
+  }
+  t.rounds.push(round)
+  if (pendingMatches(t).length === 0) return advance(t, now)
+  return round.filter((m) => !m.done)
+}
+
+/**
+ * Table of the tournament, best first: {rank, index, username, played,
+ * wins, draws, losses, points, tiebreak}. Points are 1 a win (byes
+ * included) and ½ a draw; Swiss and round robin break ties by the points
+ * of the opponents met (Buchholz). Elimination ranks by the round a player
+ * got to.
+ */
+export function standings(t) {
+  const rows = t.players.map((username, index) => ({
+    index,
+    username,
+    played: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    points: 0,
+    tiebreak: 0,
+    reached: 0, // elimination: rounds survived
+  }))
+  for (const m of t.rounds.flat()) {
+    if (!m.done) continue
+    const [a, b] = m.players
+    if (b === null) {
+      rows[a].wins++
+      rows[a].points++
+      rows[a].reached++
+      continue
+    }
+    rows[a].played++
+    rows[b].played++
+    if (m.winner === null) {
+      for (const i of [a, b]) {
+        rows[i].draws++
+        rows[i].points += 0.5
+      }
+      continue
+    }
+    const loser = m.winner === a ? b : a
+    rows[m.winner].wins++
+    rows[m.winner].points++
+    rows[m.winner].reached++
+    rows[loser].losses++
+  }
+  const met = opponents(t)
+  for (const row of rows)
+    row.tiebreak = [...met[row.index]].reduce((s, i) => s + rows[i].points, 0)
+
+  const key =
+    t.format === 'elimination'
+      ? (r) => [r.reached, r.points]
+      : (r) => [r.points, r.tiebreak]
+  rows.sort((x, y) => {
+    const [kx, ky] = [key(x), key(y)]
+    return ky[0] - kx[0] || ky[1] - kx[1] || x.index - y.index
+  })
+  return rows.map(({ reached, ...row }, i) => ({ rank: i + 1, ...row }))
+}
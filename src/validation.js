@@ -0,0 +1,274 @@
+// src/validation.js (ESM)
+// Payload schemas for every client -> server socket event. A schema maps each
+// field to a rule; a rule returns an error message or undefined.
+
+import {
+  LAYOUTS,
+  MAX_BOARD_SIZE,
+  MIN_BOARD_SIZE,
+  SYMBOL_SETS,
+} from './game.js'
+import { BOT_LEVELS } from './bots.js'
+import { EMOTES } from './chat.js'
+import { MAX_PLAYERS, MIN_PLAYERS, TOURNAMENT_FORMATS } from './tournament.js'
+
+/* -------------------------
+   Rules
+-------------------------- */
+export function string({ min = 0, max = Infinity, pattern } = {}) {
+  return (v) => {
+    if (typeof v !== 'string') return 'must be a string'
+    if (v.length < min)
+      return min === 1
+        ? 'must not be empty'
+        : `must be at least ${min} characters`
+    if (v.length > max) return `must be at most ${max} characters`
+    if (pattern && !pattern.test(v)) return 'has an invalid format'
+  }
+}
+
+export function int({ min = -Infinity, max = Infinity } = {}) {
+  return (v) => {
+    if (!Number.isInteger(v)) return 'must be an integer'
+    if (v < min || v > max) return `must be between ${min} and ${max}`
+  }
+}
+
+export function bool() {
+  return (v) => (typeof v === 'boolean' ? undefined : 'must be true or false')
+}
+
+export function oneOf(values) {
+  return (v) =>
+    values.includes(v) ? undefined : `must be one of ${values.join(', ')}`
+}
+
+// Nested object with its own schema; like the payload itself, only the
+// schema's fields are kept
+export function shape(schema) {
+  const rule = (v) => {
+    if (!isPlainObject(v)) return 'must be an object'
+    for (const [key, fieldRule] of Object.entries(schema)) {
+      const msg = check(fieldRule, v[key])
+      if (msg) return `.${key}${msg.startsWith('.') ? '' : ' '}${msg}`
+    }
+  }
+  rule.pick = (v) => pick(schema, v)
+  return rule
+}
+
+// Field may be left out (undefined or null)
+export function optional(rule) {
+  const wrapped = (v) => rule(v)
+  wrapped.optional = true
+  wrapped.pick = rule.pick
+  return wrapped
+}
+
+// Array of `min` to `max` items that each pass `rule`
+export function list(rule, { min = 0, max = Infinity } = {}) {
+  return (v) => {
+    if (!Array.isArray(v)) return 'must be a list'
+    if (v.length < min || v.length > max)
+      return `must have ${min} to ${max} items`
+    for (let i = 0; i < v.length; i++) {
+      const msg = check(rule, v[i])
+      if (msg) return `[${i}] ${msg}`
+    }
+  }
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v)
+}
+
+function pick(schema, obj) {
+  const value = {}
+  for (const [key, rule] of Object.entries(schema)) {
+    const v = obj[key]
+    if (v !== undefined && v !== null) value[key] = rule.pick ? rule.pick(v) : v
+  }
+  return value
+}
+
+function check(rule, v) {
+  if (v === undefined || v === null)
+    return rule.optional ? undefined : 'is required'
+  return rule(v)
+}
+
+/* -------------------------
+   Event Schemas
+-------------------------- */
+const roomId = string({ min: 1, max: 32, pattern: /^[A-Za-z0-9_-]+$/ })
+const cell = shape({ r: int(), c: int() })
+const inRoom = { roomId }
+const seat = int({ min: 0, max: 3 })
+const password = string({ max: 64 })
+const token = string({ min: 1, max: 64 })
+const username = string({ min: 3, max: 24, pattern: /^[A-Za-z0-9_-]+$/ })
+const chatChannel = oneOf(['room', 'spectators'])
+// Seat and spectator names: shown to everyone, so no markup characters and
+// nothing invisible (control characters, zero-width or bidi marks)
+const displayName = string({
+  max: 24,
+  pattern: /^[^<>&"'\p{Cc}\p{Cf}]*$/u,
+})
+const tournamentId = roomId
+
+// Game settings; whatever is left out keeps the room's current value.
+// Combinations (blockers vs. board size) are checked by checkSettings().
+const boardSize = int({ min: MIN_BOARD_SIZE, max: MAX_BOARD_SIZE })
+const ALL_SYMBOLS = [
+  ...new Set(Object.values(SYMBOL_SETS).flatMap((s) => Object.keys(s.symbols))),
+]
+const rules = shape({
+  symbolSet: optional(oneOf(Object.keys(SYMBOL_SETS))),
+  misplacement: optional(bool()),
+  elimination: optional(bool()),
+  lines: optional(bool()),
+  lineScoring: optional(oneOf(['flat', 'length'])),
+  teamPieces: optional(bool()),
+})
+export const SETTINGS_SCHEMA = {
+  rules: optional(rules),
+  rows: optional(boardSize),
+  cols: optional(boardSize),
+  layout: optional(oneOf(Object.keys(LAYOUTS))),
+  teams: optional(bool()),
+  tilesPerSymbol: optional(int({ min: 1, max: 99 })),
+  blockers: optional(int({ min: 0, max: MAX_BOARD_SIZE * MAX_BOARD_SIZE })),
+  pointsToWin: optional(int({ min: 1, max: 999 })),
+  turnSeconds: optional(int({ min: 0, max: 3600 })),
+  gameSeconds: optional(int({ min: 0, max: 24 * 3600 })),
+  timeoutAction: optional(oneOf(['skip', 'forfeit'])),
+  spectatorDelay: optional(int({ min: 0, max: 600 })),
+  firstPlayer: optional(oneOf(['rotate', 'random', 'fixed'])),
+  chatFilter: optional(bool()), // mask words on the blocklist
+  hints: optional(bool()), // players may ask for a hint
+  moveHours: optional(int({ min: 0, max: 7 * 24 })), // correspondence
+}
+
+export const EVENT_SCHEMAS = {
+  requestLobby: {},
+  authenticate: { token },
+  requestInbox: {},
+  queueForMatch: {
+    players: int({ min: 2, max: 4 }),
+    ratingRange: optional(int({ min: 0, max: 3000 })),
+    name: optional(displayName),
+  },
+  leaveQueue: {},
+  createRoom: { private: optional(bool()), password: optional(password) },
+  joinRoom: {
+    roomId,
+    name: optional(displayName),
+    asSpectator: optional(bool()),
+    password: optional(password),
+    invite: optional(token),
+  },
+  rejoinRoom: { roomId, token },
+  leaveRoom: inRoom,
+  addBot: { roomId, level: oneOf(Object.keys(BOT_LEVELS)) },
+  removeBot: { roomId, index: seat },
+  newGame: { roomId, ...SETTINGS_SCHEMA },
+  updateSettings: { roomId, ...SETTINGS_SCHEMA },
+  setReady: { roomId, ready: bool() },
+  voteRematch: { roomId, accept: bool() },
+  kickPlayer: { roomId, index: seat, ban: optional(bool()) },
+  lockRoom: { roomId, locked: bool() },
+  setPrivacy: { roomId, private: bool(), password: optional(password) },
+  createInvite: inRoom,
+  seatSpectator: { roomId, index: int({ min: 0 }) },
+  kickSpectator: { roomId, index: int({ min: 0 }), ban: optional(bool()) },
+  // a spectator picks the seat whose view they follow; null stops following
+  followPlayer: { roomId, index: optional(seat) },
+  transferHost: { roomId, index: seat },
+  // the engine checks `sym` against the room's own symbol set
+  placePiece: { roomId, r: int(), c: int(), sym: oneOf(ALL_SYMBOLS) },
+  moveBlocker: { roomId, from: cell, to: cell },
+  undoRequest: inRoom,
+  undoAccept: inRoom,
+  undoDecline: inRoom,
+  requestReplay: inRoom,
+  requestHint: inRoom,
+  // the name shown is the sender's seat or spectator name
+  chat: {
+    roomId,
+    text: string({ min: 1, max: 300 }),
+    channel: optional(chatChannel),
+  },
+  react: {
+    roomId,
+    emote: oneOf(Object.keys(EMOTES)),
+    channel: optional(chatChannel),
+  },
+  muteMember: {
+    roomId,
+    role: oneOf(['player', 'spectator']),
+    index: int({ min: 0 }),
+    muted: bool(),
+  },
+  reportMessage: {
+    roomId,
+    id: int({ min: 1 }),
+    reason: optional(string({ max: 200 })),
+  },
+  requestState: inRoom,
+  // players are account usernames in seeding order; rounds is for Swiss
+  createTournament: {
+    name: string({ min: 1, max: 48 }),
+    format: oneOf(TOURNAMENT_FORMATS),
+    players: list(username, { min: MIN_PLAYERS, max: MAX_PLAYERS }),
+    rounds: optional(int({ min: 1, max: 20 })),
+    settings: optional(shape(SETTINGS_SCHEMA)), // for every game
+  },
+  watchTournament: { tournamentId },
+  // organizer only; a missing winner records a draw
+  setMatchResult: {
+    tournamentId,
+    matchId: string({ min: 1, max: 16, pattern: /^r\d+m\d+$/ }),
+    winner: optional(username),
+  },
+}
+
+// Request bodies of the REST API
+export const REQUEST_SCHEMAS = {
+  register: {
+    username,
+    password: optional(string({ min: 6, max: 64 })),
+  },
+  login: { username, password: string({ min: 1, max: 64 }) },
+}
+
+/**
+ * Check a payload against the event's schema.
+ * Returns {value} with only the schema's fields, or
+ * {error: {code: 'INVALID_PAYLOAD' | 'UNKNOWN_EVENT', message}}.
+ */
+export function validatePayload(event, payload) {
+  const schema = EVENT_SCHEMAS[event]
+  if (!schema)
+    return {
+      error: { code: 'UNKNOWN_EVENT', message: `Unknown event "${event}".` },
+    }
+  return validate(schema, payload)
+}
+
+// Same as validatePayload for a schema of its own (e.g. REQUEST_SCHEMAS)
+export function validate(schema, payload) {
+  payload ??= {}
+  if (!isPlainObject(payload))
+    return {
+      error: { code: 'INVALID_PAYLOAD', message: 'Payload must be an object.' },
+    }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const msg = check(rule, payload[key])
+    // Nested messages come back as ".field ..." so they read "from.r ..."
+    const sep = msg?.startsWith('.') ? '' : ' '
+    if (msg)
+      return { error: { code: 'INVALID_PAYLOAD', message: `${key}${sep}${msg}` } }
+  }
+  return { value: pick(schema, payload) }
+}
@@ -0,0 +1,242 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  DEFAULT_RATING,
+  createAccounts,
+  rateGame,
+  standings,
+} from '../src/accounts.js'
+import { createMemoryStore } from '../src/store.js'
+
+function finished(scores, winners, overrides = {}) {
+  return [
+    { settings: {}, scores, forfeited: [], ...overrides },
+    winners.map((index) => ({ index })),
+  ]
+}
+
+async function service() {
+  const store = createMemoryStore()
+  const accounts = createAccounts(store)
+  await accounts.load()
+  return { store, accounts }
+}
+
+describe('standings', () => {
+  it('puts the winners first and ranks the rest by score', () => {
+    const places = standings(...finished([7, 2, 5, 2], [0]))
+    assert.deepEqual(
+      places.map((p) => p.rank),
+      [0, 2, 1, 2]
+    )
+  })
+
+  it('shares first place in a tie', () => {
+    assert.deepEqual(
+      standings(...finished([4, 4], [0, 1])).map((p) => p.rank),
+      [0, 0]
+    )
+  })
+
+  it('puts forfeited players last whatever their score', () => {
+    const places = standings(...finished([1, 6, 3], [0], { forfeited: [1] }))
+    assert.deepEqual(
+      places.map((p) => p.rank),
+      [0, 2, 1]
+    )
+  })
+
+  it('ranks teams together', () => {
+    const places = standings(
+      ...finished([1, 3, 5, 0], [0, 2], { settings: { teams: true } })
+    )
+    assert.deepEqual(
+      places.map((p) => [p.side, p.rank]),
+      [
+        [0, 0],
+        [1, 1],
+        [0, 0],
+        [1, 1],
+      ]
+    )
+  })
+})
+
+describe('rateGame', () => {
+  it('moves equal ratings by half the K factor', () => {
+    const deltas = rateGame([
+      { id: 'a', rating: 1200, rank: 0, side: 0 },
+      { id: 'b', rating: 1200, rank: 1, side: 1 },
+    ])
+    assert.deepEqual(deltas, [
+      { id: 'a', delta: 16 },
+      { id: 'b', delta: -16 },
+    ])
+  })
+
+  it('rewards an upset more than an expected win', () => {
+    const [upset] = rateGame([
+      { id: 'low', rating: 1000, rank: 0, side: 0 },
+      { id: 'high', rating: 1400, rank: 1, side: 1 },
+    ])
+    const [expected] = rateGame([
+      { id: 'high', rating: 1400, rank: 0, side: 0 },
+      { id: 'low', rating: 1000, rank: 1, side: 1 },
+    ])
+    assert.ok(upset.delta > expected.delta)
+  })
+
+  it('gives nothing for a tie between equals', () => {
+    const deltas = rateGame([
+      { id: 'a', rating: 1300, rank: 0, side: 0 },
+      { id: 'b', rating: 1300, rank: 0, side: 1 },
+    ])
+    assert.deepEqual(
+      deltas.map((d) => d.delta),
+      [0, 0]
+    )
+  })
+
+  it('only plays teammates against the other team', () => {
+    const deltas = rateGame([
+      { id: 'a', rating: 1200, rank: 0, side: 0 },
+      { id: 'b', rating: 1200, rank: 1, side: 1 },
+      { id: 'c', rating: 1200, rank: 0, side: 0 },
+      { id: 'd', rating: 1200, rank: 1, side: 1 },
+    ])
+    assert.deepEqual(
+      deltas.map((d) => d.delta),
+      [16, -16, 16, -16]
+    )
+  })
+})
+
+describe('createAccounts', () => {
+  it('registers, signs in and authenticates devices', async () => {
+    const { accounts } = await service()
+    const { username, token } = accounts.register({
+      username: 'Ann',
+      password: 'secret1',
+    })
+    assert.equal(username, 'Ann')
+    assert.equal(accounts.authenticate(token).username, 'Ann')
+    assert.equal(
+      accounts.register({ username: 'ann' }).error.code,
+      'USERNAME_TAKEN'
+    )
+
+    const login = accounts.login({ username: 'ANN', password: 'secret1' })
+    assert.equal(accounts.authenticate(login.token).username, 'Ann')
+    assert.equal(
+      accounts.login({ username: 'Ann', password: 'nope' }).error.code,
+      'BAD_CREDENTIALS'
+    )
+    assert.equal(accounts.authenticate('made-up'), null)
+  })
+
+  it('only signs password-less accounts in by token', async () => {
+    const { accounts } = await service()
+    accounts.register({ username: 'Bo' })
+    assert.equal(
+      accounts.login({ username: 'Bo', password: 'anything' }).error.code,
+      'BAD_CREDENTIALS'
+    )
+  })
+
+  it('keeps accounts and tokens across a reload', async () => {
+    const { store, accounts } = await service()
+    const { token } = accounts.register({ username: 'Cy' })
+    await store.flush()
+    const reloaded = createAccounts(store)
+    await reloaded.load()
+    assert.equal(reloaded.authenticate(token).username, 'Cy')
+    // only a hash of the token is stored
+    assert.ok(!JSON.stringify(await store.loadAll()).includes(token))
+  })
+
+  it('adopts a copy saved by another instance', async () => {
+    const here = await service()
+    const there = await service()
+    const first = here.accounts.register({ username: 'Di' })
+    there.accounts.adopt(structuredClone(here.accounts.get('Di')))
+    assert.equal(there.accounts.authenticate(first.token).username, 'Di')
+
+    // a newer copy replaces the old one, sign-ins included
+    const copy = structuredClone(here.accounts.get('Di'))
+    copy.rating = 1300
+    copy.tokens = []
+    there.accounts.adopt(copy)
+    assert.equal(there.accounts.get('Di').rating, 1300)
+    assert.equal(there.accounts.authenticate(first.token), null)
+  })
+
+  it('rates finished games and keeps the history', async () => {
+    const { accounts } = await service()
+    accounts.register({ username: 'Ann' })
+    accounts.register({ username: 'Bo' })
+    accounts.recordMatch({
+      roomId: 'ROOM01',
+      gameId: 'GAME000001',
+      reason: 'points',
+      players: [
+        { username: 'Ann', name: 'Ann', score: 7, side: 0, rank: 0 },
+        { username: null, name: 'Easy bot', score: 1, side: 1, rank: 2 },
+        { username: 'Bo', name: 'Bo', score: 4, side: 2, rank: 1 },
+      ],
+    })
+
+    const ann = accounts.get('Ann')
+    assert.equal(ann.rating, DEFAULT_RATING + 16)
+    assert.deepEqual([ann.games, ann.wins], [1, 1])
+    assert.equal(accounts.get('Bo').losses, 1)
+
+    const [match] = accounts.history('bo')
+    assert.equal(match.result, 'loss')
+    assert.equal(match.ratingAfter, DEFAULT_RATING - 16)
+    assert.equal(match.players.length, 3)
+    assert.equal(match.gameId, 'GAME000001')
+
+    assert.deepEqual(
+      accounts.leaderboard().map((a) => [a.rank, a.username]),
+      [
+        [1, 'Ann'],
+        [2, 'Bo'],
+      ]
+    )
+    assert.equal(accounts.history('nobody'), null)
+  })
+
+  it('records but does not rate a game where one account holds two seats', async () => {
+    const { accounts } = await service()
+    accounts.register({ username: 'Ann' })
+    accounts.recordMatch({
+      roomId: 'ROOM01',
+      reason: 'points',
+      players: [
+        { username: 'Ann', name: 'Ann', score: 7, side: 0, rank: 0 },
+        { username: 'Ann', name: 'Ann again', score: 0, side: 1, rank: 1 },
+      ],
+    })
+    const ann = accounts.get('Ann')
+    assert.equal(ann.rating, DEFAULT_RATING)
+    assert.equal(ann.games, 1)
+    assert.equal(ann.history[0].rated, false)
+  })
+
+  it('calls a shared first place a draw', async () => {
+    const { accounts } = await service()
+    accounts.register({ username: 'Ann' })
+    accounts.register({ username: 'Bo' })
+    accounts.recordMatch({
+      roomId: 'ROOM01',
+      reason: 'boardFull',
+      players: [
+        { username: 'Ann', name: 'Ann', score: 3, side: 0, rank: 0 },
+        { username: 'Bo', name: 'Bo', score: 3, side: 1, rank: 0 },
+      ],
+    })
+    assert.equal(accounts.get('Ann').draws, 1)
+    assert.equal(accounts.history('Bo')[0].result, 'draw')
+  })
+})
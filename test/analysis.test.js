@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  analyzePosition,
+  markOf,
+  reviewGame,
+  reviewMove,
+} from '../src/analysis.js'
+import { legalMoves } from '../src/bots.js'
+import { gameState, parseBoard } from './helpers.js'
+
+// A one-row board, so every move can be checked by hand
+function strip(cells, overrides = {}) {
+  const cols = cells.trim().split(/\s+/).length
+  return gameState([], {
+    board: parseBoard([cells], { rows: 1, cols }),
+    ...overrides,
+  })
+}
+
+const place = (player, c, sym) => ({ type: 'place', player, r: 0, c, sym })
+
+// Any Rock lands next to P1, where a second Paper pairs up and takes it
+const TRAP = strip('. P1 . .', {
+  stock: [
+    { R: 5, P: 0, S: 5 },
+    { R: 0, P: 5, S: 0 },
+  ],
+})
+
+describe('analyzePosition', () => {
+  it('scores every legal move, best first', () => {
+    const state = strip('R0 . S1 # .')
+    const moves = analyzePosition(state, 0)
+    assert.equal(moves.length, legalMoves(state, 0).length)
+    assert.deepEqual(moves[0].move, place(0, 1, 'R'))
+    assert.equal(moves[0].gain, 1)
+    assert.deepEqual(
+      moves[0].events.map((e) => e.type),
+      ['elimination']
+    )
+    for (let i = 1; i < moves.length; i++)
+      assert.ok(moves[i - 1].value >= moves[i].value)
+  })
+
+  it('marks a misplacement as a loss', () => {
+    const moves = analyzePosition(strip('P1 . P1 .'), 0)
+    const rock = moves.find((m) => m.move.c === 1 && m.move.sym === 'R')
+    assert.equal(rock.gain, -1)
+    assert.equal(rock.events[0].type, 'misplacement')
+  })
+
+  it('sees the reply that punishes a move', () => {
+    const moves = analyzePosition(TRAP, 0)
+    for (const m of moves.filter((m) => m.move.sym === 'R')) {
+      assert.equal(m.gain, 0)
+      assert.equal(m.reply.value, -1)
+      assert.equal(m.reply.events[0].type, 'elimination')
+      assert.equal(m.value, -1)
+    }
+    assert.equal(moves[0].move.sym, 'S')
+    assert.equal(moves[0].value, 0)
+  })
+
+  it('only looks ahead for the top candidates and the move asked for', () => {
+    const moves = analyzePosition(TRAP, 0, {
+      candidates: 1,
+      include: place(0, 3, 'R'),
+    })
+    const looked = moves.filter((m) => m.reply !== undefined)
+    assert.equal(looked.length, 2)
+    assert.deepEqual(moves.slice(0, 2), looked)
+    assert.ok(looked.some((m) => m.move.c === 3 && m.move.sym === 'R'))
+  })
+
+  it('looks ahead from fewer candidates when the budget is small', () => {
+    const looked = (budget) =>
+      analyzePosition(TRAP, 0, { budget }).filter((m) => m.reply !== undefined)
+    assert.equal(legalMoves(TRAP, 0).length, 6)
+    assert.equal(looked(Infinity).length, 6)
+    assert.equal(looked(24).length, 4)
+    assert.equal(looked(1).length, 3) // enough for a hint
+  })
+
+  it('has no reply after a winning move', () => {
+    const [best] = analyzePosition(strip('R0 . S1 .', { scores: [6, 0] }), 0)
+    assert.deepEqual(best.move, place(0, 1, 'R'))
+    assert.equal(best.reply, null)
+    assert.ok(best.value >= 1000)
+  })
+})
+
+describe('markOf', () => {
+  it('follows the thresholds', () => {
+    assert.equal(markOf(0), 'good')
+    assert.equal(markOf(1), 'inaccurate')
+    assert.equal(markOf(2), 'blunder')
+    assert.equal(markOf(1000), 'blunder')
+  })
+})
+
+describe('reviewMove', () => {
+  it('marks the best move good', () => {
+    const review = reviewMove(TRAP, place(0, 0, 'S'))
+    assert.equal(review.mark, 'good')
+    assert.equal(review.loss, 0)
+  })
+
+  it('marks a move that hands over a tile inaccurate', () => {
+    const review = reviewMove(TRAP, place(0, 2, 'R'))
+    assert.equal(review.mark, 'inaccurate')
+    assert.equal(review.loss, 1)
+    assert.equal(review.reply.move.player, 1)
+    assert.equal(review.best.value, 0)
+  })
+
+  it('marks a missed win a blunder', () => {
+    const state = strip('R0 . S1 .', { scores: [6, 0] })
+    const review = reviewMove(state, place(0, 3, 'P'))
+    assert.equal(review.mark, 'blunder')
+    assert.deepEqual(review.best.move, place(0, 1, 'R'))
+  })
+
+  it('always looks ahead from the move played, whatever the budget', () => {
+    const review = reviewMove(TRAP, place(0, 2, 'R'), { budget: 1 })
+    assert.equal(review.mark, 'inaccurate')
+    assert.equal(review.reply.value, -1)
+  })
+
+  it('does not judge passes', () => {
+    assert.equal(reviewMove(TRAP, { type: 'pass', player: 0 }).mark, null)
+  })
+
+  it('refuses an illegal move', () => {
+    assert.throws(() => reviewMove(TRAP, place(0, 1, 'S')))
+  })
+})
+
+describe('reviewGame', () => {
+  it('reviews every move and tallies the marks per seat', async () => {
+    let pauses = 0
+    const report = await reviewGame(
+      TRAP,
+      [place(0, 2, 'R'), place(1, 0, 'P'), { type: 'pass', player: 0 }],
+      { pause: () => pauses++ }
+    )
+    assert.deepEqual(
+      report.moves.map((m) => [m.seq, m.player, m.mark]),
+      [
+        [1, 0, 'inaccurate'],
+        [2, 1, 'good'],
+        [3, 0, null],
+      ]
+    )
+    assert.deepEqual(report.players, [
+      { good: 0, inaccurate: 1, blunder: 0 },
+      { good: 1, inaccurate: 0, blunder: 0 },
+    ])
+    assert.equal(pauses, 3)
+  })
+})
@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { applyMove } from '../src/game.js'
+import { chooseBotMove, legalMoves, lookAheadCount } from '../src/bots.js'
+import { gameState, parseBoard, seeded } from './helpers.js'
+
+// Like gameState(), but every cell not listed in `rows` is a blocker, which
+// keeps the move list small enough to reason about
+function walled(rows, overrides) {
+  const state = gameState(rows, overrides)
+  state.board.forEach((row, r) =>
+    row.forEach((v, c) => {
+      const listed = rows[r]?.trim().split(/\s+/).length ?? 0
+      if (c >= listed) row[c] = { type: 'BLOCKER' }
+    })
+  )
+  return state
+}
+
+const SEEDS = Array.from({ length: 20 }, (_, i) => i + 1)
+
+describe('legalMoves', () => {
+  it('lists placements for symbols in stock and one-step blocker moves', () => {
+    const state = walled(['. .'], {
+      stock: [
+        { R: 1, P: 0, S: 2 },
+        { R: 1, P: 1, S: 1 },
+      ],
+    })
+    const moves = legalMoves(state, 0)
+    const places = moves.filter((m) => m.type === 'place')
+    const steps = moves.filter((m) => m.type === 'moveBlocker')
+    assert.equal(places.length, 4)
+    assert.deepEqual([...new Set(places.map((m) => m.sym))].sort(), ['R', 'S'])
+    // (1,0),(1,1) reach a1; (0,2),(1,0),(1,1),(1,2) reach b1
+    assert.equal(steps.length, 6)
+    for (const m of moves) assert.equal(applyMove(state, m).error, undefined)
+  })
+
+  it('follows the board geometry and skips holes', () => {
+    const state = gameState([], { board: parseBoard(['x . x'], { rows: 1, cols: 3 }) })
+    assert.deepEqual(
+      legalMoves(state, 0).map((m) => [m.r, m.c, m.sym]),
+      [
+        [0, 1, 'R'],
+        [0, 1, 'P'],
+        [0, 1, 'S'],
+      ]
+    )
+  })
+
+  it('offers every symbol of the room set', () => {
+    const settings = { tilesPerSymbol: 1, rules: { symbolSet: 'rpsls' } }
+    const state = walled(['.'], {
+      settings,
+      stock: [{ R: 0, P: 0, S: 1, L: 1, V: 1 }, {}],
+    })
+    assert.deepEqual(
+      legalMoves(state, 0)
+        .filter((m) => m.type === 'place')
+        .map((m) => m.sym),
+      ['S', 'L', 'V']
+    )
+  })
+
+  it('is empty on a board with no room to move', () => {
+    assert.deepEqual(legalMoves(walled([]), 0), [])
+    assert.equal(chooseBotMove(walled([]), 0, 'medium'), null)
+  })
+})
+
+describe('chooseBotMove', () => {
+  it('easy plays a random legal move', () => {
+    const state = walled(['. . P1 .'])
+    for (const seed of SEEDS) {
+      const move = chooseBotMove(state, 0, 'easy', seeded(seed))
+      assert.equal(applyMove(state, move).error, undefined)
+    }
+  })
+
+  it('medium takes an elimination', () => {
+    const state = walled(['R0 . S1'])
+    for (const seed of SEEDS)
+      assert.deepEqual(chooseBotMove(state, 0, 'medium', seeded(seed)), {
+        type: 'place',
+        player: 0,
+        r: 0,
+        c: 1,
+        sym: 'R',
+      })
+  })
+
+  it('medium avoids giving the opponent a misplacement point', () => {
+    const state = walled(['P1 . P1'])
+    for (const seed of SEEDS) {
+      const move = chooseBotMove(state, 0, 'medium', seeded(seed))
+      assert.notEqual(move.sym, 'R')
+    }
+  })
+
+  it('hard avoids a tile the next player can eliminate', () => {
+    // any Rock lands next to P1 where a second Paper pairs up and takes it
+    const state = walled(['. P1 . .'], {
+      stock: [
+        { R: 5, P: 0, S: 5 },
+        { R: 0, P: 5, S: 0 },
+      ],
+    })
+    const picks = (level) =>
+      SEEDS.map((seed) => chooseBotMove(state, 0, level, seeded(seed)))
+    for (const move of picks('hard')) assert.notEqual(move.sym, 'R')
+    // the greedy bot can't see the reply coming
+    assert.ok(picks('medium').some((m) => m.sym === 'R'))
+  })
+
+  it('hard takes a winning move', () => {
+    const state = walled(['R0 . S1 .'], { scores: [6, 0] })
+    const move = chooseBotMove(state, 0, 'hard', seeded(1))
+    const { state: next } = applyMove(state, move)
+    assert.equal(next.gameOver, true)
+    assert.equal(next.scores[0], 7)
+  })
+
+  it('plays for its team in a team game', () => {
+    const settings = { tilesPerSymbol: 10, pointsToWin: 7, teams: true }
+    const stock = { R: 10, P: 10, S: 10 }
+    const state = walled(['R0 . S1 .'], {
+      settings,
+      scores: [0, 0, 6, 0],
+      stock: [stock, stock, stock, stock].map((s) => ({ ...s })),
+    })
+    for (const seed of SEEDS.slice(0, 5)) {
+      const move = chooseBotMove(state, 0, 'hard', seeded(seed))
+      const { events } = applyMove(state, move)
+      assert.equal(events.at(-1).reason, 'points')
+    }
+  })
+})
+
+describe('lookAheadCount', () => {
+  it('takes fewer candidates as the moves to try grow', () => {
+    assert.equal(lookAheadCount(24, 100, 4000), 24)
+    assert.equal(lookAheadCount(24, 750, 4000), 5)
+    assert.equal(lookAheadCount(24, 9000, 4000), 1)
+    assert.equal(lookAheadCount(24, 9000, 4000, 3), 3)
+    assert.equal(lookAheadCount(24, 0, Infinity), 24)
+  })
+})
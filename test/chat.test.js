@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { EMOTES, createChatFilter, sanitizeText } from '../src/chat.js'
+
+describe('sanitizeText', () => {
+  it('escapes HTML', () => {
+    assert.equal(
+      sanitizeText('<img src=x onerror="alert(1)"> & \'hi\''),
+      '&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; &#39;hi&#39;'
+    )
+  })
+
+  it('keeps one line without invisible characters', () => {
+    assert.equal(sanitizeText('  a\n\tb\u200B\u202Ec\u0007  '), 'a b c')
+    assert.equal(sanitizeText('\u0000\uFEFF'), '')
+  })
+
+  it('cuts before escaping', () => {
+    assert.equal(sanitizeText('x'.repeat(400)).length, 300)
+    assert.equal(sanitizeText('abc<', 3), 'abc')
+  })
+
+  it('keeps emoji sequences whole', () => {
+    assert.equal(sanitizeText('👩‍👩‍👧 ok'), '👩‍👩‍👧 ok')
+  })
+})
+
+describe('createChatFilter', () => {
+  it('masks listed words and their endings, whatever the case', () => {
+    const filter = createChatFilter(['darn', 'heck'])
+    assert.equal(
+      filter('Darn it, darned HECKING thing'),
+      '**** it, ****** ******* thing'
+    )
+  })
+
+  it('leaves words that only contain a listed one', () => {
+    const filter = createChatFilter(['ass'])
+    assert.equal(filter('a classic pass'), 'a classic pass')
+    assert.equal(filter('ass!'), '***!')
+  })
+
+  it('lets everything through with an empty list', () => {
+    const filter = createChatFilter([' ', ''])
+    assert.equal(filter('anything goes'), 'anything goes')
+  })
+
+  it('has a default list', () => {
+    assert.equal(createChatFilter()('what the fuck'), 'what the ****')
+  })
+})
+
+describe('EMOTES', () => {
+  it('are short keys with a label', () => {
+    for (const [key, label] of Object.entries(EMOTES)) {
+      assert.match(key, /^[a-z]+$/)
+      assert.ok(label.length > 0)
+    }
+  })
+})
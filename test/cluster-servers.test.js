@@ -0,0 +1,161 @@
+import { after, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { once } from 'node:events'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { io as connectClient } from 'socket.io-client'
+
+import { applyPatch } from '../src/statediff.js'
+
+// Two server instances in this process, on one hub, sharing a room store on
+// disk so one can take over the other's rooms. Each import of server.js
+// with its own query string is a separate instance, reading its settings
+// from the environment as it loads. The logger reads LOG_LEVEL when it is
+// first imported, so that comes first.
+process.env.LOG_LEVEL = 'error'
+const { createHub } = await import('../src/cluster.js')
+const hub = createHub()
+await once(hub.listen(0), 'listening')
+const roomDir = await mkdtemp(path.join(tmpdir(), 'rooms-'))
+Object.assign(process.env, {
+  PORT: '0',
+  NODE_ENV: 'test',
+  RECONNECT_GRACE_MS: '2000',
+  CLUSTER_BUS: `tcp://127.0.0.1:${hub.address().port}`,
+  ROOM_STORE: 'file',
+  ROOM_STORE_DIR: roomDir,
+})
+
+async function startInstance(id) {
+  process.env.INSTANCE_ID = id
+  const instance = await import(`../server.js?instance=${id}`)
+  if (!instance.server.listening) await once(instance.server, 'listening')
+  const url = `http://localhost:${instance.server.address().port}`
+  return { ...instance, url, closed: false }
+}
+
+const one = await startInstance('one')
+const two = await startInstance('two')
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/* -------------------------
+   Clients
+-------------------------- */
+const clients = []
+
+// A client of one instance, keeping its room state from `state` and
+// `statePatch` like the one in server.test.js
+async function connect(instance) {
+  const socket = connectClient(instance.url, {
+    transports: ['websocket'],
+    forceNew: true,
+    reconnection: false,
+  })
+  const client = { socket, state: null, you: null }
+  socket.on('you', (you) => (client.you = you))
+  socket.on('state', (state) => (client.state = state))
+  socket.on('statePatch', ({ seq, ops }) => {
+    if (client.state && seq === client.state.seq + 1)
+      client.state = { ...applyPatch(client.state, ops), seq }
+    else if (client.state)
+      client.ask('requestState', { roomId: client.state.id })
+  })
+  client.ask = (event, payload = {}) =>
+    new Promise((resolve) => socket.emit(event, payload, resolve))
+  clients.push(client)
+  await once(socket, 'connect')
+  return client
+}
+
+async function until(client, check, ms = 3000) {
+  const deadline = Date.now() + ms
+  while (!(client.state && check(client.state))) {
+    if (Date.now() > deadline) assert.fail('timed out waiting for the state')
+    await wait(10)
+  }
+  return client.state
+}
+
+async function expectOk(promise) {
+  assert.deepEqual(await promise, { ok: true })
+}
+
+// Play the first placement that goes through for `client`
+async function playAnyMove(client) {
+  const state = client.state
+  const stock = state.stock[client.you.index]
+  for (const sym of Object.keys(stock).filter((k) => stock[k] > 0))
+    for (const [r, row] of state.board.entries())
+      for (const [c, cell] of row.entries()) {
+        if (cell) continue
+        const move = { roomId: state.id, r, c, sym }
+        if ((await client.ask('placePiece', move)).ok) return
+      }
+  assert.fail('no legal move')
+}
+
+after(async () => {
+  for (const client of clients) client.socket.close()
+  for (const instance of [one, two])
+    if (!instance.closed) await instance.close()
+  hub.close()
+  await rm(roomDir, { recursive: true, force: true })
+})
+
+/* -------------------------
+   Tests
+-------------------------- */
+describe('two instances', () => {
+  it('run a room for players on either one, and hand it over', async () => {
+    // the host's instance owns the room; the guest comes in through the other
+    const host = await connect(one)
+    const created = once(host.socket, 'roomCreated')
+    await expectOk(host.ask('createRoom'))
+    const [{ id: roomId, invite }] = await created
+    await expectOk(host.ask('joinRoom', { roomId, name: 'Host', invite }))
+    const guest = await connect(two)
+    await expectOk(guest.ask('joinRoom', { roomId, name: 'Guest', invite }))
+    await expectOk(guest.ask('requestState', { roomId }))
+    await until(guest, (s) => s.players.length === 2)
+    assert.equal(guest.you.index, 1)
+
+    await expectOk(host.ask('newGame', { roomId, blockers: 0 }))
+    await expectOk(guest.ask('setReady', { roomId, ready: true }))
+    await until(guest, (s) => s.started)
+    await until(host, (s) => s.started)
+
+    const players = [host, guest]
+    for (let n = 1; n <= 2; n++) {
+      await playAnyMove(players[host.state.turn])
+      await until(host, (s) => s.moveCount === n)
+      await until(guest, (s) => s.moveCount === n)
+    }
+
+    // the guest's connection drops; the seat waits and takes them back
+    const { token } = guest.you
+    guest.socket.close()
+    await until(host, (s) => s.players[1].connected === false)
+    const back = await connect(two)
+    await expectOk(back.ask('rejoinRoom', { roomId, token }))
+    await expectOk(back.ask('requestState', { roomId }))
+    await until(host, (s) => s.players[1].connected)
+    assert.equal((await until(back, (s) => s.moveCount === 2)).turn, 0)
+
+    // the owner stops: the other instance takes the room over from the
+    // store when the host comes back there, and the guest stays attached
+    const hostToken = host.you.token
+    await one.close()
+    one.closed = true
+    const moved = await connect(two)
+    await expectOk(moved.ask('rejoinRoom', { roomId, token: hostToken }))
+    await expectOk(moved.ask('requestState', { roomId }))
+    const state = await until(moved, (s) => s.moveCount === 2)
+    assert.equal(state.players[1].connected, true)
+    assert.equal(moved.you.index, 0)
+
+    await playAnyMove(moved)
+    await until(back, (s) => s.moveCount === 3)
+  })
+})
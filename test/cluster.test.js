@@ -0,0 +1,174 @@
+import { describe, it, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { once } from 'node:events'
+import net from 'node:net'
+import { Server } from 'socket.io'
+
+import {
+  connectBus,
+  createBus,
+  createBusAdapter,
+  createHub,
+  createMemoryBus,
+  createRpc,
+} from '../src/cluster.js'
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Collect what a channel receives
+function listen(bus, channel) {
+  const got = []
+  bus.subscribe(channel, (message) => got.push(message))
+  return got
+}
+
+// The bus contract, for the memory bus and for hub clients alike
+function behavesLikeABus(makeBuses) {
+  it('delivers messages in order to every subscriber', async () => {
+    const [a, b] = await makeBuses()
+    const gotA = listen(a, 'news')
+    const gotB = listen(b, 'news')
+    await wait(20) // hub clients subscribe over the wire
+    await a.publish('news', { n: 1 })
+    await b.publish('news', { n: 2 })
+    await a.publish('other', { n: 3 })
+    await wait(20)
+    assert.deepEqual(gotA, [{ n: 1 }, { n: 2 }])
+    assert.deepEqual(gotB, gotA)
+  })
+
+  it('gives a lease to one owner until it lapses or is released', async () => {
+    const [a, b] = await makeBuses()
+    assert.equal(await a.claim('room:X', 'one', 50), 'one')
+    assert.equal(await b.claim('room:X', 'two', 50), 'one')
+    assert.equal(await b.owner('room:X'), 'one')
+    await b.release('room:X', 'two') // not its lease
+    assert.equal(await a.claim('room:X', 'one', 50), 'one') // renewal
+    await wait(70)
+    assert.equal(await a.owner('room:X'), null)
+    assert.equal(await b.claim('room:X', 'two', 50), 'two')
+    await b.release('room:X', 'two')
+    assert.equal(await a.owner('room:X'), null)
+  })
+}
+
+describe('createMemoryBus', () => {
+  behavesLikeABus(async () => {
+    const bus = createMemoryBus()
+    return [bus, bus]
+  })
+
+  it('copies messages and unsubscribes', async () => {
+    const bus = createMemoryBus()
+    const got = []
+    const off = bus.subscribe('c', (m) => got.push(m))
+    const message = { list: [1] }
+    await bus.publish('c', message)
+    message.list.push(2)
+    await wait(0)
+    off()
+    await bus.publish('c', { list: [3] })
+    await wait(0)
+    assert.deepEqual(got, [{ list: [1] }])
+  })
+})
+
+describe('createHub / connectBus', () => {
+  const hub = createHub()
+  const clients = []
+  after(async () => {
+    for (const client of clients) await client.close()
+    hub.close()
+  })
+
+  behavesLikeABus(async () => {
+    if (!hub.listening) await once(hub.listen(0), 'listening')
+    const url = `tcp://127.0.0.1:${hub.address().port}`
+    const pair = [connectBus(url), connectBus(url)]
+    clients.push(...pair)
+    return pair
+  })
+
+  it('refuses leases while the hub is down', async () => {
+    const silent = net.createServer()
+    await once(silent.listen(0), 'listening')
+    const url = `tcp://127.0.0.1:${silent.address().port}`
+    silent.close()
+    const client = connectBus(url)
+    clients.push(client)
+    await wait(50)
+    await assert.rejects(client.claim('room:X', 'one', 50), /Not connected/)
+  })
+
+  it('times out a lease the hub does not answer', async () => {
+    const silent = net.createServer((socket) => socket.resume())
+    await once(silent.listen(0), 'listening')
+    const client = connectBus(`tcp://127.0.0.1:${silent.address().port}`, {
+      timeoutMs: 30,
+    })
+    await assert.rejects(client.owner('room:X'), /did not answer/)
+    await client.close()
+    silent.close()
+  })
+})
+
+describe('createBus', () => {
+  it('picks the bus from CLUSTER_BUS', () => {
+    assert.equal(createBus({}).kind, 'memory')
+    assert.throws(() => createBus({ CLUSTER_BUS: 'redis://x' }), /redis/)
+  })
+})
+
+describe('createRpc', () => {
+  it('answers requests and passes notes between instances', async () => {
+    const bus = createMemoryBus()
+    const a = createRpc(bus, 'A')
+    const b = createRpc(bus, 'B')
+    const notes = []
+    b.serve((body, from) =>
+      body.type === 'note' ? notes.push(from) : { sum: body.x + body.y }
+    )
+    assert.deepEqual(await a.request('B', { x: 2, y: 3 }), { sum: 5 })
+    a.notify('B', { type: 'note' })
+    await wait(0)
+    assert.deepEqual(notes, ['A'])
+  })
+
+  it('rejects when the other side fails or never answers', async () => {
+    const bus = createMemoryBus()
+    const a = createRpc(bus, 'A', { timeoutMs: 30 })
+    createRpc(bus, 'B').serve(() => {
+      throw new Error('boom')
+    })
+    const errors = []
+    const origError = console.error
+    console.error = (...args) => errors.push(args)
+    try {
+      await assert.rejects(a.request('B', {}), /boom/)
+    } finally {
+      console.error = origError
+    }
+    assert.equal(errors.length, 1)
+    await assert.rejects(a.request('C', {}), /did not answer/)
+  })
+})
+
+describe('createBusAdapter', () => {
+  it('carries server-side events between Socket.IO servers', async () => {
+    const bus = createMemoryBus()
+    const adapter = createBusAdapter(bus)
+    const one = new Server().adapter(adapter)
+    const two = new Server().adapter(adapter)
+    after(() => {
+      one.of('/').adapter.close()
+      two.of('/').adapter.close()
+    })
+    const heard = once(two, 'hello')
+    one.serverSideEmit('hello', { from: 'one' })
+    assert.deepEqual(await heard, [{ from: 'one' }])
+    // each counts the other once they have exchanged heartbeats
+    await wait(10)
+    assert.equal(await one.of('/').adapter.serverCount(), 2)
+    assert.deepEqual(await two.fetchSockets(), [])
+  })
+})
@@ -0,0 +1,900 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  BOARD_SIZE,
+  LAYOUTS,
+  applyMove,
+  boardFull,
+  checkSettings,
+  createBoard,
+  createGame,
+  createStock,
+  evaluateWinners,
+  rulesOf,
+  replayMoves,
+  resolveEliminationsFrom,
+  scoreMisplacement,
+  scoreThreeInRow,
+  teamScores,
+} from '../src/game.js'
+import { gameState, parseBoard, seeded } from './helpers.js'
+
+function countBlockers(board) {
+  return board.flat().filter((v) => v?.type === 'BLOCKER').length
+}
+function countHoles(board) {
+  return board.flat().filter((v) => v?.type === 'HOLE').length
+}
+
+describe('createGame', () => {
+  it('deals stock and zero scores per player', () => {
+    const g = createGame({ tilesPerSymbol: 4, blockers: 0, pointsToWin: 7 }, 3)
+    assert.deepEqual(g.scores, [0, 0, 0])
+    assert.deepEqual(g.stock, [
+      { R: 4, P: 4, S: 4 },
+      { R: 4, P: 4, S: 4 },
+      { R: 4, P: 4, S: 4 },
+    ])
+    assert.equal(g.turn, 0)
+    assert.equal(g.gameOver, false)
+  })
+
+  it('lets any seat move first', () => {
+    const g = createGame({ tilesPerSymbol: 4, blockers: 0 }, 3, { first: 2 })
+    assert.equal(g.turn, 2)
+    assert.equal(g.slot, 2)
+  })
+
+  it('places the requested number of blockers', () => {
+    const settings = { tilesPerSymbol: 10, blockers: 8, pointsToWin: 7 }
+    const a = createGame(settings, 2, { random: seeded(1) })
+    const b = createGame(settings, 2, { random: seeded(1) })
+    assert.equal(countBlockers(a.board), 8)
+    assert.deepEqual(a.board, b.board)
+  })
+
+  it('stops placing blockers when the board is full', () => {
+    const settings = { tilesPerSymbol: 10, blockers: 999, pointsToWin: 7 }
+    const g = createGame(settings, 2)
+    assert.equal(countBlockers(g.board), BOARD_SIZE * BOARD_SIZE)
+    assert.equal(boardFull(g.board), true)
+  })
+})
+
+describe('board shapes', () => {
+  it('sizes the board from settings, defaulting to 8x8', () => {
+    const board = createBoard({ rows: 6, cols: 11 })
+    assert.equal(board.length, 6)
+    assert.ok(board.every((row) => row.length === 11))
+    assert.equal(createBoard({}).length, BOARD_SIZE)
+  })
+
+  it('lays out fixed blockers and holes', () => {
+    const pillars = createBoard({ rows: 8, cols: 8, layout: 'pillars' })
+    assert.equal(countBlockers(pillars), 4)
+    assert.deepEqual(pillars[1][1], { type: 'BLOCKER' })
+
+    const donut = createBoard({ rows: 7, cols: 8, layout: 'donut' })
+    assert.equal(countHoles(donut), 2)
+    assert.deepEqual([donut[3][3], donut[3][4]], [{ type: 'HOLE' }, { type: 'HOLE' }])
+
+    const octagon = createBoard({ rows: 8, cols: 8, layout: 'octagon' })
+    assert.equal(countHoles(octagon), 12) // three per corner
+    assert.deepEqual(octagon[0][7], { type: 'HOLE' })
+    assert.equal(octagon[2][0], null)
+  })
+
+  it('keeps every layout inside the smallest and largest boards', () => {
+    for (const [name, layout] of Object.entries(LAYOUTS))
+      for (const [rows, cols] of [
+        [6, 6],
+        [6, 12],
+        [12, 7],
+      ])
+        for (const { r, c } of layout(rows, cols))
+          assert.ok(r >= 0 && r < rows && c >= 0 && c < cols, name)
+  })
+
+  it('adds random blockers only on open cells', () => {
+    const settings = {
+      rows: 6,
+      cols: 6,
+      layout: 'donut',
+      tilesPerSymbol: 10,
+      blockers: 999,
+      pointsToWin: 7,
+    }
+    const g = createGame(settings, 2, { random: seeded(3) })
+    assert.equal(countHoles(g.board), 4)
+    assert.equal(countBlockers(g.board), 32)
+  })
+
+  it('rejects more blockers than the board has open cells', () => {
+    assert.equal(checkSettings({ rows: 6, cols: 6, blockers: 8 }), null)
+    assert.equal(
+      checkSettings({ rows: 6, cols: 6, layout: 'donut', blockers: 32 }).code,
+      'BAD_SETTINGS'
+    )
+  })
+})
+
+describe('evaluateWinners', () => {
+  it('returns the single leader', () => {
+    assert.deepEqual(evaluateWinners([1, 4, 2]), [
+      { index: 1, label: 'P2', score: 4 },
+    ])
+  })
+
+  it('returns every tied leader', () => {
+    assert.deepEqual(
+      evaluateWinners([3, 1, 3]).map((w) => w.index),
+      [0, 2]
+    )
+  })
+
+  it('skips excluded (forfeited) players', () => {
+    assert.deepEqual(
+      evaluateWinners([5, 1, 3], [0]).map((w) => w.index),
+      [2]
+    )
+  })
+})
+
+describe('resolveEliminationsFrom', () => {
+  it('eliminates beaten enemies on both ends of a new pair', () => {
+    const board = parseBoard(['S1 R0 R0 S1'])
+    const res = resolveEliminationsFrom(board, 0, 2, 0)
+    assert.equal(res.removed, 2)
+    assert.equal(board[0][0], null)
+    assert.equal(board[0][3], null)
+    assert.deepEqual(res.highlights, [
+      { cells: [{ r: 0, c: 0 }], by: 0 },
+      { cells: [{ r: 0, c: 3 }], by: 0 },
+    ])
+  })
+
+  it('needs a pair: a lone tile eliminates nothing', () => {
+    const board = parseBoard(['S1 R0 S1'])
+    assert.equal(resolveEliminationsFrom(board, 0, 1, 0).removed, 0)
+    assert.deepEqual(board[0][0], { sym: 'S', player: 1 })
+  })
+
+  it('leaves stronger, equal and own tiles alone', () => {
+    const board = parseBoard(['P1 R0 R0 R1', '. . . .', 'S0 R0 R0'])
+    assert.equal(resolveEliminationsFrom(board, 0, 2, 0).removed, 0)
+    assert.equal(resolveEliminationsFrom(board, 2, 2, 0).removed, 0)
+    assert.deepEqual(board[2][0], { sym: 'S', player: 0 })
+  })
+
+  it('ignores blockers and empty cells next to the pair', () => {
+    const board = parseBoard(['# R0 R0 .'])
+    assert.equal(resolveEliminationsFrom(board, 0, 1, 0).removed, 0)
+    assert.deepEqual(board[0][0], { type: 'BLOCKER' })
+  })
+
+  it('works along vertical and both diagonals', () => {
+    const board = parseBoard([
+      'S1 . S1 . S1',
+      '. R0 R0 R0 .',
+      '. . R0 . .',
+    ])
+    const res = resolveEliminationsFrom(board, 2, 2, 0)
+    // pairs (1,1)-(2,2), (1,2)-(2,2), (1,3)-(2,2) reach back to row 0
+    assert.equal(res.removed, 3)
+    assert.equal(board[0][0], null)
+    assert.equal(board[0][2], null)
+    assert.equal(board[0][4], null)
+  })
+
+  it('only checks just outside the first pair containing the new tile', () => {
+    // placed tile in the middle of R R R: the first pair is cells 1-2, so
+    // cell 0 is checked but cell 4 (beyond the far end) is not
+    const board = parseBoard(['S1 R0 R0 R0 S1'])
+    const res = resolveEliminationsFrom(board, 0, 2, 0)
+    assert.equal(res.removed, 1)
+    assert.equal(board[0][0], null)
+    assert.deepEqual(board[0][4], { sym: 'S', player: 1 })
+  })
+
+  it('skips out-of-bounds ends at the board edge', () => {
+    const board = parseBoard(['R0 R0 S1'])
+    const res = resolveEliminationsFrom(board, 0, 0, 0)
+    assert.equal(res.removed, 1)
+    assert.equal(board[0][2], null)
+  })
+
+  it('does nothing for a blocker or empty cell', () => {
+    const board = parseBoard(['# .'])
+    assert.deepEqual(resolveEliminationsFrom(board, 0, 0, 0), {
+      removed: 0,
+      highlights: [],
+    })
+    assert.equal(resolveEliminationsFrom(board, 0, 1, 0).removed, 0)
+  })
+})
+
+describe('scoreThreeInRow', () => {
+  it('scores one point for a fresh triple', () => {
+    const board = parseBoard(['R0 R0 R0'])
+    const res = scoreThreeInRow(board, 0, 2, 0)
+    assert.equal(res.points, 1)
+    assert.deepEqual(res.highlights, [
+      {
+        cells: [
+          { r: 0, c: 0 },
+          { r: 0, c: 1 },
+          { r: 0, c: 2 },
+        ],
+        by: 0,
+      },
+    ])
+  })
+
+  it('scores one point per direction', () => {
+    const board = parseBoard(['R0 R0 R0', '. R0 .', '. R0 .'])
+    assert.equal(scoreThreeInRow(board, 0, 1, 0).points, 2)
+  })
+
+  it('counts a longer line once and highlights the triple around the tile', () => {
+    const board = parseBoard(['P1 P1 P1 P1 P1'])
+    const res = scoreThreeInRow(board, 0, 4, 1)
+    assert.equal(res.points, 1)
+    assert.deepEqual(
+      res.highlights[0].cells.map((p) => p.c),
+      [2, 3, 4]
+    )
+  })
+
+  it('is broken by other symbols, other owners and blockers', () => {
+    for (const row of ['R0 P0 R0', 'R0 R1 R0', 'R0 # R0']) {
+      const board = parseBoard([row])
+      assert.equal(scoreThreeInRow(board, 0, 2, 0).points, 0, row)
+    }
+  })
+
+  it('scores the vertical line through the placed tile', () => {
+    const board = parseBoard(['R0 P0', 'R0 R1', 'R0 #'])
+    assert.equal(scoreThreeInRow(board, 1, 0, 0).points, 1)
+  })
+
+  it('is broken by holes', () => {
+    assert.equal(scoreThreeInRow(parseBoard(['R0 x R0 R0']), 0, 2, 0).points, 0)
+  })
+
+  it('reaches the far edge of a wide board', () => {
+    const board = parseBoard(
+      ['. . . . . . . . . R0 R0 R0'],
+      { rows: 6, cols: 12 }
+    )
+    assert.equal(scoreThreeInRow(board, 0, 11, 0).points, 1)
+  })
+})
+
+describe('scoring on other board sizes', () => {
+  it('eliminates up to the last column of a wide board', () => {
+    const row = '. . . . . . . . S1 R0 R0 S1'
+    const board = parseBoard([row], { rows: 6, cols: 12 })
+    assert.equal(resolveEliminationsFrom(board, 0, 10, 0).removed, 2)
+  })
+
+  it('reads misplacements down a tall, narrow board', () => {
+    const board = parseBoard(
+      ['.', '.', '.', '.', '.', '.', '.', '.', '.', 'P1', 'P1', 'R0'],
+      { rows: 12, cols: 6 }
+    )
+    assert.deepEqual(scoreMisplacement(board, 11, 0).awarded, [
+      { player: 1, points: 1 },
+    ])
+  })
+})
+
+describe('scoreMisplacement', () => {
+  it('awards the opponent when their two stronger tiles flank the placement', () => {
+    const board = parseBoard(['P1 R0 P1'])
+    const res = scoreMisplacement(board, 0, 1)
+    assert.deepEqual(res.awarded, [{ player: 1, points: 1 }])
+    assert.deepEqual(res.highlights[0], {
+      cells: [
+        { r: 0, c: 0 },
+        { r: 0, c: 1 },
+        { r: 0, c: 2 },
+      ],
+      by: 1,
+    })
+  })
+
+  it('checks windows with the placed tile at either end', () => {
+    const left = parseBoard(['R0 P1 P1'])
+    assert.equal(scoreMisplacement(left, 0, 0).awarded.length, 1)
+    const right = parseBoard(['P1 P1 R0'])
+    assert.equal(scoreMisplacement(right, 0, 2).awarded.length, 1)
+  })
+
+  it('awards nothing for mixed owners', () => {
+    const board = parseBoard(['P1 R0 P2'])
+    assert.deepEqual(scoreMisplacement(board, 0, 1).awarded, [])
+  })
+
+  it('awards nothing when the neighbours are not stronger', () => {
+    const board = parseBoard(['S1 R0 S1', '. . .', 'P0 R0 P0'])
+    assert.deepEqual(scoreMisplacement(board, 0, 1).awarded, [])
+    // own stronger tiles never count
+    assert.deepEqual(scoreMisplacement(board, 2, 1).awarded, [])
+  })
+
+  it('needs three filled cells: gaps, blockers and edges break a window', () => {
+    const board = parseBoard(['P1 . R0 P1 #', 'R0 P1 # . .'])
+    assert.deepEqual(scoreMisplacement(board, 0, 2).awarded, [])
+    assert.deepEqual(scoreMisplacement(board, 1, 0).awarded, [])
+  })
+
+  it('awards at most once per direction', () => {
+    // P P R P P: three windows match horizontally but only one is awarded
+    const board = parseBoard(['P1 P1 R0 P1 P1'])
+    const res = scoreMisplacement(board, 0, 2)
+    assert.deepEqual(res.awarded, [{ player: 1, points: 1 }])
+    assert.deepEqual(
+      res.highlights[0].cells.map((p) => p.c),
+      [0, 1, 2]
+    )
+  })
+
+  it('awards separately in each direction', () => {
+    const board = parseBoard(['P1 P1 .', '. R0 P1', '. P1 .'])
+    // horizontal (1,1)-(1,2) needs a third tile; vertical P-R-P and
+    // diagonal P-R-. : only the vertical window qualifies
+    assert.equal(scoreMisplacement(board, 1, 1).awarded.length, 1)
+    board[1][0] = { sym: 'P', player: 1 }
+    assert.equal(scoreMisplacement(board, 1, 1).awarded.length, 2)
+  })
+})
+
+describe('applyMove', () => {
+  it('places a tile, spends stock and passes the turn', () => {
+    const state = gameState([])
+    const { state: next, events, error } = applyMove(state, {
+      type: 'place',
+      player: 0,
+      r: 3,
+      c: 4,
+      sym: 'S',
+    })
+    assert.equal(error, undefined)
+    assert.deepEqual(next.board[3][4], { player: 0, sym: 'S' })
+    assert.equal(next.stock[0].S, 9)
+    assert.deepEqual(next.lastPlayed, { 0: 'S' })
+    assert.equal(next.turn, 1)
+    assert.deepEqual(events, [
+      { type: 'placed', player: 0, r: 3, c: 4, sym: 'S' },
+      { type: 'turn', turn: 1 },
+    ])
+  })
+
+  it('does not mutate the input state', () => {
+    const state = gameState(['S1 R0'])
+    const snapshot = structuredClone(state)
+    applyMove(state, { type: 'place', player: 0, r: 0, c: 2, sym: 'R' })
+    assert.deepEqual(state, snapshot)
+  })
+
+  it('reports scoring events with highlights', () => {
+    // R at (0,2) pairs with (0,1), eliminating S at (0,0) and (0,3); the two
+    // P1 tiles below it give player 1 a misplacement point
+    const state = gameState(['S1 R0 . S1', '. . P1 .', '. . P1 .'])
+    const { state: next, events } = applyMove(state, {
+      type: 'place',
+      player: 0,
+      r: 0,
+      c: 2,
+      sym: 'R',
+    })
+    assert.deepEqual(
+      events.map((e) => e.type),
+      ['placed', 'misplacement', 'elimination', 'turn']
+    )
+    assert.deepEqual(next.scores, [2, 1])
+    const elim = events.find((e) => e.type === 'elimination')
+    assert.equal(elim.highlights.length, 2)
+  })
+
+  it('scores a line for the mover', () => {
+    const state = gameState(['R0 R0 .'])
+    const { state: next, events } = applyMove(state, {
+      type: 'place',
+      player: 0,
+      r: 0,
+      c: 2,
+      sym: 'R',
+    })
+    assert.equal(next.scores[0], 1)
+    assert.equal(events.find((e) => e.type === 'line').points, 1)
+  })
+
+  it('ends the game when the mover reaches pointsToWin', () => {
+    const state = gameState(['R0 R0 .'], { scores: [6, 0] })
+    const { state: next, events } = applyMove(state, {
+      type: 'place',
+      player: 0,
+      r: 0,
+      c: 2,
+      sym: 'R',
+    })
+    assert.equal(next.gameOver, true)
+    assert.equal(next.turn, 0)
+    assert.deepEqual(events.at(-1), {
+      type: 'gameOver',
+      reason: 'points',
+      player: 0,
+      winners: [{ index: 0, label: 'P1', score: 7 }],
+    })
+  })
+
+  it('ends the game when a player runs out of tiles', () => {
+    const state = gameState([], {
+      scores: [0, 2],
+      stock: [
+        { R: 1, P: 0, S: 0 },
+        { R: 3, P: 3, S: 3 },
+      ],
+    })
+    const { events } = applyMove(state, {
+      type: 'place',
+      player: 0,
+      r: 0,
+      c: 0,
+      sym: 'R',
+    })
+    const over = events.at(-1)
+    assert.equal(over.reason, 'stock')
+    assert.equal(over.player, 0)
+    assert.deepEqual(
+      over.winners.map((w) => w.index),
+      [1]
+    )
+  })
+
+  it('ends the game when the board fills up', () => {
+    const state = gameState([])
+    state.board = state.board.map((row) => row.map(() => ({ type: 'BLOCKER' })))
+    state.board[7][7] = null
+    const { state: next, events } = applyMove(state, {
+      type: 'place',
+      player: 0,
+      r: 7,
+      c: 7,
+      sym: 'P',
+    })
+    assert.equal(next.gameOver, true)
+    assert.equal(events.at(-1).reason, 'boardFull')
+    assert.deepEqual(
+      events.at(-1).winners.map((w) => w.index),
+      [0, 1]
+    )
+  })
+
+  it('moves a blocker one step in any direction', () => {
+    const state = gameState(['. . .', '. # .'])
+    const { state: next, events } = applyMove(state, {
+      type: 'moveBlocker',
+      player: 0,
+      from: { r: 1, c: 1 },
+      to: { r: 0, c: 2 },
+    })
+    assert.equal(next.board[1][1], null)
+    assert.deepEqual(next.board[0][2], { type: 'BLOCKER' })
+    assert.equal(next.turn, 1)
+    assert.equal(events[0].type, 'blockerMoved')
+  })
+
+  it('rejects illegal moves with a code and leaves state untouched', () => {
+    const state = gameState(['R1 # .'])
+    const cases = [
+      [{ type: 'place', player: 1, r: 0, c: 2, sym: 'R' }, 'NOT_YOUR_TURN'],
+      [{ type: 'place', player: 0, r: 0, c: 2, sym: 'X' }, 'BAD_SYMBOL'],
+      [{ type: 'place', player: 0, r: 8, c: 0, sym: 'R' }, 'OUT_OF_BOUNDS'],
+      [{ type: 'place', player: 0, r: 0, c: 0, sym: 'R' }, 'CELL_OCCUPIED'],
+      [{ type: 'jump', player: 0 }, 'BAD_MOVE'],
+      [
+        { type: 'moveBlocker', player: 0, from: { r: 0, c: 2 }, to: { r: 1, c: 2 } },
+        'NOT_A_BLOCKER',
+      ],
+      [
+        { type: 'moveBlocker', player: 0, from: { r: 0, c: 1 }, to: { r: 0, c: 0 } },
+        'CELL_OCCUPIED',
+      ],
+      [
+        { type: 'moveBlocker', player: 0, from: { r: 0, c: 1 }, to: { r: 2, c: 1 } },
+        'TOO_FAR',
+      ],
+    ]
+    for (const [move, code] of cases) {
+      const res = applyMove(state, move)
+      assert.equal(res.error?.code, code, JSON.stringify(move))
+      assert.equal(res.state, state)
+      assert.deepEqual(res.events, [])
+    }
+  })
+
+  it('treats holes as off the board and plays to the edge of any size', () => {
+    const state = gameState(['x # .'], {
+      board: parseBoard(['x # .'], { rows: 6, cols: 10 }),
+    })
+    const place = (r, c) => ({ type: 'place', player: 0, r, c, sym: 'R' })
+    assert.equal(applyMove(state, place(0, 0)).error.code, 'OUT_OF_BOUNDS')
+    assert.equal(applyMove(state, place(6, 0)).error.code, 'OUT_OF_BOUNDS')
+    assert.equal(applyMove(state, place(5, 9)).error, undefined)
+    const intoHole = {
+      type: 'moveBlocker',
+      player: 0,
+      from: { r: 0, c: 1 },
+      to: { r: 0, c: 0 },
+    }
+    assert.equal(applyMove(state, intoHole).error.code, 'OUT_OF_BOUNDS')
+  })
+
+  it('counts a board with holes as full once every open cell is taken', () => {
+    assert.equal(boardFull(parseBoard(['x R0'], { rows: 1, cols: 2 })), true)
+  })
+
+  it('passes the turn without touching the board', () => {
+    const state = gameState(['R0'])
+    const { state: next, events } = applyMove(state, { type: 'pass', player: 0 })
+    assert.equal(next.turn, 1)
+    assert.deepEqual(next.board, state.board)
+    assert.deepEqual(events, [
+      { type: 'passed', player: 0 },
+      { type: 'turn', turn: 1 },
+    ])
+  })
+
+  it('skips forfeited players in turn order', () => {
+    const state = gameState([], {
+      scores: [0, 0, 0],
+      stock: [0, 1, 2].map(() => ({ R: 5, P: 5, S: 5 })),
+    })
+    const { state: next, events } = applyMove(state, {
+      type: 'forfeit',
+      player: 0,
+    })
+    assert.deepEqual(next.forfeited, [0])
+    assert.equal(next.turn, 1)
+    assert.equal(next.gameOver, false)
+    assert.deepEqual(events[0], { type: 'forfeited', player: 0 })
+
+    const after = applyMove(next, {
+      type: 'place',
+      player: 1,
+      r: 0,
+      c: 0,
+      sym: 'R',
+    }).state
+    assert.equal(after.turn, 2)
+    assert.equal(applyMove(after, { type: 'pass', player: 2 }).state.turn, 1)
+  })
+
+  it('takes a forfeit out of turn without moving the turn', () => {
+    const state = gameState([], {
+      scores: [0, 0, 0],
+      stock: [0, 1, 2].map(() => ({ R: 5, P: 5, S: 5 })),
+    })
+    const { state: next, events } = applyMove(state, {
+      type: 'forfeit',
+      player: 1,
+    })
+    assert.equal(next.turn, 0)
+    assert.deepEqual(events, [{ type: 'forfeited', player: 1 }])
+    assert.equal(applyMove(next, { type: 'pass', player: 0 }).state.turn, 2)
+    for (const player of [1, 3])
+      assert.equal(
+        applyMove(next, { type: 'forfeit', player }).error.code,
+        'BAD_MOVE'
+      )
+  })
+
+  it('ends the game when only one player is left', () => {
+    const state = gameState([], { scores: [4, 1] })
+    const { state: next, events } = applyMove(state, {
+      type: 'forfeit',
+      player: 0,
+    })
+    assert.equal(next.gameOver, true)
+    assert.deepEqual(events.at(-1), {
+      type: 'gameOver',
+      reason: 'forfeit',
+      player: 0,
+      winners: [{ index: 1, label: 'P2', score: 1 }],
+    })
+  })
+
+  it('rejects placing a symbol with no stock left', () => {
+    const state = gameState([], {
+      stock: [
+        { R: 0, P: 1, S: 1 },
+        { R: 1, P: 1, S: 1 },
+      ],
+    })
+    const res = applyMove(state, {
+      type: 'place',
+      player: 0,
+      r: 0,
+      c: 0,
+      sym: 'R',
+    })
+    assert.equal(res.error.code, 'NO_STOCK')
+  })
+
+  it('rejects any move once the game is over', () => {
+    const res = applyMove(gameState([], { gameOver: true }), {
+      type: 'place',
+      player: 0,
+      r: 0,
+      c: 0,
+      sym: 'R',
+    })
+    assert.equal(res.error.code, 'GAME_OVER')
+  })
+})
+
+describe('rule variants', () => {
+  const RPSLS = { symbolSet: 'rpsls' }
+  const place = (r, c, sym, player = 0) => ({ type: 'place', player, r, c, sym })
+  function withRules(rows, rules, overrides = {}) {
+    const settings = { tilesPerSymbol: 10, blockers: 0, pointsToWin: 99, rules }
+    return gameState(rows, {
+      settings,
+      stock: [createStock(settings), createStock(settings)],
+      ...overrides,
+    })
+  }
+
+  it('fills in the original rules for anything not set', () => {
+    assert.deepEqual(rulesOf({}), {
+      symbolSet: 'rps',
+      misplacement: true,
+      elimination: true,
+      lines: true,
+      lineScoring: 'flat',
+      teamPieces: false,
+    })
+    assert.equal(rulesOf({ rules: { lines: false } }).lines, false)
+  })
+
+  it('deals every symbol of the set', () => {
+    assert.deepEqual(createStock({ tilesPerSymbol: 2, rules: RPSLS }), {
+      R: 2,
+      P: 2,
+      S: 2,
+      L: 2,
+      V: 2,
+    })
+  })
+
+  it('turns each kind of scoring off', () => {
+    // placing R0 at c3 would eliminate S1 at c4, make a line and no more
+    const row = 'R0 R0 . S1'
+    const on = applyMove(withRules([row], {}), place(0, 2, 'R'))
+    assert.equal(on.state.scores[0], 2)
+    const off = applyMove(
+      withRules([row], { elimination: false, lines: false }),
+      place(0, 2, 'R')
+    )
+    assert.equal(off.state.scores[0], 0)
+    assert.deepEqual(off.state.board[0][3], { sym: 'S', player: 1 })
+
+    const trap = ['P1 . P1']
+    assert.equal(
+      applyMove(withRules(trap, {}), place(0, 1, 'R')).state.scores[1],
+      1
+    )
+    assert.equal(
+      applyMove(withRules(trap, { misplacement: false }), place(0, 1, 'R'))
+        .state.scores[1],
+      0
+    )
+  })
+
+  it('scores longer lines higher with length scoring', () => {
+    const board = parseBoard(['R0 R0 R0 R0 R0 R0'])
+    for (const [len, points] of [
+      [3, 1],
+      [4, 2],
+      [5, 3],
+      [6, 3],
+    ]) {
+      const b = parseBoard([board[0].slice(0, len).map(() => 'R0').join(' ')])
+      assert.equal(scoreThreeInRow(b, 0, len - 1, 0, 'length').points, points)
+    }
+    const res = scoreThreeInRow(board, 0, 5, 0, 'length')
+    assert.equal(res.highlights[0].cells.length, 6)
+  })
+
+  it('uses the extended beat table', () => {
+    // Lizard beats Spock and Paper; Spock beats Scissors and Rock
+    const state = withRules(['V1 . L0 V1 P1 R1'], RPSLS)
+    const res = applyMove(state, place(0, 1, 'L'))
+    assert.equal(res.state.scores[0], 2)
+    assert.equal(res.state.board[0][0], null)
+    assert.equal(res.state.board[0][3], null)
+
+    // Spock and Rock both beat Scissors: a mixed trap still counts
+    const trap = withRules(['V1 . R1'], RPSLS)
+    assert.equal(applyMove(trap, place(0, 1, 'S')).state.scores[1], 1)
+  })
+
+  it('rejects symbols outside the room set', () => {
+    const res = applyMove(withRules(['.'], {}), place(0, 0, 'L'))
+    assert.equal(res.error.code, 'BAD_SYMBOL')
+  })
+
+  it('ends the game when the extra symbols run out too', () => {
+    const stock = { R: 0, P: 0, S: 0, L: 0, V: 1 }
+    const state = withRules(['.'], RPSLS, { stock: [stock, { ...stock }] })
+    const res = applyMove(state, place(0, 0, 'V'))
+    assert.equal(res.events.at(-1).reason, 'stock')
+  })
+})
+
+describe('team play', () => {
+  const place = (r, c, sym, player = 0) => ({ type: 'place', player, r, c, sym })
+  const pass = (player) => ({ type: 'pass', player })
+  function teamGame(rows, rules = {}, overrides = {}) {
+    const settings = { tilesPerSymbol: 10, pointsToWin: 7, teams: true, rules }
+    return gameState(rows, {
+      settings,
+      scores: [0, 0, 0, 0],
+      stock: Array.from({ length: 4 }, () => createStock(settings)),
+      ...overrides,
+    })
+  }
+
+  it('pairs seats 1 & 3 against 2 & 4 and pools their scores', () => {
+    assert.deepEqual(teamScores({ teams: true }, [1, 2, 3, 4]), [
+      { team: 0, name: 'A', players: [0, 2], score: 4 },
+      { team: 1, name: 'B', players: [1, 3], score: 6 },
+    ])
+    assert.equal(teamScores({}, [1, 2]), null)
+  })
+
+  it('needs exactly four players', () => {
+    assert.equal(checkSettings({ teams: true }, 3).code, 'BAD_SETTINGS')
+    assert.equal(checkSettings({ teams: true }, 4), null)
+    // seats can still fill up after the setting is chosen
+    assert.equal(checkSettings({ teams: true }), null)
+  })
+
+  it("never eliminates a teammate's pieces", () => {
+    const mate = applyMove(teamGame(['R0 . S2']), place(0, 1, 'R'))
+    assert.deepEqual(mate.state.board[0][2], { sym: 'S', player: 2 })
+    const foe = applyMove(teamGame(['R0 . S3']), place(0, 1, 'R'))
+    assert.equal(foe.state.board[0][2], null)
+    assert.equal(foe.state.scores[0], 1)
+  })
+
+  it('wins on the pooled score', () => {
+    const state = teamGame(['R0 . S1'], {}, { scores: [3, 0, 3, 0] })
+    const over = applyMove(state, place(0, 1, 'R')).events.at(-1)
+    assert.equal(over.reason, 'points')
+    assert.deepEqual(over.winners, [
+      { index: 0, label: 'Team A', score: 7, team: 0 },
+      { index: 2, label: 'Team A', score: 7, team: 0 },
+    ])
+  })
+
+  it('alternates teams, even after a forfeit', () => {
+    let state = teamGame([])
+    const order = []
+    for (let i = 0; i < 4; i++) {
+      order.push(state.turn)
+      state = applyMove(state, pass(state.turn)).state
+    }
+    assert.deepEqual(order, [0, 1, 2, 3])
+
+    // seat 2 (index 1) is gone: seat 4 plays both team B turns
+    state = teamGame([], {}, { forfeited: [1] })
+    order.length = 0
+    for (let i = 0; i < 5; i++) {
+      order.push(state.turn)
+      state = applyMove(state, pass(state.turn)).state
+    }
+    assert.deepEqual(order, [0, 3, 2, 3, 0])
+  })
+
+  it('ends when a whole team has forfeited', () => {
+    const state = teamGame([], {}, { forfeited: [1], turn: 3 })
+    const res = applyMove(state, { type: 'forfeit', player: 3 })
+    const over = res.events.at(-1)
+    assert.equal(over.reason, 'forfeit')
+    assert.deepEqual(
+      over.winners.map((w) => w.index),
+      [0, 2]
+    )
+  })
+
+  it("counts teammates' pieces together only when teamPieces is on", () => {
+    const line = ['R0 R2 .']
+    assert.equal(
+      applyMove(teamGame(line), place(0, 2, 'R')).state.scores[0],
+      0
+    )
+    assert.equal(
+      applyMove(teamGame(line, { teamPieces: true }), place(0, 2, 'R')).state
+        .scores[0],
+      1
+    )
+
+    const trap = ['P1 . P3']
+    assert.equal(
+      applyMove(teamGame(trap), place(0, 1, 'R')).state.scores[1],
+      0
+    )
+    assert.equal(
+      applyMove(teamGame(trap, { teamPieces: true }), place(0, 1, 'R')).state
+        .scores[1],
+      1
+    )
+  })
+
+  it("can't be trapped by a teammate", () => {
+    const res = applyMove(
+      teamGame(['P2 . P2'], { teamPieces: true }),
+      place(0, 1, 'R')
+    )
+    assert.deepEqual(res.state.scores, [0, 0, 0, 0])
+  })
+})
+
+describe('replayMoves', () => {
+  const moves = [
+    { type: 'place', player: 0, r: 0, c: 0, sym: 'R' },
+    { type: 'place', player: 1, r: 0, c: 2, sym: 'S' },
+    { type: 'moveBlocker', player: 0, from: { r: 1, c: 1 }, to: { r: 2, c: 2 } },
+    { type: 'place', player: 1, r: 3, c: 3, sym: 'P' },
+    { type: 'place', player: 0, r: 0, c: 1, sym: 'R' },
+  ]
+
+  it('returns the initial position plus one frame per move', () => {
+    const initial = gameState(['. . .', '. # .'])
+    const frames = replayMoves(initial, moves)
+    assert.equal(frames.length, moves.length + 1)
+    assert.deepEqual(frames[0].state, initial)
+    assert.equal(frames[0].move, null)
+    assert.deepEqual(frames[3].move, moves[2])
+    assert.equal(frames[3].events[0].type, 'blockerMoved')
+  })
+
+  it('ends in the same state as applying the moves live', () => {
+    const initial = gameState(['. . .', '. # .'])
+    let live = initial
+    for (const move of moves) live = applyMove(live, move).state
+    const final = replayMoves(initial, moves).at(-1).state
+    assert.deepEqual(final, live)
+    // R R pair eliminated the S at (0,2)
+    assert.equal(final.board[0][2], null)
+    assert.deepEqual(final.scores, [1, 0])
+  })
+
+  it('rebuilds the position before the last move (undo)', () => {
+    const initial = gameState(['. . .', '. # .'])
+    const frames = replayMoves(initial, moves)
+    const undone = replayMoves(initial, moves.slice(0, -1)).at(-1).state
+    assert.deepEqual(undone, frames.at(-2).state)
+    assert.equal(undone.turn, 0)
+  })
+
+  it('does not share objects with the initial state', () => {
+    const initial = gameState(['. . .', '. # .'])
+    const snapshot = structuredClone(initial)
+    const [first] = replayMoves(initial, moves)
+    first.state.board[0][0] = { sym: 'R', player: 0 }
+    assert.deepEqual(initial, snapshot)
+  })
+
+  it('throws on a move that no longer applies', () => {
+    const initial = gameState([])
+    assert.throws(
+      () => replayMoves(initial, [moves[0], moves[0]]),
+      /Move 2 cannot be replayed/
+    )
+  })
+})
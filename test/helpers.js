@@ -0,0 +1,48 @@
+// Shared fixtures for the test suites (not a test file itself)
+import { createEmptyBoard } from '../src/game.js'
+
+// Build a board from rows of space-separated cells:
+// '.' empty, '#' blocker, 'x' hole, 'R0' = Rock owned by player 0.
+// Missing cells are empty; `size` defaults to the standard 8x8.
+export function parseBoard(rows, size = {}) {
+  const board = createEmptyBoard(size.rows, size.cols)
+  rows.forEach((row, r) => {
+    row
+      .trim()
+      .split(/\s+/)
+      .forEach((tok, c) => {
+        if (tok === '#') board[r][c] = { type: 'BLOCKER' }
+        else if (tok === 'x') board[r][c] = { type: 'HOLE' }
+        else if (tok !== '.') board[r][c] = { sym: tok[0], player: +tok[1] }
+      })
+  })
+  return board
+}
+
+export function gameState(rows, overrides = {}) {
+  return {
+    settings: { tilesPerSymbol: 10, blockers: 0, pointsToWin: 7 },
+    board: parseBoard(rows),
+    turn: 0,
+    scores: [0, 0],
+    stock: [
+      { R: 10, P: 10, S: 10 },
+      { R: 10, P: 10, S: 10 },
+    ],
+    lastPlayed: {},
+    gameOver: false,
+    forfeited: [],
+    ...overrides,
+  }
+}
+
+// Deterministic PRNG (mulberry32) for blocker placement and bot choices
+export function seeded(seed) {
+  return () => {
+    seed |= 0
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  createLogger,
+  logContext,
+  traced,
+  withContext,
+} from '../src/log.js'
+
+// A logger that keeps its lines, parsed
+function capture(options = {}) {
+  const lines = []
+  const log = createLogger({
+    now: () => new Date(0),
+    write: (line) => lines.push(JSON.parse(line)),
+    ...options,
+  })
+  return { log, lines }
+}
+
+describe('createLogger', () => {
+  it('writes one JSON object per line', () => {
+    const { log, lines } = capture({ fields: { service: 'test' } })
+    log.info('room created', { roomId: 'ABC123', skipped: undefined })
+    assert.deepEqual(lines, [
+      {
+        time: '1970-01-01T00:00:00.000Z',
+        level: 'info',
+        msg: 'room created',
+        service: 'test',
+        roomId: 'ABC123',
+      },
+    ])
+  })
+
+  it('drops levels below its own', () => {
+    const { log, lines } = capture({ level: 'warn' })
+    log.debug('a')
+    log.info('b')
+    log.warn('c')
+    log.error('d')
+    assert.deepEqual(
+      lines.map((l) => l.level),
+      ['warn', 'error']
+    )
+  })
+
+  it('keeps the message and stack of errors', () => {
+    const { log, lines } = capture()
+    log.error('failed', { err: new Error('boom') })
+    assert.equal(lines[0].err.message, 'boom')
+    assert.match(lines[0].err.stack, /boom/)
+  })
+
+  it('adds child fields to every line', () => {
+    const { log, lines } = capture()
+    log.child({ instance: 'I1' }).info('hello')
+    assert.equal(lines[0].instance, 'I1')
+  })
+})
+
+describe('withContext', () => {
+  it('tags lines written inside it, across awaits', async () => {
+    const { log, lines } = capture()
+    await withContext({ cid: 'c1' }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1))
+      withContext({ roomId: 'R1' }, () => log.info('inner'))
+      log.info('outer')
+    })
+    log.info('outside')
+    assert.deepEqual(
+      lines.map(({ msg, cid, roomId }) => [msg, cid, roomId]),
+      [
+        ['inner', 'c1', 'R1'],
+        ['outer', 'c1', undefined],
+        ['outside', undefined, undefined],
+      ]
+    )
+    assert.deepEqual(logContext(), {})
+  })
+
+  it('gives every traced call its own correlation id', () => {
+    const cid = traced(() => logContext().cid)
+    const first = withContext({ cid: 'event' }, cid)
+    assert.ok(first && first !== 'event')
+    assert.notEqual(cid(), first)
+  })
+})
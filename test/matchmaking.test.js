@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { findMatches, queueStatus, recordWait } from '../src/matchmaking.js'
+
+function entry(id, players, joinedAt, rating = 1200, range = null) {
+  return { id, players, rating, range, joinedAt }
+}
+const ids = (groups) => groups.map((g) => g.map((e) => e.id))
+
+describe('findMatches', () => {
+  it('groups entries that want the same player count', () => {
+    const { matches, waiting } = findMatches([
+      entry('a', 2, 1),
+      entry('b', 3, 2),
+      entry('c', 2, 3),
+      entry('d', 3, 4),
+    ])
+    assert.deepEqual(ids(matches), [['a', 'c']])
+    assert.deepEqual(
+      waiting.map((e) => e.id),
+      ['b', 'd']
+    )
+  })
+
+  it('serves the longest waiting first', () => {
+    const { matches } = findMatches([
+      entry('late', 2, 30),
+      entry('early', 2, 10),
+      entry('middle', 2, 20),
+    ])
+    assert.deepEqual(ids(matches), [['early', 'middle']])
+  })
+
+  it('forms several games at once', () => {
+    const queue = ['a', 'b', 'c', 'd'].map((id, i) => entry(id, 2, i))
+    assert.deepEqual(ids(findMatches(queue).matches), [
+      ['a', 'b'],
+      ['c', 'd'],
+    ])
+  })
+
+  it("honours both players' rating ranges", () => {
+    const picky = entry('picky', 2, 1, 1500, 100)
+    const low = entry('low', 2, 2, 1200)
+    assert.equal(findMatches([picky, low]).matches.length, 0)
+    // the range goes both ways
+    const open = entry('open', 2, 1, 1200)
+    const strict = entry('strict', 2, 2, 1500, 50)
+    assert.equal(findMatches([open, strict]).matches.length, 0)
+    assert.deepEqual(
+      ids(findMatches([picky, entry('close', 2, 2, 1450)]).matches),
+      [['picky', 'close']]
+    )
+  })
+
+  it('skips an entry that does not fit the group so far', () => {
+    const { matches } = findMatches([
+      entry('a', 3, 1, 1200, 100),
+      entry('far', 3, 2, 1600),
+      entry('b', 3, 3, 1250),
+      entry('c', 3, 4, 1150),
+    ])
+    assert.deepEqual(ids(matches), [['a', 'b', 'c']])
+  })
+})
+
+describe('queueStatus', () => {
+  it('reports position among the same player count', () => {
+    const a = entry('a', 2, 1)
+    const b = entry('b', 4, 2)
+    const c = entry('c', 4, 3)
+    const status = queueStatus([a, b, c], c, {}, 10)
+    assert.deepEqual(status, { position: 2, waiting: 2, estimatedWaitMs: null })
+  })
+
+  it('estimates the wait from recent matches', () => {
+    const waits = {}
+    recordWait(waits, 2, 10_000)
+    recordWait(waits, 2, 20_000)
+    const a = entry('a', 2, 0)
+    assert.equal(queueStatus([a], a, waits, 5_000).estimatedWaitMs, 10_000)
+    assert.equal(queueStatus([a], a, waits, 60_000).estimatedWaitMs, 0)
+  })
+
+  it('keeps a bounded number of samples', () => {
+    const waits = {}
+    for (let i = 0; i < 50; i++) recordWait(waits, 3, i)
+    assert.equal(waits[3].length, 20)
+    assert.equal(waits[3][0], 30)
+  })
+})
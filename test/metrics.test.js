@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createRegistry } from '../src/metrics.js'
+
+describe('createRegistry', () => {
+  it('renders counters per label set', () => {
+    const metrics = createRegistry('app')
+    const rejected = metrics.counter({
+      name: 'rejected_total',
+      help: 'Refused events.',
+      labels: ['event', 'code'],
+    })
+    rejected.inc({ event: 'place', code: 'NOT_YOUR_TURN' })
+    rejected.inc({ event: 'place', code: 'NOT_YOUR_TURN' })
+    rejected.inc({ event: 'chat', code: 'MUTED', extra: 'dropped' }, 3)
+    assert.equal(
+      metrics.render(),
+      [
+        '# HELP app_rejected_total Refused events.',
+        '# TYPE app_rejected_total counter',
+        'app_rejected_total{event="place",code="NOT_YOUR_TURN"} 2',
+        'app_rejected_total{event="chat",code="MUTED"} 3',
+        '',
+      ].join('\n')
+    )
+  })
+
+  it('shows a counter without labels from the start', () => {
+    const metrics = createRegistry()
+    metrics.counter({ name: 'moves_total', help: 'Moves.' })
+    assert.ok(metrics.render().split('\n').includes('moves_total 0'))
+  })
+
+  it('renders cumulative histogram buckets', () => {
+    const metrics = createRegistry()
+    const seconds = metrics.histogram({
+      name: 'duration_seconds',
+      help: 'Time taken.',
+      buckets: [0.1, 1],
+    })
+    seconds.observe({}, 0.05)
+    seconds.observe({}, 0.5)
+    seconds.observe({}, 2)
+    assert.deepEqual(metrics.render().split('\n').slice(2, -1), [
+      'duration_seconds_bucket{le="0.1"} 1',
+      'duration_seconds_bucket{le="1"} 2',
+      'duration_seconds_bucket{le="+Inf"} 3',
+      'duration_seconds_sum 2.55',
+      'duration_seconds_count 3',
+    ])
+  })
+
+  it('reads gauges when rendering', () => {
+    const metrics = createRegistry()
+    let sockets = 1
+    metrics.gauge({ name: 'sockets', help: 'Sockets.', collect: () => sockets })
+    metrics.gauge({
+      name: 'members',
+      help: 'Members.',
+      collect: () => [
+        { labels: { role: 'player' }, value: 2 },
+        { labels: { role: 'spectator' }, value: 0 },
+      ],
+    })
+    sockets = 4
+    const lines = metrics.render().split('\n')
+    assert.ok(lines.includes('sockets 4'))
+    assert.ok(lines.includes('members{role="player"} 2'))
+    assert.ok(lines.includes('members{role="spectator"} 0'))
+  })
+
+  it('escapes label values and help text', () => {
+    const metrics = createRegistry()
+    metrics
+      .counter({ name: 'odd_total', help: 'a\\b\nc', labels: ['v'] })
+      .inc({ v: 'say "hi"\n' })
+    assert.deepEqual(metrics.render().split('\n').slice(0, 3), [
+      '# HELP odd_total a\\\\b\\nc',
+      '# TYPE odd_total counter',
+      'odd_total{v="say \\"hi\\"\\n"} 1',
+    ])
+  })
+
+  it('refuses a name twice', () => {
+    const metrics = createRegistry()
+    metrics.counter({ name: 'x_total', help: 'X.' })
+    assert.throws(() => metrics.counter({ name: 'x_total', help: 'X.' }))
+  })
+})
@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { applyMove, createGame } from '../src/game.js'
+import { exportGame, importGame } from '../src/notation.js'
+import { seeded } from './helpers.js'
+
+const SETTINGS = {
+  rows: 6,
+  cols: 7,
+  layout: 'octagon',
+  tilesPerSymbol: 10,
+  blockers: 4,
+  pointsToWin: 2,
+  rules: { symbolSet: 'rpsls', lineScoring: 'length' },
+}
+
+// Play `moves` from a fresh game and build the record the server archives
+function play(moves, settings = SETTINGS, players = ['Ann', 'Bob']) {
+  const initial = createGame(settings, players.length, { random: seeded(3) })
+  let state = initial
+  let result = null
+  const played = moves.map((m) => {
+    const move = { ...m, player: state.turn }
+    const res = applyMove(state, move)
+    assert.equal(res.error, undefined, JSON.stringify(res.error))
+    state = res.state
+    const over = res.events.find((e) => e.type === 'gameOver')
+    if (over) result = { reason: over.reason, winners: over.winners }
+    return move
+  })
+  const record = {
+    roomId: 'ROOM01',
+    endedAt: Date.UTC(2026, 9, 19),
+    players,
+    initial,
+    moves: played,
+    result,
+  }
+  return { record, final: state }
+}
+
+const place = (r, c, sym) => ({ type: 'place', r, c, sym })
+const GAME = [
+  place(2, 2, 'R'),
+  place(2, 4, 'S'),
+  place(2, 3, 'R'), // pair R R takes the S: 1 point
+  { type: 'pass' },
+  place(3, 3, 'L'),
+  { type: 'forfeit' },
+]
+
+describe('exportGame', () => {
+  it('writes tags and numbered moves', () => {
+    const text = exportGame(play(GAME).record)
+    assert.match(text, /^\[Event "Ric Pac Soe"\]\n/)
+    assert.match(text, /\[Date "2026-10-19"\]/)
+    assert.match(text, /\[P2 "Bob"\]/)
+    assert.match(text, /\[Board "6x7 octagon"\]/)
+    assert.match(text, /symbolSet=rpsls/)
+    assert.match(text, /\[Termination "forfeit"\]\n\[Result "P1"\]/)
+    assert.match(text, /\n\n1\. R@c3 2\. S@e3 3\. R@d3 4\. -- 5\. L@d4 6\. forfeit\n$/)
+    assert.doesNotMatch(text, /\[Scores /)
+  })
+
+  it('escapes quotes in names', () => {
+    const { record } = play([], SETTINGS, ['Ann "the rock"', 'B\\ob'])
+    const text = exportGame(record)
+    assert.match(text, /\[P1 "Ann \\"the rock\\""\]/)
+    assert.deepEqual(importGame(text).record.players, [
+      'Ann "the rock"',
+      'B\\ob',
+    ])
+  })
+})
+
+describe('importGame', () => {
+  it('round-trips a finished game', () => {
+    const { record, final } = play(GAME)
+    const { record: back, error } = importGame(exportGame(record))
+    assert.equal(error, undefined)
+    assert.deepEqual(back.players, ['Ann', 'Bob'])
+    assert.deepEqual(back.initial.board, record.initial.board)
+    assert.deepEqual(back.moves, record.moves)
+    assert.deepEqual(back.result, record.result)
+    assert.deepEqual(back.final.board, final.board)
+    assert.deepEqual(back.final.scores, final.scores)
+    assert.equal(back.roomId, 'ROOM01')
+  })
+
+  it('keeps team settings and a position that is not a fresh deal', () => {
+    const settings = { ...SETTINGS, teams: true, layout: 'classic' }
+    const { record } = play([], settings, ['A', 'B', 'C', 'D'])
+    record.initial.board[0][0] = { player: 1, sym: 'P' }
+    record.initial.scores = [0, 2, 0, 1]
+    record.initial.stock[1].P = 9
+    record.initial.turn = record.initial.slot = 2
+    const text = exportGame(record)
+    assert.match(text, /\[Scores "0 2 0 1"\]/)
+    assert.match(text, /\[Turn "3"\]/)
+
+    const { record: back } = importGame(`${text}1. R@a2`)
+    assert.equal(back.initial.settings.teams, true)
+    assert.deepEqual(back.initial.board[0][0], { player: 1, sym: 'P' })
+    assert.deepEqual(back.initial.stock, record.initial.stock)
+    assert.equal(back.moves[0].player, 2)
+    // R next to a lone P: no score, turn passes to the next team
+    assert.equal(back.final.turn, 3)
+  })
+
+  it('accepts hand-written games without numbers, with comments', () => {
+    const text = `[P1 "Ann"]
+[P2 "Bob"]
+[Board "8x8"]
+
+R@a1 {a quiet start} S@h8
+R@b1 *`
+    const { record } = importGame(text)
+    assert.equal(record.moves.length, 3)
+    assert.equal(record.result, null)
+    assert.equal(record.initial.board.flat().filter(Boolean).length, 0)
+  })
+
+  it('reports what is wrong', () => {
+    const head = '[P1 "Ann"]\n[P2 "Bob"]\n[Board "8x8"]\n\n'
+    const bad = (text, pattern) => {
+      const { error } = importGame(text)
+      assert.equal(error.code, 'BAD_NOTATION')
+      assert.match(error.message, pattern)
+    }
+    bad('[P1 "Ann"]\n[Board "8x8"]', /2 to 4 players/)
+    bad('[P1 "Ann"]\n[P2 "Bob"]', /Board tag/)
+    bad('[P1 "A"]\n[P2 "B"]\n[Board "3x8"]', /rows must be between/)
+    bad('[P1 "A"]\n[P2 "B"]\n[Board "8x8"]\n[Settings "teams=true"]', /4 players/)
+    bad(`${head}1. R@a1 2. S@a1`, /Move 2 \(S@a1\): Cell occupied/)
+    bad(`${head}1. Q@a1`, /Move 1 \(Q@a1\): Unknown symbol/)
+    bad(`${head}1. jump`, /Move 1: unknown move "jump"/)
+    bad(
+      '[P1 "A"]\n[P2 "B"]\n[Board "6x6"]\n[Position "6/6/6"]',
+      /Position has 3 rows/
+    )
+  })
+})
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { RATE_LIMITS, createRateLimiter } from '../src/ratelimit.js'
+
+describe('createRateLimiter', () => {
+  it('allows a burst, then refills over time', () => {
+    const limiter = createRateLimiter({ burst: 3, perSecond: 2 })
+    const takes = (now, n) =>
+      Array.from({ length: n }, () => limiter.take('a', now))
+    assert.deepEqual(takes(0, 4), [true, true, true, false])
+    assert.deepEqual(takes(499, 1), [false])
+    assert.deepEqual(takes(500, 2), [true, false])
+    // never more than the burst, however long the key was idle
+    assert.deepEqual(takes(60_000, 4), [true, true, true, false])
+  })
+
+  it('keeps keys apart', () => {
+    const limiter = createRateLimiter({ burst: 1, perSecond: 1 })
+    assert.equal(limiter.take('a', 0), true)
+    assert.equal(limiter.take('a', 0), false)
+    assert.equal(limiter.take('b', 0), true)
+    limiter.forget('a')
+    assert.equal(limiter.take('a', 0), true)
+  })
+
+  it('prunes buckets that have refilled', () => {
+    const limiter = createRateLimiter({ burst: 2, perSecond: 1 })
+    limiter.take('a', 0)
+    limiter.take('b', 0)
+    limiter.take('b', 0)
+    limiter.prune(1000)
+    assert.equal(limiter.size, 1) // b is still one token short
+    limiter.prune(2000)
+    assert.equal(limiter.size, 0)
+  })
+})
+
+describe('RATE_LIMITS', () => {
+  it('lets a room creator through but stops a flood', () => {
+    const limiter = createRateLimiter(RATE_LIMITS.createRoom)
+    const allowed = Array.from({ length: 20 }, () => limiter.take('ip', 0))
+    assert.equal(allowed.filter(Boolean).length, RATE_LIMITS.createRoom.burst)
+  })
+})
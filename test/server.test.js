@@ -0,0 +1,581 @@
+import { after, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { once } from 'node:events'
+import { io as connectClient } from 'socket.io-client'
+
+import { applyPatch } from '../src/statediff.js'
+
+// The server reads its settings on import: a free port, in-memory stores,
+// seats freed quickly and bots that don't wait. The clients play a proxy
+// that appends their address to X-Forwarded-For.
+Object.assign(process.env, {
+  PORT: '0',
+  TRUST_PROXY: '1',
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  RECONNECT_GRACE_MS: '200',
+  BOT_DELAY_MS: '0',
+})
+const { close, server } = await import('../server.js')
+if (!server.listening) await once(server, 'listening')
+const url = `http://localhost:${server.address().port}`
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/* -------------------------
+   Clients
+-------------------------- */
+const clients = []
+let addresses = 0
+
+// A socket.io client that keeps its room state up to date from `state` and
+// `statePatch`. Every client comes from its own address, so per-address
+// limits and bans don't carry over between tests; `spoofed` is what the
+// client itself wrote in X-Forwarded-For before the proxy's entry.
+async function connect({ address = `10.0.0.${++addresses}`, spoofed } = {}) {
+  const forwarded = spoofed ? `${spoofed}, ${address}` : address
+  const socket = connectClient(url, {
+    transports: ['websocket'],
+    extraHeaders: { 'x-forwarded-for': forwarded },
+    forceNew: true,
+    reconnection: false,
+  })
+  const client = { socket, address, state: null, you: null, inbox: null }
+  socket.on('you', (you) => (client.you = you))
+  socket.on('inbox', (inbox) => (client.inbox = inbox))
+  socket.on('state', (state) => (client.state = state))
+  socket.on('statePatch', ({ seq, ops }) => {
+    if (client.state && seq === client.state.seq + 1)
+      client.state = { ...applyPatch(client.state, ops), seq }
+    else if (client.state)
+      client.ask('requestState', { roomId: client.state.id })
+  })
+  client.ask = (event, payload = {}) =>
+    new Promise((resolve) => socket.emit(event, payload, resolve))
+  clients.push(client)
+  await once(socket, 'connect')
+  return client
+}
+
+// Resolves once `check(client.state)` holds; fails after `ms`
+async function until(client, check, ms = 2000) {
+  const deadline = Date.now() + ms
+  while (!(client.state && check(client.state))) {
+    if (Date.now() > deadline) assert.fail('timed out waiting for the state')
+    await wait(10)
+  }
+  return client.state
+}
+
+async function expectOk(promise) {
+  const res = await promise
+  assert.deepEqual(res, { ok: true })
+}
+
+async function expectError(promise, code) {
+  const res = await promise
+  assert.equal(res.ok, false)
+  assert.equal(res.error.code, code)
+}
+
+// Create a room and take its first seat: {roomId, invite}
+async function openRoom(host, options = {}) {
+  const created = once(host.socket, 'roomCreated')
+  await expectOk(host.ask('createRoom', options))
+  const [{ id: roomId, invite }] = await created
+  await join(host, roomId, { name: 'Host', invite })
+  return { roomId, invite }
+}
+
+async function join(client, roomId, options = {}) {
+  await expectOk(client.ask('joinRoom', { roomId, ...options }))
+  await expectOk(client.ask('requestState', { roomId }))
+  return until(client, (s) => s.id === roomId)
+}
+
+// Play the first move that goes through for whoever's turn it is
+async function playAnyMove(players) {
+  const state = players[0].state
+  const player = players.find((p) => p.you.index === state.turn)
+  const stock = state.stock[state.turn]
+  for (const sym of Object.keys(stock).filter((k) => stock[k] > 0))
+    for (const [r, row] of state.board.entries())
+      for (const [c, cell] of row.entries()) {
+        if (cell) continue
+        const move = { roomId: state.id, r, c, sym }
+        if ((await player.ask('placePiece', move)).ok) return
+      }
+  assert.fail('no legal move')
+}
+
+// A short game (one tile of each symbol) played to the end
+async function playOut(players) {
+  const moveCount = () => players[0].state.moveCount
+  while (!players[0].state.gameOver) {
+    const before = moveCount()
+    await playAnyMove(players)
+    await until(players[0], (s) => s.gameOver || s.moveCount > before)
+    for (const p of players)
+      await until(p, (s) => s.moveCount === moveCount())
+  }
+}
+
+const SHORT_GAME = { blockers: 0, tilesPerSymbol: 1, pointsToWin: 99 }
+
+function signUp(username, address = `10.0.1.${++addresses}`) {
+  return fetch(`${url}/api/accounts`, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-forwarded-for': address,
+    },
+    body: JSON.stringify({ username }),
+  })
+}
+
+async function register(username) {
+  const res = await signUp(username)
+  assert.equal(res.status, 201)
+  return (await res.json()).token
+}
+
+after(async () => {
+  for (const client of clients) client.socket.close()
+  await close()
+})
+
+/* -------------------------
+   Tests
+-------------------------- */
+describe('reconnecting', () => {
+  it('holds a dropped seat and gives it back with the token', async () => {
+    const host = await connect()
+    const { roomId, invite } = await openRoom(host)
+    const guest = await connect()
+    await join(guest, roomId, { name: 'Guest', invite })
+    const { token, index } = guest.you
+
+    guest.socket.close()
+    await until(host, (s) => s.players[index].connected === false)
+
+    const back = await connect()
+    await expectOk(back.ask('rejoinRoom', { roomId, token }))
+    assert.equal(back.you.index, index)
+    await until(host, (s) => s.players[index].connected === true)
+  })
+
+  it('frees the seat once the grace period is over', async () => {
+    const host = await connect()
+    const { roomId, invite } = await openRoom(host)
+    const guest = await connect()
+    await join(guest, roomId, { name: 'Guest', invite })
+    const { token } = guest.you
+
+    guest.socket.close()
+    await until(host, (s) => s.players.length === 1)
+    const late = await connect()
+    await expectError(
+      late.ask('rejoinRoom', { roomId, token }),
+      'SEAT_NOT_FOUND'
+    )
+  })
+})
+
+// Seat `names` in the host's room and start a game with `settings`;
+// returns the players in seat order
+async function startTable(host, names, settings = {}) {
+  const { roomId, invite } = await openRoom(host)
+  const players = [host]
+  for (const name of names) {
+    const client = await connect()
+    await join(client, roomId, { name, invite })
+    players.push(client)
+  }
+  await expectOk(host.ask('newGame', { roomId, blockers: 0, ...settings }))
+  for (const client of players.slice(1))
+    await expectOk(client.ask('setReady', { roomId, ready: true }))
+  for (const client of players) await until(client, (s) => s.started)
+  return players
+}
+
+// Who owns each board cell, row by row (null for empty cells)
+const owners = (state) => state.board.flat().map((cell) => cell?.player)
+
+describe('seats freed mid-game', () => {
+  it('forfeit once the grace period is over, keeping the board', async () => {
+    const host = await connect()
+    const players = await startTable(host, ['Bo', 'Cy'])
+    for (let i = 0; i < 3; i++) {
+      await playAnyMove(players)
+      await until(host, (s) => s.moveCount === i + 1)
+      for (const p of players) await until(p, (s) => s.moveCount === i + 1)
+    }
+    const before = host.state
+    assert.equal(before.turn, 0)
+
+    players[1].socket.close()
+    const state = await until(host, (s) => s.forfeited.includes(1))
+    assert.equal(state.started, true)
+    assert.equal(state.gameOver, false)
+    assert.deepEqual(
+      state.players.map((p) => [p.name, p.left]),
+      [
+        ['Host', false],
+        ['Bo', true],
+        ['Cy', false],
+      ]
+    )
+    assert.deepEqual(owners(state), owners(before))
+    assert.deepEqual(state.lastPlayed, before.lastPlayed)
+    assert.equal(state.turn, 0)
+
+    await playAnyMove(players)
+    assert.equal((await until(host, (s) => s.moveCount === 5)).turn, 2)
+  })
+
+  it('forfeit when the host kicks mid-game', async () => {
+    const host = await connect()
+    const players = await startTable(host, ['Bo', 'Cy'])
+    await playAnyMove(players)
+    await until(host, (s) => s.moveCount === 1)
+    const before = host.state
+
+    await expectOk(host.ask('kickPlayer', { roomId: before.id, index: 2 }))
+    const state = await until(host, (s) => s.forfeited.includes(2))
+    assert.equal(state.gameOver, false)
+    assert.equal(state.players[2].left, true)
+    assert.equal(state.turn, 1)
+    assert.deepEqual(owners(state), owners(before))
+  })
+
+  it('go before the next game', async () => {
+    const host = await connect()
+    const players = await startTable(host, ['Bo', 'Cy'], SHORT_GAME)
+    const roomId = host.state.id
+    players[1].socket.close()
+    await until(host, (s) => s.players[1].left)
+    const stay = [host, players[2]]
+    await playOut(stay)
+    assert.equal(host.state.players.length, 3)
+
+    for (const client of stay)
+      await expectOk(client.ask('voteRematch', { roomId, accept: true }))
+    const state = await until(host, (s) => !s.gameOver && s.moveCount === 0)
+    assert.deepEqual(
+      state.players.map((p) => p.name),
+      ['Host', 'Cy']
+    )
+    await until(players[2], () => players[2].you.index === 1)
+  })
+})
+
+describe('team games', () => {
+  it('go on with a teammate standing in for a freed seat', async () => {
+    const host = await connect()
+    const { roomId, invite } = await openRoom(host)
+    const others = []
+    for (const name of ['Bo', 'Cy', 'Di']) {
+      const client = await connect()
+      await join(client, roomId, { name, invite })
+      others.push(client)
+    }
+    await expectOk(host.ask('newGame', { roomId, teams: true, blockers: 0 }))
+    for (const client of others)
+      await expectOk(client.ask('setReady', { roomId, ready: true }))
+    await until(host, (s) => s.started)
+
+    others[0].socket.close()
+    const state = await until(host, (s) => s.forfeited.includes(1))
+    assert.equal(state.started, true)
+    assert.equal(state.gameOver, false)
+    assert.equal(state.players.length, 4)
+  })
+})
+
+describe('host controls', () => {
+  it('keeps starting and kicking to the host', async () => {
+    const host = await connect()
+    const { roomId, invite } = await openRoom(host)
+    const guest = await connect()
+    await join(guest, roomId, { name: 'Guest', invite })
+
+    await expectError(guest.ask('newGame', { roomId }), 'NOT_HOST')
+    await expectError(
+      guest.ask('kickPlayer', { roomId, index: 0 }),
+      'NOT_HOST'
+    )
+    await expectOk(host.ask('kickPlayer', { roomId, index: 1, ban: true }))
+    await until(host, (s) => s.players.length === 1)
+
+    // a new connection from the same address stays out, whatever it claims
+    const again = await connect({ address: guest.address })
+    await expectError(again.ask('joinRoom', { roomId, invite }), 'BANNED')
+    const spoofing = await connect({
+      address: guest.address,
+      spoofed: '203.0.113.7',
+    })
+    await expectError(spoofing.ask('joinRoom', { roomId, invite }), 'BANNED')
+  })
+
+  it('refuses joins to a locked room', async () => {
+    const host = await connect()
+    const { roomId, invite } = await openRoom(host)
+    await expectOk(host.ask('lockRoom', { roomId, locked: true }))
+    const guest = await connect()
+    await expectError(
+      guest.ask('joinRoom', { roomId, invite }),
+      'ROOM_LOCKED'
+    )
+  })
+})
+
+describe('rate limits', () => {
+  it('hold for a client that rewrites X-Forwarded-For', async () => {
+    const address = '10.0.2.1'
+    const codes = []
+    for (let i = 0; i < 4; i++) {
+      const client = await connect({ address, spoofed: `203.0.113.${i}` })
+      const res = await client.ask('createRoom', {})
+      codes.push(res.ok ? 'ok' : res.error.code)
+    }
+    assert.deepEqual(codes, ['ok', 'ok', 'ok', 'RATE_LIMITED'])
+  })
+
+  it('cover signing up', async () => {
+    const statuses = []
+    for (let i = 0; i < 6; i++)
+      statuses.push((await signUp(`limited${i}`, '10.0.2.2')).status)
+    assert.deepEqual(statuses, [201, 201, 201, 201, 201, 429])
+  })
+
+  it('cover game reviews, which are worked out once', async () => {
+    const host = await connect()
+    const players = await startTable(host, ['Bo'], SHORT_GAME)
+    await playOut(players)
+    const { gameId } = await until(host, (s) => s.gameId)
+    const review = () =>
+      fetch(`${url}/api/games/${gameId}/analysis`, {
+        headers: { 'x-forwarded-for': '10.0.2.3' },
+      })
+    const first = await review()
+    assert.equal(first.status, 200)
+    const body = await first.json()
+    assert.equal(body.moves.length, host.state.moveCount)
+    const statuses = []
+    for (let i = 0; i < 5; i++) {
+      const res = await review()
+      statuses.push(res.status)
+      if (res.ok) assert.deepEqual(await res.json(), body)
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 429])
+  })
+})
+
+describe('private rooms', () => {
+  it('lets in invites only', async () => {
+    const host = await connect()
+    const { roomId } = await openRoom(host, { private: true })
+    const stranger = await connect()
+    await expectError(
+      stranger.ask('joinRoom', { roomId }),
+      'INVITE_REQUIRED'
+    )
+    const created = once(host.socket, 'invite')
+    await expectOk(host.ask('createInvite', { roomId }))
+    const [{ token: invite }] = await created
+    const friend = await connect()
+    await join(friend, roomId, { name: 'Friend', invite })
+    // invites are single-use
+    await expectError(
+      stranger.ask('joinRoom', { roomId, invite }),
+      'INVITE_REQUIRED'
+    )
+  })
+
+  it('asks for the password', async () => {
+    const host = await connect()
+    const { roomId } = await openRoom(host, { password: 'hunter22' })
+    const guest = await connect()
+    await expectError(guest.ask('joinRoom', { roomId }), 'PASSWORD_REQUIRED')
+    await expectError(
+      guest.ask('joinRoom', { roomId, password: 'nope' }),
+      'BAD_PASSWORD'
+    )
+    await join(guest, roomId, { name: 'Guest', password: 'hunter22' })
+  })
+})
+
+describe('ready check and rematch', () => {
+  it('starts once every seat is ready, and again on a rematch', async () => {
+    const host = await connect()
+    const { roomId, invite } = await openRoom(host)
+    const guest = await connect()
+    await join(guest, roomId, { name: 'Guest', invite })
+
+    await expectOk(host.ask('newGame', { roomId, ...SHORT_GAME }))
+    let state = await until(host, (s) => s.players[0].ready)
+    assert.equal(state.started, false)
+    await expectOk(guest.ask('setReady', { roomId, ready: true }))
+    await until(host, (s) => s.started)
+    await until(guest, (s) => s.started)
+
+    await playOut([host, guest])
+    state = host.state
+    assert.equal(state.series.games, 1)
+    await expectError(
+      guest.ask('setReady', { roomId, ready: true }),
+      'GAME_OVER'
+    )
+
+    await expectOk(host.ask('voteRematch', { roomId, accept: true }))
+    await expectOk(guest.ask('voteRematch', { roomId, accept: true }))
+    await until(host, (s) => !s.gameOver && s.moveCount === 0)
+  })
+
+  it('waits for a second player when the host starts alone', async () => {
+    const host = await connect()
+    const { roomId, invite } = await openRoom(host)
+
+    await expectOk(host.ask('newGame', { roomId, ...SHORT_GAME }))
+    const state = await until(host, (s) => s.players[0].ready)
+    assert.equal(state.started, false)
+    assert.equal(state.message, 'Waiting for another player.')
+
+    const guest = await connect()
+    await join(guest, roomId, { name: 'Guest', invite })
+    await expectOk(guest.ask('setReady', { roomId, ready: true }))
+    await until(host, (s) => s.started && s.players.length === 2)
+  })
+})
+
+describe('spectators', () => {
+  it('see the game settings.spectatorDelay seconds late', async () => {
+    const host = await connect()
+    const { roomId, invite } = await openRoom(host)
+    const guest = await connect()
+    await join(guest, roomId, { name: 'Guest', invite })
+    await expectOk(host.ask('updateSettings', { roomId, spectatorDelay: 1 }))
+    await expectOk(host.ask('newGame', { roomId, ...SHORT_GAME }))
+    await expectOk(guest.ask('setReady', { roomId, ready: true }))
+    await until(guest, (s) => s.started)
+    const watcher = await connect()
+    await join(watcher, roomId, { name: 'Watcher', asSpectator: true })
+    assert.equal(watcher.you.role, 'spectator')
+
+    await playAnyMove([host, guest])
+    await until(host, (s) => s.moveCount === 1)
+    await wait(300)
+    assert.equal(watcher.state.moveCount, 0)
+    await until(watcher, (s) => s.moveCount === 1, 2000)
+  })
+})
+
+describe('hints', () => {
+  it('answer on the biggest board, and are rate limited', async () => {
+    const host = await connect()
+    const { roomId, invite } = await openRoom(host)
+    const guest = await connect()
+    await join(guest, roomId, { name: 'Guest', invite })
+    const big = { rows: 12, cols: 12, rules: { symbolSet: 'rpsls' } }
+    await expectOk(host.ask('newGame', { roomId, ...big }))
+    await expectOk(guest.ask('setReady', { roomId, ready: true }))
+    const { turn } = await until(host, (s) => s.started)
+    const player = [host, guest][turn]
+
+    const hint = once(player.socket, 'hint')
+    await expectOk(player.ask('requestHint', { roomId }))
+    assert.equal((await hint)[0].moves.length, 3)
+    const codes = []
+    for (let i = 0; i < 3; i++) {
+      const res = await player.ask('requestHint', { roomId })
+      codes.push(res.ok ? 'ok' : res.error.code)
+    }
+    assert.deepEqual(codes, ['ok', 'ok', 'RATE_LIMITED'])
+  })
+})
+
+describe('matchmaking', () => {
+  it('seats a full group, leaving out whoever dropped', async () => {
+    const gone = await connect()
+    await expectOk(gone.ask('queueForMatch', { players: 2 }))
+    gone.socket.close()
+    await wait(50)
+    const pair = [await connect(), await connect()]
+    const found = pair.map((c) => once(c.socket, 'matchFound'))
+    for (const c of pair)
+      await expectOk(c.ask('queueForMatch', { players: 2, name: 'Match' }))
+    const [[a], [b]] = await Promise.all(found)
+    assert.equal(a.roomId, b.roomId)
+    await expectOk(pair[0].ask('requestState', { roomId: a.roomId }))
+    const state = await until(pair[0], (s) => s.id === a.roomId)
+    assert.equal(state.players.length, 2)
+    assert.ok(state.started)
+  })
+})
+
+describe('names', () => {
+  it('refuses markup for players and spectators alike', async () => {
+    const host = await connect()
+    const { roomId, invite } = await openRoom(host)
+    const name = '<svg onload=alert(1)>'
+    const guest = await connect()
+    await expectError(
+      guest.ask('joinRoom', { roomId, name, invite }),
+      'INVALID_PAYLOAD'
+    )
+    await expectError(
+      guest.ask('joinRoom', { roomId, name, asSpectator: true }),
+      'INVALID_PAYLOAD'
+    )
+    await join(guest, roomId, { name: 'Guest', invite })
+    const state = await until(host, (s) => s.players.length === 2)
+    assert.equal(state.players[1].name, 'Guest')
+    assert.deepEqual(state.spectators, [])
+  })
+})
+
+describe('correspondence', () => {
+  it('seats accounts only and keeps their seats while away', async () => {
+    const annToken = await register('corrann')
+    const ann = await connect()
+    await expectOk(ann.ask('authenticate', { token: annToken }))
+    const bobToken = await register('corrbob')
+    const bob = await connect()
+    await expectOk(bob.ask('authenticate', { token: bobToken }))
+
+    const { roomId, invite } = await openRoom(ann)
+    await expectOk(ann.ask('updateSettings', { roomId, moveHours: 24 }))
+    const guest = await connect()
+    await expectError(
+      guest.ask('joinRoom', { roomId, invite }),
+      'SIGN_IN_REQUIRED'
+    )
+    await join(bob, roomId, { name: 'Bob', invite })
+    await expectOk(
+      ann.ask('newGame', { roomId, blockers: 0, firstPlayer: 'fixed' })
+    )
+    await expectOk(bob.ask('setReady', { roomId, ready: true }))
+    await until(ann, (s) => s.started && s.turn === 0)
+    assert.deepEqual(
+      ann.inbox.map((row) => row.roomId),
+      [roomId]
+    )
+
+    // Ann goes away for longer than the grace period: her seat waits
+    ann.socket.close()
+    await wait(400)
+    await until(bob, (s) => s.players[0].connected === false)
+    assert.equal(bob.state.players.length, 2)
+
+    // ...and is hers again when she signs in and comes back
+    const back = await connect()
+    await expectOk(back.ask('authenticate', { token: annToken }))
+    assert.deepEqual(
+      back.inbox.map((row) => row.roomId),
+      [roomId]
+    )
+    await join(back, roomId)
+    assert.equal(back.you.index, 0)
+    await until(bob, (s) => s.players[0].connected === true)
+  })
+})
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+
+import { applyPatch, diffState } from '../src/statediff.js'
+
+function room(overrides = {}) {
+  return {
+    id: 'ROOM01',
+    turn: 0,
+    scores: [0, 0],
+    board: [
+      [null, null],
+      [null, { sym: 'R', by: 0 }],
+    ],
+    chat: [
+      { id: 1, type: 'system', text: 'Ann joined.' },
+      { id: 2, type: 'text', name: 'Ann', text: 'hi' },
+    ],
+    highlights: [],
+    ...overrides,
+  }
+}
+
+describe('diffState', () => {
+  it('is empty when nothing changed', () => {
+    assert.deepEqual(diffState(room(), room()), [])
+  })
+
+  it('sends a move as the cells and fields it changed', () => {
+    const before = room()
+    const after = room({
+      turn: 1,
+      scores: [1, 0],
+      highlights: [{ cells: [{ r: 0, c: 0 }], by: 0 }],
+    })
+    after.board[0][1] = { sym: 'S', by: 0 }
+    const ops = diffState(before, after)
+    assert.deepEqual(ops, [
+      { op: 'set', key: 'turn', value: 1 },
+      { op: 'set', key: 'scores', value: [1, 0] },
+      { op: 'cells', cells: [{ r: 0, c: 1, value: { sym: 'S', by: 0 } }] },
+      { op: 'set', key: 'highlights', value: after.highlights },
+    ])
+    assert.deepEqual(applyPatch(before, ops), after)
+  })
+
+  it('replaces a board of another size', () => {
+    const after = room({ board: [[null]] })
+    assert.deepEqual(diffState(room(), after), [
+      { op: 'set', key: 'board', value: [[null]] },
+    ])
+  })
+
+  it('sends new, changed and dropped chat messages by id', () => {
+    const before = room()
+    const after = room({
+      chat: [
+        { id: 2, type: 'text', name: 'Ann', text: 'hi', hidden: true },
+        { id: 3, type: 'text', name: 'Bo', text: 'yo' },
+      ],
+    })
+    const ops = diffState(before, after)
+    assert.deepEqual(ops, [
+      { op: 'chat', key: 'chat', since: 2, upsert: after.chat },
+    ])
+    assert.deepEqual(applyPatch(before, ops), after)
+    // a message the client already got on its own is not doubled
+    const live = { ...before, chat: [...before.chat, after.chat[1]] }
+    assert.deepEqual(applyPatch(live, ops).chat, after.chat)
+  })
+
+  it('clears an emptied chat', () => {
+    const after = room({ chat: [] })
+    assert.deepEqual(applyPatch(room(), diffState(room(), after)), after)
+  })
+
+  it('drops fields the new state no longer has', () => {
+    const before = room({ spectatorChat: [] })
+    const ops = diffState(before, room())
+    assert.deepEqual(ops, [{ op: 'unset', key: 'spectatorChat' }])
+    assert.deepEqual(applyPatch(before, ops), room())
+  })
+
+  it('leaves the old state alone', () => {
+    const before = room()
+    const after = room()
+    after.board[0][0] = { sym: 'P', by: 1 }
+    applyPatch(before, diffState(before, after))
+    assert.equal(before.board[0][0], null)
+  })
+})
+
+// The page's own copy of applyPatch (public/index.html is a plain script)
+function clientApplyPatch() {
+  const page = readFileSync(
+    new URL('../public/index.html', import.meta.url),
+    'utf8'
+  )
+  const source = page.match(
+    /^ *function applyPatch\(state, ops\) \{\n[\s\S]*?^ {6}\}$/m
+  )
+  assert.ok(source, 'applyPatch not found in public/index.html')
+  return new Function(`${source[0]}\nreturn applyPatch`)()
+}
+
+describe('the client applyPatch', () => {
+  it('gives the same states as the server module', () => {
+    const clientPatch = clientApplyPatch()
+    const moved = room({ turn: 1 })
+    moved.board[0][0] = { sym: 'P', by: 1 }
+    const steps = [
+      room(),
+      moved,
+      room({ board: [[null]], spectatorChat: [{ id: 1, text: 'hey' }] }),
+      room({
+        chat: [
+          { id: 2, type: 'text', name: 'Ann', text: 'hi', hidden: true },
+          { id: 3, type: 'text', name: 'Bo', text: 'yo' },
+        ],
+      }),
+      room({
+        chat: [
+          { id: 2, type: 'text', name: 'Ann', text: 'hi', hidden: true },
+          { id: 3, type: 'text', name: 'Bo', text: 'yo' },
+          { id: 4, type: 'system', text: 'Bo left.' },
+        ],
+      }),
+      room({ chat: [] }),
+    ]
+    let server = steps[0]
+    let client = steps[0]
+    for (const next of steps.slice(1)) {
+      const ops = diffState(server, next)
+      server = applyPatch(server, ops)
+      client = clientPatch(client, ops)
+      assert.deepEqual(client, server)
+      assert.deepEqual(server, next)
+    }
+  })
+})
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+
+import {
+  createFileStore,
+  createMemoryStore,
+  createAccountStore,
+  createGameStore,
+  createRoomStore,
+  createTournamentStore,
+} from '../src/store.js'
+
+function room(id, extra = {}) {
+  return {
+    id,
+    players: [{ name: 'Ann', token: 't1', connected: true }],
+    scores: [3],
+    chat: [{ name: 'Ann', text: 'hi', time: 1 }],
+    turn: 0,
+    ...extra,
+  }
+}
+
+describe('createMemoryStore', () => {
+  it('round-trips snapshots and removes rooms', async () => {
+    const store = createMemoryStore()
+    const r = room('ABC123')
+    await store.save(r)
+    r.scores[0] = 99 // later mutation doesn't leak into the snapshot
+    assert.deepEqual(await store.loadAll(), [room('ABC123')])
+    await store.remove('ABC123')
+    assert.deepEqual(await store.loadAll(), [])
+  })
+
+  it('loads one record by id', async () => {
+    const store = createMemoryStore()
+    await store.save(room('ABC123'))
+    assert.deepEqual(await store.load('ABC123'), room('ABC123'))
+    assert.equal(await store.load('NOPE00'), null)
+  })
+})
+
+describe('createFileStore', () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'rps-store-'))
+  })
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('writes one file per room and reloads them', async () => {
+    const store = createFileStore(dir)
+    store.save(room('AAA111'))
+    store.save(room('BBB222', { turn: 1 }))
+    await store.flush()
+
+    assert.deepEqual((await readdir(dir)).sort(), ['AAA111.json', 'BBB222.json'])
+    const loaded = await createFileStore(dir).loadAll()
+    assert.deepEqual(
+      loaded.sort((a, b) => a.id.localeCompare(b.id)),
+      [room('AAA111'), room('BBB222', { turn: 1 })]
+    )
+  })
+
+  it('keeps the latest of several queued writes', async () => {
+    const store = createFileStore(dir)
+    const r = room('AAA111')
+    for (let i = 0; i < 5; i++) {
+      r.turn = i
+      store.save(r)
+    }
+    await store.flush()
+    const [loaded] = await store.loadAll()
+    assert.equal(loaded.turn, 4)
+  })
+
+  it('removes a room after its pending writes', async () => {
+    const store = createFileStore(dir)
+    store.save(room('AAA111'))
+    store.remove('AAA111')
+    await store.flush()
+    assert.deepEqual(await readdir(dir), [])
+  })
+
+  it('keeps odd room ids inside the directory', async () => {
+    const store = createFileStore(dir)
+    await store.save(room('../escape'))
+    assert.deepEqual(await readdir(dir), ['..%2Fescape.json'])
+    assert.equal((await store.loadAll())[0].id, '../escape')
+  })
+
+  it('skips unreadable files on load', async () => {
+    await writeFile(path.join(dir, 'broken.json'), '{nope')
+    await writeFile(path.join(dir, 'notes.txt'), 'ignore me')
+    const store = createFileStore(dir)
+    await store.save(room('AAA111'))
+    assert.deepEqual(
+      (await store.loadAll()).map((r) => r.id),
+      ['AAA111']
+    )
+  })
+
+  it('loads one record once its writes have landed', async () => {
+    const store = createFileStore(dir)
+    store.save(room('AAA111', { turn: 3 }))
+    assert.equal((await store.load('AAA111')).turn, 3)
+    assert.equal(await store.load('BBB222'), null)
+  })
+
+  it('creates the directory on first load', async () => {
+    const nested = path.join(dir, 'a', 'b')
+    assert.deepEqual(await createFileStore(nested).loadAll(), [])
+  })
+})
+
+describe('createRoomStore', () => {
+  it('picks the store from ROOM_STORE', () => {
+    assert.equal(createRoomStore({}).kind, 'memory')
+    assert.equal(createRoomStore({ ROOM_STORE: 'file' }).kind, 'file')
+    assert.throws(() => createRoomStore({ ROOM_STORE: 'redis' }), /redis/)
+  })
+})
+
+describe('createAccountStore', () => {
+  it('picks the store from ACCOUNT_STORE', () => {
+    assert.equal(createAccountStore({}).kind, 'memory')
+    assert.equal(createAccountStore({ ACCOUNT_STORE: 'file' }).kind, 'file')
+    assert.throws(() => createAccountStore({ ACCOUNT_STORE: 'sql' }), /sql/)
+  })
+})
+
+describe('createGameStore', () => {
+  it('picks the store from GAME_STORE', () => {
+    assert.equal(createGameStore({}).kind, 'memory')
+    assert.equal(createGameStore({ GAME_STORE: 'file' }).kind, 'file')
+    assert.throws(() => createGameStore({ GAME_STORE: 'tape' }), /tape/)
+  })
+})
+
+describe('createTournamentStore', () => {
+  it('picks the store from TOURNAMENT_STORE', () => {
+    assert.equal(createTournamentStore({}).kind, 'memory')
+    assert.equal(
+      createTournamentStore({ TOURNAMENT_STORE: 'file' }).kind,
+      'file'
+    )
+    assert.throws(
+      () => createTournamentStore({ TOURNAMENT_STORE: 'tape' }),
+      /tape/
+    )
+  })
+})
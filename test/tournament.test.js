@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  createTournament,
+  pendingMatches,
+  reportResult,
+  standings,
+} from '../src/tournament.js'
+
+const NAMES = ['ann', 'bo', 'cy', 'di', 'ed', 'flo', 'gus', 'hal']
+
+function start(format, n, extra = {}) {
+  const { tournament, error } = createTournament({
+    id: 'T1',
+    name: 'Game night',
+    format,
+    organizer: 'ann',
+    players: NAMES.slice(0, n),
+    ...extra,
+  })
+  assert.equal(error, undefined)
+  return tournament
+}
+
+// Play every pending match; `pick` chooses the winner (or null for a draw)
+function playRound(t, pick = (a, b) => Math.min(a, b)) {
+  for (const m of pendingMatches(t))
+    assert.ok(!reportResult(t, m.id, pick(...m.players)).error)
+}
+
+const pairs = (round) => round.map((m) => m.players)
+
+describe('createTournament', () => {
+  it('refuses unknown formats, too few and repeated players', () => {
+    const base = { id: 'T', name: 'x', organizer: 'ann' }
+    assert.equal(
+      createTournament({ ...base, format: 'ladder', players: NAMES }).error
+        .code,
+      'BAD_FORMAT'
+    )
+    assert.equal(
+      createTournament({ ...base, format: 'swiss', players: ['ann'] }).error
+        .code,
+      'BAD_PLAYERS'
+    )
+    assert.equal(
+      createTournament({ ...base, format: 'swiss', players: ['ann', 'ANN'] })
+        .error.code,
+      'BAD_PLAYERS'
+    )
+  })
+})
+
+describe('single elimination', () => {
+  it('seeds the bracket so the top seeds meet last', () => {
+    const t = start('elimination', 8)
+    assert.deepEqual(pairs(t.rounds[0]), [
+      [0, 7],
+      [3, 4],
+      [1, 6],
+      [2, 5],
+    ])
+    playRound(t)
+    assert.deepEqual(pairs(t.rounds[1]), [
+      [0, 3],
+      [1, 2],
+    ])
+    playRound(t)
+    playRound(t)
+    assert.equal(t.status, 'finished')
+    assert.deepEqual(
+      standings(t)
+        .slice(0, 2)
+        .map((r) => r.username),
+      ['ann', 'bo']
+    )
+  })
+
+  it('gives the top seeds byes and the higher seed a drawn match', () => {
+    const t = start('elimination', 3)
+    assert.deepEqual(pairs(t.rounds[0]), [
+      [0, null],
+      [1, 2],
+    ])
+    assert.equal(pendingMatches(t).length, 1)
+    playRound(t, () => null)
+    assert.equal(t.rounds[0][1].winner, 1)
+    assert.deepEqual(pairs(t.rounds[1]), [[0, 1]])
+  })
+})
+
+describe('round robin', () => {
+  it('pairs everyone with everyone once', () => {
+    const t = start('roundRobin', 5)
+    while (t.status === 'running') playRound(t)
+    assert.equal(t.rounds.length, 5)
+    const seen = new Set()
+    for (const m of t.rounds.flat()) {
+      if (m.players[1] === null) continue
+      const key = [...m.players].sort().join('-')
+      assert.ok(!seen.has(key), key)
+      seen.add(key)
+    }
+    assert.equal(seen.size, 10)
+    // everyone sits out exactly once
+    const byes = t.rounds.flat().filter((m) => m.players[1] === null)
+    assert.deepEqual(byes.map((m) => m.players[0]).sort(), [0, 1, 2, 3, 4])
+  })
+})
+
+describe('swiss', () => {
+  it('pairs players on equal points and avoids rematches', () => {
+    const t = start('swiss', 4, { rounds: 3 })
+    assert.equal(t.totalRounds, 3)
+    playRound(t) // 0 beats 1, 2 beats 3
+    assert.deepEqual(pairs(t.rounds[1]), [
+      [0, 2],
+      [1, 3],
+    ])
+    playRound(t)
+    // 0 has met 1 and 2, so the leader plays 3
+    assert.deepEqual(pairs(t.rounds[2])[0], [0, 3])
+    playRound(t)
+    assert.equal(t.status, 'finished')
+    const [first] = standings(t)
+    assert.deepEqual([first.username, first.points, first.wins], ['ann', 3, 3])
+  })
+
+  it('counts draws as half a point and breaks ties by opponents', () => {
+    const t = start('swiss', 4, { rounds: 1 })
+    playRound(t, (a, b) => (a === 0 ? null : b)) // 0-1 drawn, 3 beats 2
+    const table = standings(t)
+    assert.deepEqual(
+      table.map((r) => [r.username, r.points]),
+      [
+        ['di', 1],
+        ['ann', 0.5],
+        ['bo', 0.5],
+        ['cy', 0],
+      ]
+    )
+    assert.deepEqual(
+      table.map((r) => r.rank),
+      [1, 2, 3, 4]
+    )
+  })
+
+  it('hands the bye to the lowest player without one', () => {
+    const t = start('swiss', 3, { rounds: 2 })
+    assert.deepEqual(pairs(t.rounds[0]), [
+      [0, 1],
+      [2, null],
+    ])
+    playRound(t)
+    assert.deepEqual(pairs(t.rounds[1]).at(-1), [1, null])
+  })
+})
+
+describe('reportResult', () => {
+  it('only takes results for pending matches between the two players', () => {
+    const t = start('swiss', 2, { rounds: 1 })
+    const [m] = pendingMatches(t)
+    assert.equal(reportResult(t, 'r9m1', 0).error.code, 'MATCH_NOT_FOUND')
+    assert.equal(reportResult(t, m.id, 5).error.code, 'BAD_RESULT')
+    assert.deepEqual(reportResult(t, m.id, 1), { round: [] })
+    assert.equal(t.status, 'finished')
+    assert.equal(reportResult(t, m.id, 1).error.code, 'TOURNAMENT_OVER')
+  })
+})
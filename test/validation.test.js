@@ -0,0 +1,266 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  EVENT_SCHEMAS,
+  REQUEST_SCHEMAS,
+  int,
+  list,
+  optional,
+  string,
+  validate,
+  validatePayload,
+} from '../src/validation.js'
+
+function rejects(event, payload, pattern) {
+  const { value, error } = validatePayload(event, payload)
+  assert.equal(value, undefined)
+  assert.equal(error.code, 'INVALID_PAYLOAD')
+  assert.match(error.message, pattern)
+}
+
+describe('rules', () => {
+  it('checks strings', () => {
+    const rule = string({ min: 1, max: 3, pattern: /^[a-z]+$/ })
+    assert.equal(rule('abc'), undefined)
+    assert.equal(rule(''), 'must not be empty')
+    assert.equal(rule('abcd'), 'must be at most 3 characters')
+    assert.equal(rule('AB'), 'has an invalid format')
+    assert.equal(rule(7), 'must be a string')
+  })
+
+  it('checks integers and ranges', () => {
+    const rule = int({ min: 0, max: 7 })
+    assert.equal(rule(0), undefined)
+    assert.equal(rule(1.5), 'must be an integer')
+    assert.equal(rule('3'), 'must be an integer')
+    assert.equal(rule(8), 'must be between 0 and 7')
+  })
+
+  it('checks lists item by item', () => {
+    const rule = list(int({ min: 0 }), { min: 1, max: 2 })
+    assert.equal(rule([0, 3]), undefined)
+    assert.equal(rule('0'), 'must be a list')
+    assert.equal(rule([]), 'must have 1 to 2 items')
+    assert.equal(rule([1, -1]), '[1] must be between 0 and Infinity')
+    assert.equal(rule([null]), '[0] is required')
+  })
+
+  it('marks optional rules', () => {
+    assert.equal(optional(int()).optional, true)
+    assert.equal(int().optional, undefined)
+  })
+})
+
+describe('validatePayload', () => {
+  it('has a schema for every client event', () => {
+    for (const event of [
+      'requestLobby',
+      'authenticate',
+      'requestInbox',
+      'queueForMatch',
+      'leaveQueue',
+      'createRoom',
+      'joinRoom',
+      'rejoinRoom',
+      'leaveRoom',
+      'addBot',
+      'removeBot',
+      'newGame',
+      'updateSettings',
+      'setReady',
+      'voteRematch',
+      'kickPlayer',
+      'lockRoom',
+      'seatSpectator',
+      'kickSpectator',
+      'followPlayer',
+      'transferHost',
+      'setPrivacy',
+      'createInvite',
+      'placePiece',
+      'moveBlocker',
+      'undoRequest',
+      'undoAccept',
+      'undoDecline',
+      'requestReplay',
+      'requestHint',
+      'chat',
+      'react',
+      'muteMember',
+      'reportMessage',
+      'requestState',
+      'createTournament',
+      'watchTournament',
+      'setMatchResult',
+    ])
+      assert.ok(EVENT_SCHEMAS[event], event)
+  })
+
+  it('returns only the schema fields', () => {
+    const { value } = validatePayload('placePiece', {
+      roomId: 'ABC123',
+      r: 2,
+      c: 5,
+      sym: 'R',
+      player: 3,
+    })
+    assert.deepEqual(value, { roomId: 'ABC123', r: 2, c: 5, sym: 'R' })
+  })
+
+  it('accepts a missing payload for payload-less events', () => {
+    assert.deepEqual(validatePayload('createRoom'), { value: {} })
+    assert.deepEqual(validatePayload('requestLobby', null), { value: {} })
+  })
+
+  it('rejects non-object payloads', () => {
+    rejects('placePiece', 'ABC123', /Payload must be an object/)
+    rejects('placePiece', [1, 2], /Payload must be an object/)
+  })
+
+  it('requires a well-formed room id', () => {
+    rejects('joinRoom', {}, /roomId is required/)
+    rejects('joinRoom', { roomId: '' }, /roomId must not be empty/)
+    rejects('joinRoom', { roomId: '../x' }, /roomId has an invalid format/)
+  })
+
+  it('rejects non-integer coordinates and unknown symbols', () => {
+    const base = { roomId: 'ABC123', r: 1, c: 1, sym: 'P' }
+    rejects('placePiece', { ...base, r: '1' }, /r must be an integer/)
+    rejects('placePiece', { ...base, c: 0.5 }, /c must be an integer/)
+    rejects('placePiece', { ...base, sym: 'X' }, /sym must be one of R, P, S/)
+  })
+
+  it('names the nested field of a bad blocker move', () => {
+    rejects(
+      'moveBlocker',
+      { roomId: 'ABC123', from: { r: 1, c: 1 }, to: { r: 2 } },
+      /^to\.c is required$/
+    )
+    rejects(
+      'moveBlocker',
+      { roomId: 'ABC123', from: 5, to: { r: 2, c: 2 } },
+      /^from must be an object$/
+    )
+  })
+
+  it('range-checks game settings but leaves defaults to the server', () => {
+    const { value } = validatePayload('newGame', { roomId: 'ABC123' })
+    assert.deepEqual(value, { roomId: 'ABC123' })
+    rejects('newGame', { roomId: 'A', tilesPerSymbol: 0 }, /tilesPerSymbol/)
+    rejects('newGame', { roomId: 'A', blockers: 145 }, /blockers/)
+    rejects('newGame', { roomId: 'A', rows: 5 }, /rows must be between 6 and 12/)
+    rejects('newGame', { roomId: 'A', layout: 'maze' }, /layout/)
+    rejects('newGame', { roomId: 'A', timeoutAction: 'pause' }, /timeoutAction/)
+    rejects('newGame', { roomId: 'A', moveHours: 200 }, /moveHours/)
+  })
+
+  it('shares the settings schema between newGame and updateSettings', () => {
+    const payload = { roomId: 'A', pointsToWin: 5, board: 'huge' }
+    assert.deepEqual(validatePayload('updateSettings', payload).value, {
+      roomId: 'A',
+      pointsToWin: 5,
+    })
+    rejects('updateSettings', { roomId: 'A', turnSeconds: -1 }, /turnSeconds/)
+  })
+
+  it('checks nested rule variants and drops unknown rule fields', () => {
+    const { value } = validatePayload('newGame', {
+      roomId: 'A',
+      rules: { symbolSet: 'rpsls', lines: false, cheat: true },
+    })
+    assert.deepEqual(value.rules, { symbolSet: 'rpsls', lines: false })
+    rejects('newGame', { roomId: 'A', rules: { symbolSet: 'dice' } }, /^rules\.symbolSet/)
+    rejects('newGame', { roomId: 'A', rules: 'fun' }, /rules must be an object/)
+  })
+
+  it('accepts every symbol of every set in placePiece', () => {
+    const base = { roomId: 'A', r: 0, c: 0 }
+    assert.ok(validatePayload('placePiece', { ...base, sym: 'V' }).value)
+  })
+
+  it('keeps host actions to real seats', () => {
+    rejects('kickPlayer', { roomId: 'A', index: 4 }, /index/)
+    rejects('kickPlayer', { roomId: 'A', index: 1, ban: 'yes' }, /ban/)
+    rejects('lockRoom', { roomId: 'A' }, /locked is required/)
+    rejects('kickSpectator', { roomId: 'A', index: -1 }, /index/)
+  })
+
+  it('lets spectators stop following a player', () => {
+    assert.deepEqual(
+      validatePayload('followPlayer', { roomId: 'A', index: null }).value,
+      { roomId: 'A' }
+    )
+    rejects('followPlayer', { roomId: 'A', index: 4 }, /index/)
+    rejects('newGame', { roomId: 'A', spectatorDelay: 601 }, /spectatorDelay/)
+  })
+
+  it('accepts room access options', () => {
+    assert.deepEqual(
+      validatePayload('createRoom', { private: true, password: 'pw' }).value,
+      { private: true, password: 'pw' }
+    )
+    // an empty password clears it, so it must survive validation
+    assert.deepEqual(
+      validatePayload('setPrivacy', { roomId: 'A', private: false, password: '' })
+        .value,
+      { roomId: 'A', private: false, password: '' }
+    )
+    rejects('joinRoom', { roomId: 'A', invite: '' }, /invite must not be empty/)
+    rejects('createRoom', { password: 'x'.repeat(65) }, /password/)
+  })
+
+  it('limits matchmaking to 2-4 players', () => {
+    rejects('queueForMatch', { players: 1 }, /players must be between 2 and 4/)
+    rejects('queueForMatch', { players: 2, ratingRange: -5 }, /ratingRange/)
+  })
+
+  it('caps chat and names', () => {
+    rejects('chat', { roomId: 'A', text: '' }, /text must not be empty/)
+    rejects('chat', { roomId: 'A', text: 'x'.repeat(301) }, /text/)
+    rejects('chat', { roomId: 'A', text: 'hi', channel: 'all' }, /channel/)
+    rejects('react', { roomId: 'A', emote: 'rage' }, /emote/)
+    rejects('reportMessage', { roomId: 'A', id: 0 }, /id/)
+  })
+
+  it('takes chat names from the room, not the payload', () => {
+    const { value } = validatePayload('chat', {
+      roomId: 'A',
+      name: 'Host',
+      text: 'hi',
+    })
+    assert.deepEqual(value, { roomId: 'A', text: 'hi' })
+    rejects('joinRoom', { roomId: 'A', name: 'x'.repeat(25) }, /name/)
+  })
+
+  it('keeps markup and invisible characters out of names', () => {
+    const name = '<svg onload=alert(1)>'
+    rejects('joinRoom', { roomId: 'A', name }, /name has an invalid format/)
+    rejects('queueForMatch', { players: 2, name: 'Tom & Jerry' }, /name/)
+    rejects('joinRoom', { roomId: 'A', name: 'evil\u202Eeman' }, /name/)
+    assert.ok(validatePayload('joinRoom', { roomId: 'A', name: 'Zoë 2' }).value)
+  })
+
+  it('reports unknown events', () => {
+    assert.equal(validatePayload('dropTables', {}).error.code, 'UNKNOWN_EVENT')
+  })
+})
+
+describe('validate', () => {
+  it('checks REST bodies against their own schemas', () => {
+    assert.deepEqual(
+      validate(REQUEST_SCHEMAS.register, { username: 'ann_1', admin: true }),
+      { value: { username: 'ann_1' } }
+    )
+    const { error } = validate(REQUEST_SCHEMAS.register, {
+      username: 'ann',
+      password: '123',
+    })
+    assert.match(error.message, /^password must be at least 6 characters/)
+    assert.match(
+      validate(REQUEST_SCHEMAS.login, { username: 'a b', password: 'x' })
+        .error.message,
+      /username has an invalid format/
+    )
+  })
+})